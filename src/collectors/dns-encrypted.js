@@ -0,0 +1,232 @@
+import https from "https";
+import net from "net";
+import tls from "tls";
+import { randomInt } from "crypto";
+import { buildQuery, parseResponse, toRecords } from "./dns-wire.js";
+
+// Encrypted DNS transports: DNS-over-HTTPS (RFC 8484, wire format POSTed as
+// application/dns-message) and DNS-over-TLS (RFC 7858, length-prefixed messages on port 853).
+// Connections are kept open between queries, as browsers and stub resolvers do, so a hot lookup
+// measures the query itself; the first query to a server also pays for the TCP and TLS handshake.
+
+const DEFAULT_DOT_PORT = 853;
+const DOH_CONTENT_TYPE = "application/dns-message";
+
+const dohAgent = new https.Agent({ keepAlive: true, maxSockets: 1 });
+// host:port|localAddress -> { socket, buffer, pending, queue }
+const dotSessions = new Map();
+// host:port|localAddress -> handshake under way, shared by the queries that wait for it
+const dotConnecting = new Map();
+
+function timeoutError(what) {
+  return Object.assign(new Error(`${what} timed out`), { code: "ETIMEOUT" });
+}
+
+// "https://host[:port]/path" is DoH, "tls://host[:port]" is DoT. Returns null for anything else
+// and throws on a malformed URL.
+export function parseEncryptedEndpoint(address) {
+  const text = String(address ?? "").trim();
+  if (/^https:\/\//i.test(text)) {
+    return { protocol: "doh", url: new URL(text).toString() };
+  }
+  if (/^tls:\/\//i.test(text)) {
+    const url = new URL(text);
+    if (!url.hostname) {
+      throw new Error(`Missing host in ${text}`);
+    }
+    return {
+      protocol: "dot",
+      host: url.hostname.replace(/^\[(.*)\]$/, "$1"),
+      port: url.port ? Number.parseInt(url.port, 10) : DEFAULT_DOT_PORT,
+    };
+  }
+  return null;
+}
+
+// Both transports resolve to { records, ttl } (see parseResponse).
+export function queryDoh(endpoint, hostname, type, { localAddress = null, timeoutMs }) {
+  const body = buildQuery(hostname, type);
+  return new Promise((resolve, reject) => {
+    const request = https.request(
+      endpoint.url,
+      {
+        method: "POST",
+        agent: dohAgent,
+        localAddress: localAddress ?? undefined,
+        timeout: timeoutMs,
+        headers: {
+          "content-type": DOH_CONTENT_TYPE,
+          accept: DOH_CONTENT_TYPE,
+          "content-length": body.length,
+        },
+      },
+      (response) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("error", reject);
+        response.on("end", () => {
+          if (response.statusCode !== 200) {
+            reject(
+              Object.assign(new Error(`DoH server answered HTTP ${response.statusCode}`), {
+                code: "EBADRESP",
+              })
+            );
+            return;
+          }
+          try {
+            const parsed = parseResponse(Buffer.concat(chunks), type);
+            resolve({ records: toRecords(parsed, hostname), ttl: parsed.ttl });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+    );
+    request.on("timeout", () => request.destroy(timeoutError("DoH query")));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function dropSession(key, session, error) {
+  if (dotSessions.get(key) === session) {
+    dotSessions.delete(key);
+  }
+  if (session.pending) {
+    const { reject, timer } = session.pending;
+    session.pending = null;
+    clearTimeout(timer);
+    reject(error);
+  }
+  session.socket.destroy();
+}
+
+function connectDot(endpoint, localAddress, key, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: endpoint.host,
+      port: endpoint.port,
+      // SNI only carries host names; an IP literal is checked against the certificate's IP SANs.
+      servername: net.isIP(endpoint.host) ? undefined : endpoint.host,
+      localAddress: localAddress ?? undefined,
+    });
+    const session = { socket, buffer: Buffer.alloc(0), pending: null, queue: Promise.resolve() };
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(timeoutError("DoT connection"));
+    }, timeoutMs);
+
+    socket.once("secureConnect", () => {
+      clearTimeout(timer);
+      dotSessions.set(key, session);
+      socket.unref();
+      resolve(session);
+    });
+    socket.on("data", (chunk) => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+      while (session.buffer.length >= 2) {
+        const length = session.buffer.readUInt16BE(0);
+        if (session.buffer.length < 2 + length) {
+          break;
+        }
+        const message = session.buffer.subarray(2, 2 + length);
+        session.buffer = session.buffer.subarray(2 + length);
+        const pending = session.pending;
+        // Late answers to a query that already timed out carry another id and are dropped.
+        if (pending && message.length >= 2 && message.readUInt16BE(0) === pending.id) {
+          session.pending = null;
+          clearTimeout(pending.timer);
+          socket.unref();
+          pending.resolve(message);
+        }
+      }
+    });
+    socket.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+      dropSession(key, session, error);
+    });
+    socket.on("close", () => {
+      dropSession(
+        key,
+        session,
+        Object.assign(new Error("DoT connection closed"), { code: "ECONNRESET" })
+      );
+    });
+  });
+}
+
+// Reuses the kept-alive connection, or the handshake already under way, so concurrent first
+// queries to a server share one connection.
+function openDotSession(endpoint, localAddress, key, timeoutMs) {
+  const session = dotSessions.get(key);
+  if (session && !session.socket.destroyed) {
+    return Promise.resolve(session);
+  }
+  let connecting = dotConnecting.get(key);
+  if (!connecting) {
+    connecting = connectDot(endpoint, localAddress, key, timeoutMs).finally(() => {
+      dotConnecting.delete(key);
+    });
+    dotConnecting.set(key, connecting);
+  }
+  return connecting;
+}
+
+async function exchangeDot(endpoint, localAddress, key, { hostname, type, deadline }) {
+  if (Date.now() >= deadline) {
+    throw timeoutError("DoT query");
+  }
+  const session = await openDotSession(endpoint, localAddress, key, deadline - Date.now());
+
+  const send = () => {
+    // The connection may have been dropped (a timed-out query ahead in the queue, the server
+    // closing it) while this query waited; it then goes out on a new one.
+    if (session.socket.destroyed) {
+      return exchangeDot(endpoint, localAddress, key, { hostname, type, deadline });
+    }
+    return new Promise((resolve, reject) => {
+      const id = randomInt(0, 0x10000);
+      const query = buildQuery(hostname, type, { id });
+      const frame = Buffer.alloc(2 + query.length);
+      frame.writeUInt16BE(query.length, 0);
+      query.copy(frame, 2);
+      // A server that stops answering mid-session is not trusted with the next query either.
+      const timer = setTimeout(
+        () => dropSession(key, session, timeoutError("DoT query")),
+        Math.max(deadline - Date.now(), 1)
+      );
+      session.pending = { id, resolve, reject, timer };
+      session.socket.ref();
+      session.socket.write(frame);
+    });
+  };
+
+  // One query in flight per connection keeps the framing trivial.
+  const run = session.queue.then(send);
+  session.queue = run.catch(() => {});
+  return run;
+}
+
+export async function queryDot(endpoint, hostname, type, { localAddress = null, timeoutMs }) {
+  const key = `${endpoint.host}:${endpoint.port}|${localAddress ?? ""}`;
+  const message = await exchangeDot(endpoint, localAddress, key, {
+    hostname,
+    type,
+    deadline: Date.now() + timeoutMs,
+  });
+  const parsed = parseResponse(message, type);
+  return { records: toRecords(parsed, hostname), ttl: parsed.ttl };
+}
+
+// Closes the kept-alive DoH and DoT connections (collector shutdown).
+export function closeEncryptedSessions() {
+  for (const [key, session] of dotSessions) {
+    dropSession(
+      key,
+      session,
+      Object.assign(new Error("DNS collector stopped"), { name: "AbortError" })
+    );
+  }
+  dohAgent.destroy();
+}
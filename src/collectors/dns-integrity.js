@@ -0,0 +1,361 @@
+import { createHash } from "crypto";
+import { openDb } from "../storage/db.js";
+import { recordEvent } from "../storage/events.js";
+import * as logger from "../utils/logger.js";
+
+// DNS answer integrity: fingerprints every answer set and, after each collector cycle, looks for
+// answers a resolver never gave before (drift), resolvers whose answers share nothing with the
+// others (divergence) and resolvers that answer the random cold-lookup names, which do not exist
+// (NXDOMAIN redirection). Answers are compared against everything seen within a memory window,
+// so CDN and round-robin rotation through a known pool of addresses does not raise events.
+// With DNS_TCP_CHECK it also reports resolvers whose TCP/53 stops (or starts again) answering,
+// since truncated UDP answers can then no longer be retried.
+
+const loadedState = { loaded: false };
+// answer key -> { values: Map(answer -> last seen ts), last: [answers] }
+const knownAnswers = new Map();
+// hostname|type|uplink -> sorted labels of the resolvers currently diverging
+const divergenceState = new Map();
+// resolver|uplink -> whether the resolver currently redirects NXDOMAIN
+const nxdomainState = new Map();
+// resolver|uplink -> whether TCP queries to the resolver currently fail
+const tcpState = new Map();
+
+export function fingerprintAnswers(answers) {
+  if (!Array.isArray(answers)) {
+    return null;
+  }
+  return createHash("sha256")
+    .update(JSON.stringify([...answers].sort()))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function answerKey(sample) {
+  return [
+    sample.hostname,
+    sample.record_type ?? "",
+    sample.uplink ?? "",
+    sample.resolver_name,
+  ].join("|");
+}
+
+function groupKey(sample) {
+  return [sample.hostname, sample.record_type ?? "", sample.uplink ?? ""].join("|");
+}
+
+function nxdomainKey(sample) {
+  return [sample.resolver_name, sample.uplink ?? ""].join("|");
+}
+
+function parseAnswers(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function rememberAnswers(key, answers, ts, memoryMs) {
+  let entry = knownAnswers.get(key);
+  if (!entry) {
+    entry = { values: new Map(), last: [] };
+    knownAnswers.set(key, entry);
+  }
+  for (const [value, seenTs] of entry.values) {
+    if (ts - seenTs > memoryMs) {
+      entry.values.delete(value);
+    }
+  }
+  for (const value of answers) {
+    entry.values.set(value, ts);
+  }
+  entry.last = answers;
+}
+
+// Rebuilds the known answers and the NXDOMAIN state from the samples stored before the current
+// cycle, so a restart does not report every answer as new.
+function loadState(memoryMs, cycleStart) {
+  if (loadedState.loaded) {
+    return;
+  }
+  loadedState.loaded = true;
+  const db = openDb();
+  const rows = db
+    .prepare(
+      `SELECT ts, hostname, record_type, uplink, resolver_name, answers_json, nxdomain_hijack,
+              tcp_success
+       FROM dns_sample WHERE ts >= ? AND ts < ? ORDER BY ts ASC`
+    )
+    .all(cycleStart - memoryMs, cycleStart);
+  for (const row of rows) {
+    const answers = row.answers_json ? parseAnswers(row.answers_json) : null;
+    if (answers && answers.length > 0) {
+      rememberAnswers(answerKey(row), answers, row.ts, memoryMs);
+    }
+    if (row.nxdomain_hijack !== null && row.nxdomain_hijack !== undefined) {
+      nxdomainState.set(nxdomainKey(row), row.nxdomain_hijack === 1);
+    }
+    if (row.tcp_success !== null && row.tcp_success !== undefined) {
+      tcpState.set(nxdomainKey(row), row.tcp_success !== 1);
+    }
+  }
+}
+
+function emit(event) {
+  const log = event.severity === "warn" ? logger.warn : logger.info;
+  log("dns", event.message);
+  try {
+    recordEvent(event);
+  } catch (error) {
+    logger.error("dns", `Failed to record ${event.type} event`, error);
+  }
+}
+
+function checkDrift(samples, memoryMs) {
+  for (const sample of samples) {
+    if (!Array.isArray(sample.answers) || sample.answers.length === 0) {
+      continue;
+    }
+    const key = answerKey(sample);
+    const known = knownAnswers.get(key);
+    const fresh = known
+      ? sample.answers.filter((value) => {
+          const seenTs = known.values.get(value);
+          return seenTs === undefined || sample.ts - seenTs > memoryMs;
+        })
+      : [];
+    if (known && known.values.size > 0 && fresh.length > 0) {
+      const via = sample.uplink ? ` via ${sample.uplink}` : "";
+      emit({
+        ts: sample.ts,
+        type: "dns.drift",
+        target: sample.hostname,
+        severity: "warn",
+        message: `DNS answer for ${sample.hostname} ${sample.record_type ?? "address"} from ${sample.resolver_name}${via} changed: ${known.last.join(", ")} → ${sample.answers.join(", ")}`,
+        data: {
+          hostname: sample.hostname,
+          record_type: sample.record_type ?? null,
+          resolver: sample.resolver_name,
+          uplink: sample.uplink ?? null,
+          previous: known.last,
+          current: sample.answers,
+          new_values: fresh,
+          fingerprint: sample.answers_fp ?? fingerprintAnswers(sample.answers),
+        },
+      });
+    }
+    rememberAnswers(key, sample.answers, sample.ts, memoryMs);
+  }
+}
+
+// Within one cycle, a resolver diverges when none of its answers was seen from any other resolver
+// for the same hostname, type and uplink during the memory window. Events fire on changes only.
+function checkDivergence(samples) {
+  const groups = new Map();
+  for (const sample of samples) {
+    if (!Array.isArray(sample.answers) || sample.answers.length === 0) {
+      continue;
+    }
+    const key = groupKey(sample);
+    const list = groups.get(key) ?? [];
+    list.push(sample);
+    groups.set(key, list);
+  }
+
+  for (const [key, list] of groups) {
+    if (list.length < 2) {
+      continue;
+    }
+    const diverging = list.filter((sample) => {
+      const others = list.filter((other) => other !== sample);
+      return !sample.answers.some((value) =>
+        others.some((other) => knownAnswers.get(answerKey(other))?.values.has(value))
+      );
+    });
+    // With two resolvers that disagree there is no majority; both are reported.
+    const labels = diverging.map((sample) => sample.resolver_name).sort();
+    const signature = labels.join(",");
+    const previous = divergenceState.get(key) ?? "";
+    divergenceState.set(key, signature);
+    if (signature === previous) {
+      continue;
+    }
+
+    const { hostname, record_type: recordType, uplink } = list[0];
+    const subject = `${hostname} ${recordType ?? "address"}${uplink ? ` via ${uplink}` : ""}`;
+    const answers = Object.fromEntries(
+      list.map((sample) => [sample.resolver_name, sample.answers])
+    );
+    emit({
+      ts: list[0].ts,
+      type: "dns.divergence",
+      target: hostname,
+      severity: signature ? "warn" : "info",
+      message: signature
+        ? `Resolvers disagree on ${subject}: ${labels.join(", ")} answer differently`
+        : `Resolvers agree again on ${subject}`,
+      data: { hostname, record_type: recordType ?? null, uplink, diverging: labels, answers },
+    });
+  }
+}
+
+function checkNxdomain(samples) {
+  const byResolver = new Map();
+  for (const sample of samples) {
+    if (sample.nxdomain_hijack === null || sample.nxdomain_hijack === undefined) {
+      continue;
+    }
+    const key = nxdomainKey(sample);
+    const entry = byResolver.get(key) ?? { sample, hijacked: [] };
+    if (sample.nxdomain_hijack === 1) {
+      entry.hijacked.push(sample);
+    }
+    byResolver.set(key, entry);
+  }
+
+  for (const [key, { sample, hijacked }] of byResolver) {
+    const redirecting = hijacked.length > 0;
+    const previous = nxdomainState.get(key);
+    nxdomainState.set(key, redirecting);
+    if (previous === redirecting || (previous === undefined && !redirecting)) {
+      continue;
+    }
+    const via = sample.uplink ? ` via ${sample.uplink}` : "";
+    const example = hijacked[0];
+    emit({
+      ts: sample.ts,
+      type: "dns.nxdomain",
+      target: sample.resolver_name,
+      severity: redirecting ? "warn" : "info",
+      message: redirecting
+        ? `Resolver ${sample.resolver_name}${via} answers nonexistent names (NXDOMAIN redirection): ${example.nxdomain_answers.join(", ")}`
+        : `Resolver ${sample.resolver_name}${via} returns NXDOMAIN again`,
+      data: {
+        resolver: sample.resolver_name,
+        server: sample.resolver ?? null,
+        uplink: sample.uplink ?? null,
+        redirecting,
+        hostnames: hijacked.map((entry) => entry.hostname),
+        answers: example?.nxdomain_answers ?? null,
+      },
+    });
+  }
+}
+
+function checkTcp(samples) {
+  const byResolver = new Map();
+  for (const sample of samples) {
+    if (sample.tcp_success === null || sample.tcp_success === undefined) {
+      continue;
+    }
+    const key = nxdomainKey(sample);
+    const entry = byResolver.get(key) ?? { sample, failed: [], truncated: [] };
+    if (sample.tcp_success !== 1) {
+      entry.failed.push(sample);
+    }
+    if (sample.udp_truncated === 1) {
+      entry.truncated.push(sample.hostname);
+    }
+    byResolver.set(key, entry);
+  }
+
+  for (const [key, { sample, failed, truncated }] of byResolver) {
+    const failing = failed.length > 0;
+    const previous = tcpState.get(key);
+    tcpState.set(key, failing);
+    if (previous === failing || (previous === undefined && !failing)) {
+      continue;
+    }
+    const via = sample.uplink ? ` via ${sample.uplink}` : "";
+    const code = failed[0]?.tcp_error_code ?? null;
+    // Only answers too large for UDP actually break; say which ones did this cycle.
+    const impact = truncated.length
+      ? `; truncated UDP answers for ${truncated.join(", ")} cannot be retried`
+      : "";
+    emit({
+      ts: sample.ts,
+      type: "dns.tcp",
+      target: sample.resolver_name,
+      severity: failing ? "warn" : "info",
+      message: failing
+        ? `TCP queries to resolver ${sample.resolver_name}${via} fail (${code ?? "unknown"})${impact}`
+        : `TCP queries to resolver ${sample.resolver_name}${via} work again`,
+      data: {
+        resolver: sample.resolver_name,
+        server: sample.resolver ?? null,
+        uplink: sample.uplink ?? null,
+        failing,
+        error_code: code,
+        hostnames: failed.map((entry) => entry.hostname),
+        truncated,
+      },
+    });
+  }
+}
+
+// Runs the integrity checks over the samples of one collector cycle.
+export function inspectCycle(samples, { memoryMs }) {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return;
+  }
+  loadState(memoryMs, Math.min(...samples.map((sample) => sample.ts)));
+  checkDrift(samples, memoryMs);
+  checkDivergence(samples);
+  checkNxdomain(samples);
+  checkTcp(samples);
+}
+
+// Summarizes dns_sample rows (oldest first) for /api/dns/integrity: the latest answer set per
+// hostname, type, uplink and resolver with the number of distinct fingerprints in the range, and
+// the NXDOMAIN redirection tally per resolver and uplink.
+export function summarizeIntegrity(rows) {
+  const answers = new Map();
+  const nxdomain = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (row.answers_fp) {
+      const key = answerKey(row);
+      const entry = answers.get(key) ?? {
+        hostname: row.hostname,
+        record_type: row.record_type ?? null,
+        uplink: row.uplink ?? null,
+        resolver: row.resolver_name ?? row.resolver ?? null,
+        fingerprints: new Set(),
+      };
+      entry.fingerprints.add(row.answers_fp);
+      entry.ts = row.ts;
+      entry.fingerprint = row.answers_fp;
+      entry.answers = parseAnswers(row.answers_json);
+      answers.set(key, entry);
+    }
+    if (row.nxdomain_hijack !== null && row.nxdomain_hijack !== undefined) {
+      const key = nxdomainKey(row);
+      const entry = nxdomain.get(key) ?? {
+        resolver: row.resolver_name ?? row.resolver ?? null,
+        server: row.resolver ?? null,
+        uplink: row.uplink ?? null,
+        checks: 0,
+        redirected: 0,
+        last_redirect_ts: null,
+        last_answers: null,
+      };
+      entry.checks += 1;
+      if (row.nxdomain_hijack === 1) {
+        entry.redirected += 1;
+        entry.last_redirect_ts = row.ts;
+        entry.last_answers = parseAnswers(row.nxdomain_answers_json);
+      }
+      entry.redirecting = row.nxdomain_hijack === 1;
+      nxdomain.set(key, entry);
+    }
+  }
+
+  return {
+    answers: [...answers.values()].map(({ fingerprints, ...entry }) => ({
+      ...entry,
+      changes: fingerprints.size - 1,
+    })),
+    nxdomain: [...nxdomain.values()],
+  };
+}
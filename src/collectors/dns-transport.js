@@ -0,0 +1,136 @@
+import dgram from "dgram";
+import net from "net";
+import { randomInt } from "crypto";
+import { buildQuery, parseResponse } from "./dns-wire.js";
+
+// Plain DNS over UDP and TCP port 53 with the minimal wire client, so the same query can be timed
+// on both transports. A UDP answer that does not fit the advertised buffer comes back with the TC
+// (truncated) bit set and a resolver must retry over TCP; firewalls that drop TCP/53 break exactly
+// those answers (large TXT records, DNSSEC) while small lookups keep working.
+
+const DEFAULT_PORT = 53;
+// EDNS0 buffer size recommended by DNS Flag Day 2020, as sent by most stub resolvers.
+const UDP_PAYLOAD_SIZE = 1232;
+
+function timeoutError(what) {
+  return Object.assign(new Error(`${what} timed out`), { code: "ETIMEOUT" });
+}
+
+// Splits a resolver address as written in DNS_RESOLVERS or returned by dns.getServers()
+// ("1.1.1.1", "10.0.0.53:5353", "2001:db8::53", "[2001:db8::53]:5353") into { host, port }.
+export function parseServerAddress(address) {
+  const text = String(address ?? "").trim();
+  if (net.isIP(text)) {
+    return { host: text, port: DEFAULT_PORT };
+  }
+  const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(text) ?? /^([^:]+):(\d+)$/.exec(text);
+  if (!match || !net.isIP(match[1])) {
+    return null;
+  }
+  return { host: match[1], port: match[2] ? Number.parseInt(match[2], 10) : DEFAULT_PORT };
+}
+
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Sends one query over UDP and resolves to { durationMs, response } (see parseResponse).
+export function queryUdp(server, hostname, type, { localAddress = null, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const id = randomInt(0, 0x10000);
+    const query = buildQuery(hostname, type, { id, udpPayloadSize: UDP_PAYLOAD_SIZE });
+    const socket = dgram.createSocket(net.isIPv6(server.host) ? "udp6" : "udp4");
+    let start = null;
+    let settled = false;
+    const finish = (error, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const timer = setTimeout(() => finish(timeoutError("UDP query")), timeoutMs);
+
+    socket.on("error", (error) => finish(error));
+    socket.on("message", (message) => {
+      // Stray datagrams (late answers to an earlier query) carry another id.
+      if (message.length < 2 || message.readUInt16BE(0) !== id) {
+        return;
+      }
+      const durationMs = elapsedMs(start);
+      try {
+        finish(null, { durationMs, response: parseResponse(message, type) });
+      } catch (error) {
+        finish(error);
+      }
+    });
+    socket.bind({ port: 0, address: localAddress ?? undefined }, () => {
+      start = process.hrtime.bigint();
+      socket.send(query, server.port, server.host, (error) => {
+        if (error) {
+          finish(error);
+        }
+      });
+    });
+  });
+}
+
+// Sends one query over a fresh TCP connection, as a resolver falling back after a truncated UDP
+// answer does, so the duration includes the TCP handshake.
+export function queryTcp(server, hostname, type, { localAddress = null, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const id = randomInt(0, 0x10000);
+    const query = buildQuery(hostname, type, { id });
+    const frame = Buffer.alloc(2 + query.length);
+    frame.writeUInt16BE(query.length, 0);
+    query.copy(frame, 2);
+
+    const start = process.hrtime.bigint();
+    const socket = net.connect({
+      host: server.host,
+      port: server.port,
+      localAddress: localAddress ?? undefined,
+    });
+    let buffer = Buffer.alloc(0);
+    let settled = false;
+    const finish = (error, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const timer = setTimeout(() => finish(timeoutError("TCP query")), timeoutMs);
+
+    socket.on("connect", () => socket.write(frame));
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length < 2 || buffer.length < 2 + buffer.readUInt16BE(0)) {
+        return;
+      }
+      const message = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+      const durationMs = elapsedMs(start);
+      try {
+        finish(null, { durationMs, response: parseResponse(message, type) });
+      } catch (error) {
+        finish(error);
+      }
+    });
+    socket.on("error", (error) => finish(error));
+    socket.on("close", () =>
+      finish(Object.assign(new Error("TCP connection closed"), { code: "ECONNRESET" }))
+    );
+  });
+}
@@ -0,0 +1,207 @@
+import net from "net";
+
+// Minimal DNS wire format (RFC 1035) for the transports Node's resolver does not speak: builds a
+// single-question query and decodes the answer section into the same shapes dns.promises.Resolver
+// returns (strings for A/AAAA/CNAME/NS, { priority, exchange } for MX, chunk arrays for TXT and
+// { priority, weight, port, name } for SRV), so every transport shares the answer handling.
+
+export const RECORD_TYPE_CODES = Object.freeze({
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+});
+
+// Response codes mapped to the error codes Node's resolver uses, so classifyError treats both alike.
+const RCODE_ERRORS = new Map([
+  [1, "EFORMERR"],
+  [2, "ESERVFAIL"],
+  [3, "ENOTFOUND"],
+  [4, "ENOTIMP"],
+  [5, "EREFUSED"],
+]);
+
+function encodeName(name) {
+  const labels = String(name ?? "")
+    .replace(/\.$/, "")
+    .split(".")
+    .filter((label) => label.length > 0);
+  const parts = [];
+  for (const label of labels) {
+    const bytes = Buffer.from(label, "utf8");
+    if (bytes.length > 63) {
+      throw Object.assign(new Error(`DNS label too long: ${label}`), {
+        code: "ERR_INVALID_ARG_VALUE",
+      });
+    }
+    parts.push(Buffer.from([bytes.length]), bytes);
+  }
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+// Builds a recursive query for one name and record type. `id` defaults to 0, as RFC 8484
+// recommends for DoH so the query stays cacheable. `udpPayloadSize` adds an EDNS0 OPT record
+// advertising that UDP buffer size; without it a UDP answer is limited to 512 bytes.
+export function buildQuery(hostname, type, { id = 0, udpPayloadSize = null } = {}) {
+  const code = RECORD_TYPE_CODES[type];
+  if (!code) {
+    throw Object.assign(new Error(`Unsupported record type: ${type}`), {
+      code: "ERR_INVALID_ARG_VALUE",
+    });
+  }
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id & 0xffff, 0);
+  header.writeUInt16BE(0x0100, 2); // RD
+  header.writeUInt16BE(1, 4);
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(code, 0);
+  question.writeUInt16BE(1, 2); // IN
+  if (!udpPayloadSize) {
+    return Buffer.concat([header, encodeName(hostname), question]);
+  }
+  header.writeUInt16BE(1, 10);
+  // Root name, type OPT, class = payload size, extended rcode/flags 0, no options.
+  const opt = Buffer.alloc(11);
+  opt.writeUInt16BE(41, 1);
+  opt.writeUInt16BE(udpPayloadSize, 3);
+  return Buffer.concat([header, encodeName(hostname), question, opt]);
+}
+
+function malformed(detail) {
+  return Object.assign(new Error(`Malformed DNS response: ${detail}`), { code: "EBADRESP" });
+}
+
+// Reads a possibly compressed name at `offset`; returns { name, next } where `next` is the offset
+// after the name in the original position.
+function readName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let next = null;
+  for (let jumps = 0; jumps < 64; jumps += 1) {
+    if (position >= buffer.length) {
+      throw malformed("name out of bounds");
+    }
+    const length = buffer[position];
+    if (length === 0) {
+      return { name: labels.join("."), next: next ?? position + 1 };
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (position + 1 >= buffer.length) {
+        throw malformed("pointer out of bounds");
+      }
+      next = next ?? position + 2;
+      position = ((length & 0x3f) << 8) | buffer[position + 1];
+      continue;
+    }
+    labels.push(buffer.toString("utf8", position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+  throw malformed("compression loop");
+}
+
+function decodeRecord(buffer, type, start, length) {
+  switch (type) {
+    case RECORD_TYPE_CODES.A:
+      return [...buffer.subarray(start, start + 4)].join(".");
+    case RECORD_TYPE_CODES.AAAA: {
+      const groups = [];
+      for (let index = 0; index < 16; index += 2) {
+        groups.push(buffer.readUInt16BE(start + index).toString(16));
+      }
+      // Round-trip through the URL parser to get the canonical compressed form.
+      const text = groups.join(":");
+      return net.isIPv6(text) ? new URL(`http://[${text}]`).hostname.slice(1, -1) : text;
+    }
+    case RECORD_TYPE_CODES.CNAME:
+    case RECORD_TYPE_CODES.NS:
+      return readName(buffer, start).name;
+    case RECORD_TYPE_CODES.MX:
+      return {
+        priority: buffer.readUInt16BE(start),
+        exchange: readName(buffer, start + 2).name,
+      };
+    case RECORD_TYPE_CODES.TXT: {
+      const chunks = [];
+      let position = start;
+      while (position < start + length) {
+        const size = buffer[position];
+        chunks.push(buffer.toString("utf8", position + 1, position + 1 + size));
+        position += 1 + size;
+      }
+      return chunks;
+    }
+    case RECORD_TYPE_CODES.SRV:
+      return {
+        priority: buffer.readUInt16BE(start),
+        weight: buffer.readUInt16BE(start + 2),
+        port: buffer.readUInt16BE(start + 4),
+        name: readName(buffer, start + 6).name,
+      };
+    default:
+      return null;
+  }
+}
+
+// Decodes a response into { id, rcode, truncated, records, ttl }, keeping only the answers of the
+// queried type (a CNAME chain in front of A records is skipped, as resolve4 does); `ttl` is the
+// lowest TTL among them, in seconds. A truncated (TC) response is reported from its header alone,
+// with no records: its answer section is incomplete and may claim records it does not carry.
+export function parseResponse(buffer, type) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw malformed("short header");
+  }
+  const code = RECORD_TYPE_CODES[type];
+  const id = buffer.readUInt16BE(0);
+  const flags = buffer.readUInt16BE(2);
+  const rcode = flags & 0x0f;
+  const truncated = (flags & 0x0200) !== 0;
+  if (truncated) {
+    return { id, rcode, truncated, records: [], ttl: null };
+  }
+  const questions = buffer.readUInt16BE(4);
+  const answers = buffer.readUInt16BE(6);
+
+  let offset = 12;
+  for (let index = 0; index < questions; index += 1) {
+    offset = readName(buffer, offset).next + 4;
+  }
+  const records = [];
+  let ttl = null;
+  for (let index = 0; index < answers; index += 1) {
+    const { next } = readName(buffer, offset);
+    if (next + 10 > buffer.length) {
+      throw malformed("record out of bounds");
+    }
+    const recordType = buffer.readUInt16BE(next);
+    const length = buffer.readUInt16BE(next + 8);
+    const start = next + 10;
+    if (start + length > buffer.length) {
+      throw malformed("record data out of bounds");
+    }
+    if (recordType === code) {
+      records.push(decodeRecord(buffer, recordType, start, length));
+      const recordTtl = buffer.readUInt32BE(next + 4);
+      ttl = ttl === null ? recordTtl : Math.min(ttl, recordTtl);
+    }
+    offset = start + length;
+  }
+
+  return { id, rcode, truncated, records, ttl };
+}
+
+// Turns a decoded response into the resolved records, or throws the error Node's resolver would
+// (ENOTFOUND for NXDOMAIN, ESERVFAIL, EREFUSED, ENODATA for an empty answer).
+export function toRecords(response, hostname) {
+  if (response.rcode !== 0) {
+    const code = RCODE_ERRORS.get(response.rcode) ?? "EBADRESP";
+    throw Object.assign(new Error(`query ${code} ${hostname}`), { code, hostname });
+  }
+  if (response.records.length === 0) {
+    throw Object.assign(new Error(`query ENODATA ${hostname}`), { code: "ENODATA", hostname });
+  }
+  return response.records;
+}
@@ -1,14 +1,30 @@
 import fs from "fs";
 import path from "path";
 import dns from "dns";
+import net from "net";
 import { randomUUID } from "crypto";
 import { openDb, migrate } from "../storage/db.js";
 import * as logger from "../utils/logger.js";
+import { classifyError, ERROR_CODES, truncateDetail } from "../utils/failure.js";
+import { parseUplinks, resolveSourceAddress, resolveUplinkLabels } from "../utils/uplinks.js";
+import { fingerprintAnswers, inspectCycle } from "./dns-integrity.js";
+import {
+  closeEncryptedSessions,
+  parseEncryptedEndpoint,
+  queryDoh,
+  queryDot,
+} from "./dns-encrypted.js";
+import { parseServerAddress, queryTcp, queryUdp } from "./dns-transport.js";
 
 const DEFAULT_HOSTNAMES = ["google.com"];
 const DEFAULT_INTERVAL_S = 60;
 const DEFAULT_TIMEOUT_MS = 3000;
-const COLD_LOOKUP_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_COLD_INTERVAL_S = 300;
+const DEFAULT_DRIFT_MEMORY_H = 24;
+// DNS_RESOLVERS entry that keeps the OS resolver (getaddrinfo) in the comparison.
+const SYSTEM_RESOLVER = "system";
+const RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "TXT", "NS", "SRV"];
+const MATCH_MODES = ["contains", "exact"];
 
 const TIMEOUT_ERROR_CODE = "DNS_LOOKUP_TIMEOUT";
 
@@ -83,6 +99,156 @@ function parseHostnames(raw) {
   return parts.length > 0 ? parts : [...DEFAULT_HOSTNAMES];
 }
 
+// DNS_RESOLVERS is a comma-separated list of "label=address[:port]" entries (a bare address is
+// labelled by itself), e.g. "isp=192.168.1.1,cloudflare=1.1.1.1,internal=10.0.0.53:5353". The
+// address "system" stands for the OS resolver; an empty list measures only the OS resolver.
+// "https://…" addresses are queried over DoH and "tls://host[:port]" over DoT; every resolver
+// carries its protocol ("do53", "doh" or "dot").
+function parseResolvers(raw) {
+  const resolvers = [];
+  const invalid = [];
+  const parts = String(raw ?? "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0);
+
+  for (const part of parts) {
+    const separator = part.indexOf("=");
+    const label = (separator > 0 ? part.slice(0, separator) : part).trim();
+    const address = (separator > 0 ? part.slice(separator + 1) : part).trim();
+    if (!label || !address || resolvers.some((resolver) => resolver.label === label)) {
+      invalid.push(part);
+      continue;
+    }
+    if (address.toLowerCase() === SYSTEM_RESOLVER) {
+      resolvers.push({ label, address: null, protocol: "do53", endpoint: null });
+      continue;
+    }
+    try {
+      const endpoint = parseEncryptedEndpoint(address);
+      if (!endpoint) {
+        // setServers validates the address (and optional port) without sending anything.
+        new dns.Resolver().setServers([address]);
+      }
+      resolvers.push({ label, address, protocol: endpoint?.protocol ?? "do53", endpoint });
+    } catch (error) {
+      invalid.push(part);
+    }
+  }
+
+  if (resolvers.length === 0) {
+    resolvers.push({ label: SYSTEM_RESOLVER, address: null, protocol: "do53", endpoint: null });
+  }
+  return { resolvers, invalid };
+}
+
+function normalizeName(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/\.$/, "")
+    .toLowerCase();
+}
+
+// An expected value is a literal, compared case-insensitively and ignoring a trailing dot, or a
+// "/pattern/flags" regular expression. Throws on an invalid pattern.
+function compileExpectation(value) {
+  const text = String(value ?? "").trim();
+  const pattern = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (pattern) {
+    // Stateful flags (g, y) would make test() depend on the previous call.
+    const regex = new RegExp(pattern[1], pattern[2].replace(/[gy]/g, ""));
+    return { value: text, test: (answer) => regex.test(answer) };
+  }
+  const literal = normalizeName(text);
+  return { value: text, test: (answer) => normalizeName(answer) === literal };
+}
+
+// A check is a bare hostname (address lookup, answer not validated) or
+// { hostname, type, expect, match, timeoutMs, coldIntervalS }: `type` is one of RECORD_TYPES,
+// `expect` a value or list of values, and `match` is "contains" (every expected value is in the
+// answer) or "exact" (the answer holds nothing else, which catches stale extra records).
+// `coldIntervalS` overrides DNS_COLD_INTERVAL_S for the check (0 disables cold lookups). Returns
+// null when invalid.
+function normalizeCheck(raw) {
+  if (typeof raw === "string") {
+    const hostname = raw.trim();
+    return hostname
+      ? {
+          hostname,
+          type: null,
+          expect: [],
+          match: "contains",
+          timeoutMs: null,
+          coldIntervalMs: null,
+        }
+      : null;
+  }
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+
+  const hostname = String(raw.hostname ?? raw.host ?? "").trim();
+  const type = raw.type ? String(raw.type).trim().toUpperCase() : null;
+  const match = raw.match ? String(raw.match).trim().toLowerCase() : "contains";
+  if (!hostname || (type && !RECORD_TYPES.includes(type)) || !MATCH_MODES.includes(match)) {
+    return null;
+  }
+  const values = (Array.isArray(raw.expect) ? raw.expect : raw.expect == null ? [] : [raw.expect])
+    .map((value) => String(value ?? "").trim())
+    .filter((value) => value.length > 0);
+  let expect;
+  try {
+    expect = values.map(compileExpectation);
+  } catch (error) {
+    return null;
+  }
+  const timeoutMs = toInteger(raw.timeoutMs, null);
+  const coldIntervalS = toInteger(raw.coldIntervalS, null);
+  return {
+    hostname,
+    type,
+    expect,
+    match,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : null,
+    coldIntervalMs:
+      Number.isFinite(coldIntervalS) && coldIntervalS >= 0 ? coldIntervalS * 1000 : null,
+  };
+}
+
+// Reads DNS_CHECKS_FILE: either an array of checks or { "checks": [...] }.
+function loadChecksFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    const list = Array.isArray(parsed) ? parsed : parsed?.checks;
+    if (!Array.isArray(list)) {
+      return { checks: [], error: `${filePath}: expected an array or a "checks" array` };
+    }
+    const checks = [];
+    const invalid = [];
+    for (const raw of list) {
+      const check = normalizeCheck(raw);
+      if (!check) {
+        invalid.push(JSON.stringify(raw));
+      } else if (
+        !checks.some((entry) => entry.hostname === check.hostname && entry.type === check.type)
+      ) {
+        checks.push(check);
+      }
+    }
+    if (checks.length === 0) {
+      return { checks, error: `${filePath}: no valid checks` };
+    }
+    return {
+      checks,
+      error:
+        invalid.length > 0 ? `${filePath}: ignoring invalid checks ${invalid.join(", ")}` : null,
+    };
+  } catch (error) {
+    return { checks: [], error: `${filePath}: ${error?.message ?? error}` };
+  }
+}
+
 function toInteger(value, fallback) {
   if (value === undefined || value === null) {
     return fallback;
@@ -92,16 +258,52 @@ function toInteger(value, fallback) {
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+function toBooleanFlag(value, fallback) {
+  const normalized = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (["1", "true", "yes", "on"].includes(normalized)) {
+    return true;
+  }
+  if (["0", "false", "no", "off"].includes(normalized)) {
+    return false;
+  }
+  return fallback;
+}
+
 function buildSettings() {
-  const hostnames = parseHostnames(getEnvValue("DNS_HOSTNAMES"));
+  // A valid DNS_CHECKS_FILE replaces DNS_HOSTNAMES.
+  const checksFile = String(getEnvValue("DNS_CHECKS_FILE") ?? "").trim();
+  const loaded = checksFile ? loadChecksFile(checksFile) : { checks: [], error: null };
+  const checks =
+    loaded.checks.length > 0
+      ? loaded.checks
+      : parseHostnames(getEnvValue("DNS_HOSTNAMES")).map((hostname) => normalizeCheck(hostname));
   const intervalSeconds = toInteger(getEnvValue("DNS_INTERVAL_S"), DEFAULT_INTERVAL_S);
   const timeoutMs = toInteger(getEnvValue("DNS_TIMEOUT_MS"), DEFAULT_TIMEOUT_MS);
+  const driftMemoryHours = toInteger(getEnvValue("DNS_DRIFT_MEMORY_H"), DEFAULT_DRIFT_MEMORY_H);
+  const coldIntervalSeconds = toInteger(
+    getEnvValue("DNS_COLD_INTERVAL_S"),
+    DEFAULT_COLD_INTERVAL_S
+  );
+  const uplinkMap = parseUplinks(getEnvValue("UPLINKS"));
+  const { labels, unknown } = resolveUplinkLabels(getEnvValue("DNS_UPLINKS"), uplinkMap);
+  const { resolvers, invalid } = parseResolvers(getEnvValue("DNS_RESOLVERS"));
 
   return {
-    hostnames,
+    hostnames: [...new Set(checks.map((check) => check.hostname))],
+    checks,
+    checksFileError: loaded.error,
     intervalMs: Math.max(intervalSeconds, 1) * 1000,
     timeoutMs: Math.max(timeoutMs, 1),
+    coldIntervalMs: Math.max(coldIntervalSeconds, 0) * 1000,
+    driftMemoryMs: Math.max(driftMemoryHours, 1) * 60 * 60 * 1000,
+    tcpCheck: toBooleanFlag(getEnvValue("DNS_TCP_CHECK"), false),
     resolver: resolveResolverString(),
+    resolvers,
+    invalidResolvers: invalid,
+    uplinks: labels.map((label) => ({ label, source: uplinkMap[label] })),
+    unknownUplinks: unknown,
   };
 }
 
@@ -175,26 +377,110 @@ function withTimeout(promise, timeoutMs, { signal } = {}) {
   });
 }
 
-// Determines whether a cold lookup should run for the hostname.
+// Determines whether a cold lookup should run for the hostname (keyed per uplink).
 // Called on every DNS cycle (typically once per minute).
-function shouldRunColdLookup(hostname, now, force) {
+// An interval of 0 disables cold lookups (except forced ones).
+function shouldRunColdLookup(key, now, force, intervalMs) {
   if (force) {
     return true;
   }
-  const last = coldLookupState.get(hostname);
+  if (intervalMs <= 0) {
+    return false;
+  }
+  const last = coldLookupState.get(key);
   if (!Number.isFinite(last)) {
     return true;
   }
-  return now - last >= COLD_LOOKUP_INTERVAL_MS;
+  return now - last >= intervalMs;
+}
+
+// Stores the timestamp of the last cold lookup so we can respect the configured cadence.
+function rememberColdLookup(key, ts) {
+  coldLookupState.set(key, ts);
 }
 
-// Stores the timestamp of the last cold lookup so we can respect the 5 minute cadence.
-function rememberColdLookup(hostname, ts) {
-  coldLookupState.set(hostname, ts);
+// Queries a resolver directly for one record type (by default A, or AAAA when the uplink address
+// is IPv6), bypassing getaddrinfo and the OS cache. Used for configured resolvers (`server`),
+// record-type checks and lookups bound to an uplink, since getaddrinfo cannot pick a source
+// address; without a server the system's resolvers are queried. Resolves to { records, ttl }; the
+// resolver only reports TTLs for A and AAAA.
+async function queryDirect(
+  hostname,
+  { server = null, localAddress = null, type = null, timeoutMs }
+) {
+  const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 1 });
+  if (server) {
+    resolver.setServers([server]);
+  }
+  if (net.isIPv6(localAddress)) {
+    resolver.setLocalAddress("0.0.0.0", localAddress);
+  } else if (localAddress) {
+    resolver.setLocalAddress(localAddress);
+  }
+  const recordType = type ?? (net.isIPv6(localAddress) ? "AAAA" : "A");
+  if (recordType === "A" || recordType === "AAAA") {
+    const resolve = recordType === "A" ? resolver.resolve4 : resolver.resolve6;
+    const records = await resolve.call(resolver, hostname, { ttl: true });
+    return {
+      records: records.map((record) => record.address),
+      ttl: records.length ? Math.min(...records.map((record) => record.ttl)) : null,
+    };
+  }
+  return { records: await resolver.resolve(hostname, recordType), ttl: null };
+}
+
+// Flattens lookup/resolve results into sorted strings: addresses, names, "priority exchange" for
+// MX, the joined chunks for TXT and "priority weight port name" for SRV.
+function formatAnswers(records) {
+  return (Array.isArray(records) ? records : [])
+    .map((record) => {
+      if (typeof record === "string") {
+        return record;
+      }
+      if (Array.isArray(record)) {
+        return record.join("");
+      }
+      if (record?.address) {
+        return record.address;
+      }
+      if (record?.exchange !== undefined) {
+        return `${record.priority} ${record.exchange}`;
+      }
+      if (record?.port !== undefined) {
+        return `${record.priority} ${record.weight} ${record.port} ${record.name}`;
+      }
+      return String(record);
+    })
+    .sort();
+}
+
+// Compares the answer set with the check's expected values. Returns a mismatch description, or
+// null when the answer is as expected (or nothing is expected).
+function validateAnswers(check, answers) {
+  if (!check.expect.length) {
+    return null;
+  }
+  const missing = check.expect.filter((expectation) => !answers.some(expectation.test));
+  const unexpected =
+    check.match === "exact"
+      ? answers.filter((answer) => !check.expect.some((expectation) => expectation.test(answer)))
+      : [];
+  if (missing.length === 0 && unexpected.length === 0) {
+    return null;
+  }
+  const parts = [];
+  if (missing.length > 0) {
+    parts.push(`missing ${missing.map((expectation) => expectation.value).join(", ")}`);
+  }
+  if (unexpected.length > 0) {
+    parts.push(`unexpected ${unexpected.join(", ")}`);
+  }
+  parts.push(`got ${answers.length ? answers.join(", ") : "no records"}`);
+  return truncateDetail(`${check.type ?? "address"} ${check.hostname}: ${parts.join("; ")}`);
 }
 
 // Generates a unique, cache-busting hostname for cold DNS lookups.
-// Invoked whenever a cold lookup is required (~every 5 minutes per target).
+// Invoked whenever a cold lookup is due (DNS_COLD_INTERVAL_S or the check's coldIntervalS).
 function buildColdHostname(hostname) {
   const suffix = String(hostname ?? "").trim();
   if (!suffix) {
@@ -205,59 +491,236 @@ function buildColdHostname(hostname) {
 }
 
 // Performs a single DNS lookup and measures the elapsed time.
-// Used for both hot and cold measurements within each cycle.
-async function performLookup(hostname, settings, { signal } = {}) {
+// Used for both hot and cold measurements within each cycle. Failures carry a normalized
+// { code, detail } reason.
+async function performLookup(
+  hostname,
+  settings,
+  {
+    signal,
+    localAddress = null,
+    server = null,
+    endpoint = null,
+    type = null,
+    timeoutMs = settings.timeoutMs,
+  } = {}
+) {
   const trimmedHost = String(hostname ?? "").trim();
   if (!trimmedHost) {
-    return { success: false, durationMs: null };
+    return {
+      success: false,
+      durationMs: null,
+      failure: { code: ERROR_CODES.INVALID_TARGET, detail: null },
+    };
   }
 
   const start = process.hrtime.bigint();
   try {
-    await withTimeout(dns.promises.lookup(trimmedHost), settings.timeoutMs, { signal });
+    const recordType = type ?? (net.isIPv6(localAddress) ? "AAAA" : "A");
+    let lookup;
+    if (endpoint?.protocol === "doh") {
+      lookup = queryDoh(endpoint, trimmedHost, recordType, { localAddress, timeoutMs });
+    } else if (endpoint?.protocol === "dot") {
+      lookup = queryDot(endpoint, trimmedHost, recordType, { localAddress, timeoutMs });
+    } else if (server || localAddress || type) {
+      lookup = queryDirect(trimmedHost, { server, localAddress, type, timeoutMs });
+    } else {
+      // getaddrinfo does not expose TTLs.
+      lookup = dns.promises
+        .lookup(trimmedHost, { all: true })
+        .then((records) => ({ records, ttl: null }));
+    }
+    const { records, ttl } = await withTimeout(lookup, timeoutMs, { signal });
     const end = process.hrtime.bigint();
-    return { success: true, durationMs: Number(end - start) / 1e6 };
+    return {
+      success: true,
+      durationMs: Number(end - start) / 1e6,
+      answers: formatAnswers(records),
+      ttl,
+      failure: null,
+    };
   } catch (error) {
-    return { success: false, durationMs: null };
+    const failure = classifyError(error);
+    // NXDOMAIN is still an answer from the resolver, so it is timed too.
+    const durationMs =
+      failure.code === ERROR_CODES.ENOTFOUND
+        ? Number(process.hrtime.bigint() - start) / 1e6
+        : null;
+    return { success: false, durationMs, failure };
   }
 }
 
-// Collects hot (cached) and optionally cold (cache-busting) measurements for a hostname.
-// Executed once per hostname on each collector cycle.
-async function measureHostname(hostname, settings, { signal, forceCold = false } = {}) {
-  const trimmedHost = String(hostname ?? "").trim();
+// Times the check's query over plain UDP and over TCP against a Do53 resolver (the OS resolver's
+// first server when `server` is null). Returns null when there is no server to ask.
+async function measureTransports(check, { server, localAddress, timeoutMs }) {
+  const target = parseServerAddress(server ?? dns.getServers()[0]);
+  if (!target) {
+    return null;
+  }
+  const hostname = String(check.hostname ?? "").trim();
+  const type = check.type ?? (net.isIPv6(localAddress) ? "AAAA" : "A");
+  const result = {
+    udp_ms: null,
+    udp_truncated: null,
+    tcp_ms: null,
+    tcp_success: 0,
+    tcp_error_code: null,
+  };
+  try {
+    const udp = await queryUdp(target, hostname, type, { localAddress, timeoutMs });
+    result.udp_ms = udp.durationMs;
+    result.udp_truncated = udp.response.truncated ? 1 : 0;
+  } catch (error) {
+    // A lost UDP answer leaves the timing empty; the hot lookup already records the failure.
+  }
+  try {
+    const tcp = await queryTcp(target, hostname, type, { localAddress, timeoutMs });
+    result.tcp_ms = tcp.durationMs;
+    result.tcp_success = 1;
+  } catch (error) {
+    result.tcp_error_code = classifyError(error).code;
+  }
+  return result;
+}
+
+function buildFailedSample(check, settings, { uplink = null, resolver = null, failure }) {
+  return {
+    ts: Date.now(),
+    hostname: check.hostname,
+    record_type: check.type,
+    answers: null,
+    answers_fp: null,
+    nxdomain_hijack: null,
+    nxdomain_answers: null,
+    resolver: resolver?.address ?? settings.resolver,
+    resolver_name: resolver?.label ?? SYSTEM_RESOLVER,
+    protocol: resolver?.protocol ?? "do53",
+    uplink: uplink?.label ?? null,
+    lookup_ms: null,
+    lookup_ms_hot: null,
+    lookup_ms_cold: null,
+    ttl_s: null,
+    udp_ms: null,
+    udp_truncated: null,
+    tcp_ms: null,
+    tcp_success: null,
+    tcp_error_code: null,
+    success: 0,
+    success_hot: 0,
+    success_cold: null,
+    error_code: failure.code,
+    error_detail: failure.detail,
+  };
+}
+
+// Collects hot (cached) and optionally cold (cache-busting) measurements for a check (see
+// normalizeCheck) and validates the hot answer against its expected values. Executed once per
+// check, uplink ({ label, source } or null) and resolver ({ label, address } from DNS_RESOLVERS,
+// null for the OS resolver) on each collector cycle.
+async function measureHostname(
+  check,
+  settings,
+  { signal, forceCold = false, uplink = null, resolver = null } = {}
+) {
+  const trimmedHost = String(check.hostname ?? "").trim();
   const now = Date.now();
+  const lookupOptions = {
+    signal,
+    server: resolver?.endpoint ? null : (resolver?.address ?? null),
+    endpoint: resolver?.endpoint ?? null,
+    type: check.type,
+    timeoutMs: check.timeoutMs ?? settings.timeoutMs,
+  };
   const sample = {
     ts: now,
     hostname: trimmedHost,
-    resolver: settings.resolver,
+    record_type: check.type,
+    answers: null,
+    answers_fp: null,
+    nxdomain_hijack: null,
+    nxdomain_answers: null,
+    resolver: resolver?.address ?? settings.resolver,
+    resolver_name: resolver?.label ?? SYSTEM_RESOLVER,
+    protocol: resolver?.protocol ?? "do53",
+    uplink: uplink?.label ?? null,
     lookup_ms: null,
     lookup_ms_hot: null,
     lookup_ms_cold: null,
+    ttl_s: null,
+    udp_ms: null,
+    udp_truncated: null,
+    tcp_ms: null,
+    tcp_success: null,
+    tcp_error_code: null,
     success: 0,
     success_hot: null,
     success_cold: null,
+    error_code: null,
+    error_detail: null,
   };
 
   if (!trimmedHost) {
+    sample.error_code = ERROR_CODES.INVALID_TARGET;
     return { sample, coldExecuted: false };
   }
 
-  const hot = await performLookup(trimmedHost, settings, { signal });
+  let localAddress = null;
+  if (uplink) {
+    localAddress = resolveSourceAddress(uplink.source);
+    if (!localAddress) {
+      sample.error_code = ERROR_CODES.UNKNOWN;
+      sample.error_detail = `No address on uplink ${uplink.label} (${uplink.source})`;
+      return { sample, coldExecuted: false };
+    }
+  }
+
+  const hot = await performLookup(trimmedHost, settings, { ...lookupOptions, localAddress });
+  // A wrong answer counts as a failed lookup; its timing is still recorded.
+  const mismatch = hot.success ? validateAnswers(check, hot.answers) : null;
+  const hotFailure = mismatch ? { code: ERROR_CODES.DNS_MISMATCH, detail: mismatch } : hot.failure;
   sample.lookup_ms_hot = hot.durationMs;
-  sample.success_hot = hot.success ? 1 : 0;
-  sample.success = hot.success ? 1 : 0;
+  sample.ttl_s = hot.ttl ?? null;
+  sample.answers = hot.answers ?? null;
+  sample.answers_fp = fingerprintAnswers(sample.answers);
+  sample.success_hot = hotFailure ? 0 : 1;
+  sample.success = sample.success_hot;
+  // The reason follows `success`, which is driven by the hot lookup.
+  sample.error_code = hotFailure?.code ?? null;
+  sample.error_detail = hotFailure?.detail ?? null;
 
   let coldExecuted = false;
-  if (shouldRunColdLookup(trimmedHost, now, forceCold)) {
+  const coldKey = [trimmedHost, check.type, uplink?.label, resolver?.label].join("|");
+  const coldIntervalMs = check.coldIntervalMs ?? settings.coldIntervalMs;
+  if (shouldRunColdLookup(coldKey, now, forceCold, coldIntervalMs)) {
     const coldHostname = buildColdHostname(trimmedHost);
-    const cold = await performLookup(coldHostname, settings, { signal });
+    const cold = await performLookup(coldHostname, settings, { ...lookupOptions, localAddress });
+    const coldNotFound = cold.failure?.code === ERROR_CODES.ENOTFOUND;
+    // The random name does not exist, so NXDOMAIN is the expected answer and its time is the
+    // resolver's uncached recursion time.
     sample.lookup_ms_cold = cold.durationMs;
-    sample.success_cold = cold.success ? 1 : 0;
-    rememberColdLookup(trimmedHost, now);
+    sample.success_cold = cold.success || coldNotFound ? 1 : 0;
+    // Any records are made up by the resolver (NXDOMAIN redirection); only a clean "not found"
+    // proves it is not.
+    if (cold.success) {
+      sample.nxdomain_hijack = 1;
+      sample.nxdomain_answers = cold.answers;
+    } else if (coldNotFound) {
+      sample.nxdomain_hijack = 0;
+    }
+    rememberColdLookup(coldKey, now);
     coldExecuted = true;
   }
 
+  // DoH and DoT run over TCP already; UDP vs TCP only applies to plain DNS.
+  if (settings.tcpCheck && !resolver?.endpoint) {
+    const transports = await measureTransports(check, {
+      server: resolver?.address ?? null,
+      localAddress,
+      timeoutMs: lookupOptions.timeoutMs,
+    });
+    Object.assign(sample, transports);
+  }
+
   sample.lookup_ms = sample.lookup_ms_cold ?? sample.lookup_ms_hot ?? null;
   if (sample.success_hot == null) {
     sample.success_hot = sample.success;
@@ -266,39 +729,230 @@ async function measureHostname(hostname, settings, { signal, forceCold = false }
   return { sample, coldExecuted };
 }
 
+function computePercentile(sorted, percentile) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * percentile;
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.ceil(position);
+  const weight = position - lowerIndex;
+  return sorted[lowerIndex] + (sorted[upperIndex] - sorted[lowerIndex]) * weight;
+}
+
+function roundMs(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(3)) : null;
+}
+
+// Ranks resolvers over dns_sample rows ({ resolver, resolver_name, lookup_ms_hot, success_hot,
+// lookup_ms_cold, success }). Hot lookups carry the resolver's own answer time, so they drive the
+// ranking: fewest failures first (compared in whole percent, so a single lost query does not
+// outweigh a large latency gap), then the lowest p95. Cold lookups and, with DNS_TCP_CHECK, the
+// UDP/TCP timings, truncated UDP answers and failed TCP queries are reported alongside.
+export function rankResolvers(rows) {
+  const groups = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const name = row.resolver_name ?? row.resolver ?? SYSTEM_RESOLVER;
+    let group = groups.get(name);
+    if (!group) {
+      group = {
+        resolver: name,
+        server: row.resolver ?? null,
+        protocol: row.protocol ?? null,
+        samples: 0,
+        failures: 0,
+        hot: [],
+        cold: [],
+        udp: [],
+        tcp: [],
+        tcpChecks: 0,
+        tcpFailures: 0,
+        truncated: 0,
+      };
+      groups.set(name, group);
+    }
+    group.samples += 1;
+    if (Number(row.success_hot ?? row.success) !== 1) {
+      group.failures += 1;
+    } else if (Number.isFinite(row.lookup_ms_hot)) {
+      group.hot.push(row.lookup_ms_hot);
+    }
+    if (Number.isFinite(row.lookup_ms_cold)) {
+      group.cold.push(row.lookup_ms_cold);
+    }
+    if (Number.isFinite(row.udp_ms)) {
+      group.udp.push(row.udp_ms);
+    }
+    if (Number(row.udp_truncated) === 1) {
+      group.truncated += 1;
+    }
+    if (row.tcp_success !== null && row.tcp_success !== undefined) {
+      group.tcpChecks += 1;
+      if (Number(row.tcp_success) !== 1) {
+        group.tcpFailures += 1;
+      } else if (Number.isFinite(row.tcp_ms)) {
+        group.tcp.push(row.tcp_ms);
+      }
+    }
+  }
+
+  const ranked = [...groups.values()].map((group) => {
+    const hot = group.hot.sort((a, b) => a - b);
+    const cold = group.cold.sort((a, b) => a - b);
+    const udp = group.udp.sort((a, b) => a - b);
+    const tcp = group.tcp.sort((a, b) => a - b);
+    const failurePct = group.samples > 0 ? (group.failures / group.samples) * 100 : null;
+    return {
+      resolver: group.resolver,
+      server: group.server,
+      protocol: group.protocol,
+      samples: group.samples,
+      failures: group.failures,
+      failure_pct: failurePct === null ? null : Number(failurePct.toFixed(2)),
+      p50_ms: roundMs(computePercentile(hot, 0.5)),
+      p95_ms: roundMs(computePercentile(hot, 0.95)),
+      avg_ms: roundMs(hot.length ? hot.reduce((sum, value) => sum + value, 0) / hot.length : null),
+      cold_p95_ms: roundMs(computePercentile(cold, 0.95)),
+      udp_p95_ms: roundMs(computePercentile(udp, 0.95)),
+      tcp_p95_ms: roundMs(computePercentile(tcp, 0.95)),
+      tcp_checks: group.tcpChecks,
+      tcp_failures: group.tcpFailures,
+      truncated: group.truncated,
+    };
+  });
+
+  ranked.sort((a, b) => {
+    const failureDiff = Math.floor(a.failure_pct ?? 100) - Math.floor(b.failure_pct ?? 100);
+    if (failureDiff !== 0) {
+      return failureDiff;
+    }
+    return (a.p95_ms ?? Infinity) - (b.p95_ms ?? Infinity);
+  });
+  return ranked.map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+// Estimates cache effectiveness per hostname over dns_sample rows (oldest first). A hot lookup the
+// resolver answers from its cache costs about one round trip, while a miss pays for recursion the
+// way a cold lookup does, so per hostname and resolver a hot lookup counts as a cache hit when it
+// is closer to the fastest hot lookup than to the cold median. Without cold lookups to compare
+// against (or when they are no slower) the hit ratio is left empty. TTLs come from the hot answers.
+export function summarizeCache(rows) {
+  const groups = new Map();
+  const hostnames = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const hostname = row.hostname;
+    if (!hostname) {
+      continue;
+    }
+    const key = `${hostname}|${row.resolver_name ?? row.resolver ?? SYSTEM_RESOLVER}`;
+    const group = groups.get(key) ?? { hostname, hot: [], cold: [] };
+    if (Number(row.success_hot ?? row.success) === 1 && Number.isFinite(row.lookup_ms_hot)) {
+      group.hot.push(row.lookup_ms_hot);
+    }
+    if (Number(row.success_cold) === 1 && Number.isFinite(row.lookup_ms_cold)) {
+      group.cold.push(row.lookup_ms_cold);
+    }
+    groups.set(key, group);
+
+    const entry = hostnames.get(hostname) ?? {
+      hostname,
+      hot: [],
+      cold: [],
+      classified: 0,
+      hits: 0,
+      ttls: [],
+      ttl_s: null,
+    };
+    if (Number.isFinite(row.ttl_s)) {
+      entry.ttls.push(row.ttl_s);
+      entry.ttl_s = row.ttl_s;
+    }
+    hostnames.set(hostname, entry);
+  }
+
+  for (const group of groups.values()) {
+    const entry = hostnames.get(group.hostname);
+    entry.hot.push(...group.hot);
+    entry.cold.push(...group.cold);
+    const floor = group.hot.length ? Math.min(...group.hot) : null;
+    group.cold.sort((a, b) => a - b);
+    const coldMedian = computePercentile(group.cold, 0.5);
+    if (floor === null || coldMedian === null || coldMedian <= floor) {
+      continue;
+    }
+    const threshold = (floor + coldMedian) / 2;
+    entry.classified += group.hot.length;
+    entry.hits += group.hot.filter((value) => value <= threshold).length;
+  }
+
+  return Object.fromEntries(
+    [...hostnames.values()].map((entry) => {
+      const hot = entry.hot.sort((a, b) => a - b);
+      const cold = entry.cold.sort((a, b) => a - b);
+      return [
+        entry.hostname,
+        {
+          hot_samples: hot.length,
+          cold_samples: cold.length,
+          hot_p50_ms: roundMs(computePercentile(hot, 0.5)),
+          cold_p50_ms: roundMs(computePercentile(cold, 0.5)),
+          cache_hits: entry.classified > 0 ? entry.hits : null,
+          cache_hit_pct:
+            entry.classified > 0
+              ? Number(((entry.hits / entry.classified) * 100).toFixed(1))
+              : null,
+          ttl_s: entry.ttl_s,
+          ttl_min_s: entry.ttls.length ? Math.min(...entry.ttls) : null,
+          ttl_max_s: entry.ttls.length ? Math.max(...entry.ttls) : null,
+        },
+      ];
+    })
+  );
+}
+
 export async function resolveOnce(hostname, { signal } = {}) {
   const settings = getDnsSettings();
-  const { sample } = await measureHostname(hostname, settings, { signal, forceCold: true });
+  const check =
+    settings.checks.find((entry) => entry.hostname === hostname) ?? normalizeCheck(hostname);
+  if (!check) {
+    return buildFailedSample({ hostname, type: null }, settings, {
+      failure: { code: ERROR_CODES.INVALID_TARGET, detail: null },
+    });
+  }
+  const { sample } = await measureHostname(check, settings, { signal, forceCold: true });
   return sample;
 }
 
-export async function measureCycle(hostnames, { signal } = {}) {
+// Measures every check (hostnames or check objects, see normalizeCheck) through each uplink and
+// resolver and stores the samples.
+export async function measureCycle(checks, { signal } = {}) {
   ensureDbReady();
   const settings = getDnsSettings();
-  const providedList = Array.isArray(hostnames) ? hostnames : settings.hostnames;
-  const list = providedList.map((host) => String(host).trim()).filter((host) => host.length > 0);
+  const providedList = Array.isArray(checks) ? checks : settings.checks;
+  const list = providedList
+    .map((check) => (typeof check === "string" ? normalizeCheck(check) : check))
+    .filter(Boolean);
+
+  // Without DNS_UPLINKS every hostname is measured once over the default route.
+  const uplinks = settings.uplinks.length > 0 ? settings.uplinks : [null];
 
   const samples = [];
 
-  for (const host of list) {
-    if (signal?.aborted) {
-      break;
-    }
-    try {
-      const { sample } = await measureHostname(host, settings, { signal });
-      samples.push(sample);
-    } catch (error) {
-      samples.push({
-        ts: Date.now(),
-        hostname: host,
-        resolver: settings.resolver,
-        lookup_ms: null,
-        lookup_ms_hot: null,
-        lookup_ms_cold: null,
-        success: 0,
-        success_hot: 0,
-        success_cold: null,
-      });
+  for (const check of list) {
+    for (const uplink of uplinks) {
+      for (const resolver of settings.resolvers) {
+        if (signal?.aborted) {
+          break;
+        }
+        try {
+          const { sample } = await measureHostname(check, settings, { signal, uplink, resolver });
+          samples.push(sample);
+        } catch (error) {
+          samples.push(
+            buildFailedSample(check, settings, { uplink, resolver, failure: classifyError(error) })
+          );
+        }
+      }
     }
   }
 
@@ -308,7 +962,7 @@ export async function measureCycle(hostnames, { signal } = {}) {
 
   const db = openDb();
   const insert = db.prepare(
-    "INSERT INTO dns_sample (ts, hostname, resolver, lookup_ms, lookup_ms_hot, lookup_ms_cold, success, success_hot, success_cold) VALUES (@ts, @hostname, @resolver, @lookup_ms, @lookup_ms_hot, @lookup_ms_cold, @success, @success_hot, @success_cold)"
+    "INSERT INTO dns_sample (ts, hostname, record_type, answers_json, answers_fp, nxdomain_hijack, nxdomain_answers_json, resolver, resolver_name, protocol, uplink, lookup_ms, lookup_ms_hot, lookup_ms_cold, ttl_s, udp_ms, udp_truncated, tcp_ms, tcp_success, tcp_error_code, success, success_hot, success_cold, error_code, error_detail) VALUES (@ts, @hostname, @record_type, @answers_json, @answers_fp, @nxdomain_hijack, @nxdomain_answers_json, @resolver, @resolver_name, @protocol, @uplink, @lookup_ms, @lookup_ms_hot, @lookup_ms_cold, @ttl_s, @udp_ms, @udp_truncated, @tcp_ms, @tcp_success, @tcp_error_code, @success, @success_hot, @success_cold, @error_code, @error_detail)"
   );
 
   const insertMany = db.transaction((rows) => {
@@ -316,10 +970,26 @@ export async function measureCycle(hostnames, { signal } = {}) {
       insert.run({
         ts: row.ts,
         hostname: row.hostname,
+        record_type: row.record_type ?? null,
+        answers_json: Array.isArray(row.answers) ? JSON.stringify(row.answers) : null,
+        answers_fp: row.answers_fp ?? null,
+        nxdomain_hijack: row.nxdomain_hijack ?? null,
+        nxdomain_answers_json: Array.isArray(row.nxdomain_answers)
+          ? JSON.stringify(row.nxdomain_answers)
+          : null,
         resolver: row.resolver,
+        resolver_name: row.resolver_name ?? null,
+        protocol: row.protocol ?? null,
+        uplink: row.uplink ?? null,
         lookup_ms: row.lookup_ms,
         lookup_ms_hot: row.lookup_ms_hot,
         lookup_ms_cold: row.lookup_ms_cold,
+        ttl_s: row.ttl_s ?? null,
+        udp_ms: row.udp_ms ?? null,
+        udp_truncated: row.udp_truncated ?? null,
+        tcp_ms: row.tcp_ms ?? null,
+        tcp_success: row.tcp_success ?? null,
+        tcp_error_code: row.tcp_error_code ?? null,
         success: row.success ? 1 : 0,
         success_hot: row.success_hot ?? (row.success ? 1 : 0),
         success_cold:
@@ -328,12 +998,20 @@ export async function measureCycle(hostnames, { signal } = {}) {
             : row.success_cold
                 ? 1
                 : 0,
+        error_code: row.success ? null : (row.error_code ?? null),
+        error_detail: row.success ? null : (row.error_detail ?? null),
       });
     }
   });
 
   insertMany(samples);
 
+  try {
+    inspectCycle(samples, { memoryMs: settings.driftMemoryMs });
+  } catch (error) {
+    logger.error("dns", "Answer integrity check failed", error);
+  }
+
   return samples;
 }
 
@@ -348,12 +1026,57 @@ let activeLoopController;
 
 function createLoopController({ signal } = {}) {
   const settings = getDnsSettings();
-  const hostnames = settings.hostnames;
+  const { hostnames, checks } = settings;
   logger.info(
     "dns",
     `Starting DNS loop for: ${hostnames.length ? hostnames.join(", ") : "(none)"}`
   );
-  logger.info("dns", `Interval: ${settings.intervalMs / 1000}s, timeout: ${settings.timeoutMs}ms`);
+  const typedChecks = checks.filter((check) => check.type || check.expect.length > 0);
+  if (typedChecks.length > 0) {
+    logger.info(
+      "dns",
+      `Record checks: ${typedChecks
+        .map(
+          (check) =>
+            `${check.hostname} ${check.type ?? "address"} (${check.expect.length} expected)`
+        )
+        .join(", ")}`
+    );
+  }
+  if (settings.checksFileError) {
+    logger.warn("dns", `DNS_CHECKS_FILE: ${settings.checksFileError}`);
+  }
+  logger.info(
+    "dns",
+    `Interval: ${settings.intervalMs / 1000}s, timeout: ${settings.timeoutMs}ms, cold lookups: ${
+      settings.coldIntervalMs > 0 ? `every ${settings.coldIntervalMs / 1000}s` : "disabled"
+    }`
+  );
+  if (settings.tcpCheck) {
+    logger.info("dns", "UDP vs TCP comparison enabled for plain DNS resolvers.");
+  }
+  if (settings.uplinks.length > 0) {
+    logger.info("dns", `Uplinks: ${settings.uplinks.map((uplink) => uplink.label).join(", ")}`);
+  }
+  logger.info(
+    "dns",
+    `Resolvers: ${settings.resolvers
+      .map((resolver) =>
+        resolver.address
+          ? `${resolver.label} (${resolver.protocol} ${resolver.address})`
+          : resolver.label
+      )
+      .join(", ")}`
+  );
+  if (settings.invalidResolvers.length > 0) {
+    logger.warn("dns", `Ignoring invalid DNS_RESOLVERS: ${settings.invalidResolvers.join(", ")}`);
+  }
+  if (settings.unknownUplinks.length > 0) {
+    logger.warn(
+      "dns",
+      `Ignoring unknown DNS_UPLINKS: ${settings.unknownUplinks.join(", ")} (define them in UPLINKS).`
+    );
+  }
 
   let stopRequested = false;
   let pendingSleepResolve = null;
@@ -402,7 +1125,7 @@ function createLoopController({ signal } = {}) {
       while (!stopRequested) {
         const cycleStart = Date.now();
         try {
-          const samples = await measureCycle(hostnames, { signal: loopSignal });
+          const samples = await measureCycle(checks, { signal: loopSignal });
           logger.info(
             "dns",
             `Cycle complete: ${samples.length} sample${samples.length === 1 ? "" : "s"} inserted.`
@@ -436,6 +1159,7 @@ function createLoopController({ signal } = {}) {
       }
       pendingSleepTimer = null;
       pendingSleepResolve = null;
+      closeEncryptedSessions();
       logger.info("dns", "Loop stopped.");
     }
   })();
@@ -0,0 +1,511 @@
+import net from "net";
+import { getConfig, selectPathSeries } from "../config/index.js";
+import { openDb, migrate } from "../storage/db.js";
+import { recordEvent } from "../storage/events.js";
+import * as logger from "../utils/logger.js";
+import { GATEWAY_TAG } from "../utils/gateway.js";
+import { parseEchoReplies, runPing, terminateChildProcess } from "./ping-command.js";
+import { createProbeScheduler } from "./probe-scheduler.js";
+
+// Fault localization: says where a degradation sits by comparing ping series that play a role on
+// the path. The gateway (tag "gateway") stands for the local network, the ISP's first hop (tag
+// "isp", or the first public hop of the latest traceroute_run, probed here) for the access link,
+// and public anycast resolvers (tag "anycast" or well-known addresses) for the wider Internet. The
+// closest failing role wins: a lossy gateway explains a lossy Internet, not the other way round.
+// Every evaluation is stored in fault_verdict and verdict changes are recorded as events.
+
+export const FAULT_VERDICTS = Object.freeze({
+  OK: "ok",
+  LAN: "lan",
+  ISP: "isp",
+  UPSTREAM: "upstream",
+  DESTINATION: "destination",
+  UNKNOWN: "unknown",
+});
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_WINDOW_MS = 2 * 60 * 1000;
+const DEFAULT_LOSS_PCT = 5;
+const DEFAULT_P95_MS = 200;
+// Fewer probes than this in the window leave a target's status unknown.
+const MIN_SAMPLES = 5;
+const ISP_PROBE_COUNT = 5;
+const ISP_PROBE_INTERVAL_MS = 200;
+const ISP_PROBE_TIMEOUT_MS = 2000;
+
+const ANYCAST_HOSTS = new Set([
+  "1.1.1.1",
+  "1.0.0.1",
+  "8.8.8.8",
+  "8.8.4.4",
+  "9.9.9.9",
+  "149.112.112.112",
+  "208.67.222.222",
+  "208.67.220.220",
+  "2606:4700:4700::1111",
+  "2606:4700:4700::1001",
+  "2001:4860:4860::8888",
+  "2001:4860:4860::8844",
+  "2620:fe::fe",
+]);
+
+const PRIVATE_V4_PREFIXES = [
+  [0x0a000000, 8],
+  [0xac100000, 12],
+  [0xc0a80000, 16],
+  [0x7f000000, 8],
+  [0xa9fe0000, 16],
+  [0x00000000, 8],
+];
+
+let migrationsEnsured = false;
+let insertStatement = null;
+let activeController = null;
+const activeProcesses = new Set();
+
+function ensureDbReady() {
+  if (!migrationsEnsured) {
+    migrate();
+    migrationsEnsured = true;
+  }
+}
+
+function getInsertStatement(db) {
+  if (!insertStatement) {
+    insertStatement = db.prepare(`
+      INSERT INTO fault_verdict (
+        ts, verdict, lan_status, isp_status, internet_status, isp_hop, affected_json, detail_json
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+  }
+  return insertStatement;
+}
+
+export function getFaultSettings() {
+  const config = getConfig();
+  const fault = config?.fault ?? {};
+  return {
+    // One verdict for the default route, which the gateway series is the first hop of.
+    series: selectPathSeries(config, { gateway: true, uplinks: false }),
+    intervalMs: fault.intervalMs ?? DEFAULT_INTERVAL_MS,
+    windowMs: fault.windowMs ?? DEFAULT_WINDOW_MS,
+    lossPct: fault.lossPct ?? DEFAULT_LOSS_PCT,
+    p95Ms: fault.p95Ms ?? DEFAULT_P95_MS,
+  };
+}
+
+// Role of a ping series on the path: "lan", "isp", "internet" or "destination".
+export function resolveFaultRole(series) {
+  const tags = Array.isArray(series?.tags) ? series.tags : [];
+  if (series?.gateway || tags.includes(GATEWAY_TAG)) {
+    return "lan";
+  }
+  if (tags.includes("isp")) {
+    return "isp";
+  }
+  if (tags.includes("anycast") || ANYCAST_HOSTS.has(series?.host)) {
+    return "internet";
+  }
+  return "destination";
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) {
+    const value = ip.split(".").reduce((acc, octet) => acc * 256 + Number(octet), 0);
+    return PRIVATE_V4_PREFIXES.some(
+      ([prefix, bits]) =>
+        Math.floor(value / 2 ** (32 - bits)) === Math.floor(prefix / 2 ** (32 - bits))
+    );
+  }
+  if (net.isIPv6(ip)) {
+    return /^(::1$|f[cd]|fe[89ab])/i.test(ip);
+  }
+  return true;
+}
+
+// First public hop of the latest successful default-route traceroute: the ISP's side of the
+// access link. Private hops are the LAN (or the modem); CGNAT addresses (100.64/10) already belong
+// to the ISP.
+function findIspHop(db) {
+  const row = db
+    .prepare(
+      "SELECT target, hops_json FROM traceroute_run WHERE success = 1 AND uplink IS NULL ORDER BY ts DESC LIMIT 1"
+    )
+    .get();
+  if (!row) {
+    return null;
+  }
+  let hops = [];
+  try {
+    hops = JSON.parse(row.hops_json);
+  } catch (error) {
+    return null;
+  }
+  const hop = (Array.isArray(hops) ? hops : [])
+    .filter((entry) => typeof entry?.ip === "string" && net.isIP(entry.ip))
+    .sort((a, b) => (a.hop ?? 0) - (b.hop ?? 0))
+    .find((entry) => !isPrivateAddress(entry.ip));
+  // A path that reaches the destination without any other public hop has no ISP hop to show.
+  return hop && hop.ip !== row.target ? hop.ip : null;
+}
+
+function computePercentile(sortedValues, percentile) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const index = Math.min(sortedValues.length - 1, Math.ceil(percentile * sortedValues.length) - 1);
+  return sortedValues[Math.max(0, index)];
+}
+
+// Loss and p95 over { sent, received, rtts } and the resulting status: "unknown" (too few probes),
+// "down" (nothing came back), "degraded" (over FAULT_LOSS_PCT or FAULT_P95_MS) or "ok".
+function summarize({ sent, received, rtts }, settings) {
+  const sorted = [...rtts].sort((a, b) => a - b);
+  const lossPct = sent > 0 ? ((sent - received) / sent) * 100 : null;
+  const p95 = computePercentile(sorted, 0.95);
+  let status = "ok";
+  if (sent < MIN_SAMPLES) {
+    status = "unknown";
+  } else if (received === 0) {
+    status = "down";
+  } else if (lossPct >= settings.lossPct || (p95 !== null && p95 >= settings.p95Ms)) {
+    status = "degraded";
+  }
+  return {
+    status,
+    sent,
+    received,
+    loss_pct: lossPct === null ? null : Number(lossPct.toFixed(2)),
+    p95_ms: p95 === null ? null : Number(p95.toFixed(3)),
+  };
+}
+
+function collectTargetStats(db, series, sinceTs, settings) {
+  const ids = new Set(series.map((entry) => entry.id));
+  const totals = new Map();
+  const rows = db
+    .prepare("SELECT target, success, rtt_ms, sent, received FROM ping_sample WHERE ts >= ?")
+    .all(sinceTs);
+  for (const row of rows) {
+    if (!ids.has(row.target)) {
+      continue;
+    }
+    const total = totals.get(row.target) ?? { sent: 0, received: 0, rtts: [] };
+    const sent = Number.isFinite(row.sent) ? row.sent : 1;
+    total.sent += sent;
+    total.received += Number.isFinite(row.received) ? row.received : row.success ? sent : 0;
+    if (row.success === 1 && Number.isFinite(row.rtt_ms)) {
+      total.rtts.push(row.rtt_ms);
+    }
+    totals.set(row.target, total);
+  }
+  const stats = {};
+  for (const entry of series) {
+    stats[entry.id] = {
+      role: resolveFaultRole(entry),
+      ...summarize(totals.get(entry.id) ?? { sent: 0, received: 0, rtts: [] }, settings),
+    };
+  }
+  return stats;
+}
+
+const isBad = (status) => status === "degraded" || status === "down";
+
+// A role is bad only when every target of it that has data is bad; a single failing anycast
+// address next to a healthy one is a problem of that destination, not of the Internet.
+function resolveRoleStatus(entries) {
+  const known = entries.filter((entry) => entry.status !== "unknown");
+  if (known.length === 0) {
+    return "unknown";
+  }
+  if (!known.every((entry) => isBad(entry.status))) {
+    return "ok";
+  }
+  return known.every((entry) => entry.status === "down") ? "down" : "degraded";
+}
+
+// Picks the verdict from the per-target stats, closest role first.
+export function decideVerdict(stats) {
+  const entries = Object.entries(stats).map(([id, entry]) => ({ id, ...entry }));
+  const roleStatus = (role) => resolveRoleStatus(entries.filter((entry) => entry.role === role));
+  const lan = roleStatus("lan");
+  const isp = roleStatus("isp");
+  const internet = roleStatus("internet");
+  const affected = entries.filter((entry) => isBad(entry.status)).map((entry) => entry.id);
+
+  let verdict = FAULT_VERDICTS.OK;
+  if (isBad(lan)) {
+    verdict = FAULT_VERDICTS.LAN;
+  } else if (isBad(isp)) {
+    verdict = FAULT_VERDICTS.ISP;
+  } else if (isBad(internet)) {
+    verdict = FAULT_VERDICTS.UPSTREAM;
+  } else if (affected.length > 0) {
+    verdict = FAULT_VERDICTS.DESTINATION;
+  } else if (entries.every((entry) => entry.status === "unknown")) {
+    verdict = FAULT_VERDICTS.UNKNOWN;
+  }
+  return { verdict, lan, isp, internet, affected };
+}
+
+function describeVerdict({ verdict, affected }) {
+  switch (verdict) {
+    case FAULT_VERDICTS.LAN:
+      return "local network (gateway degraded)";
+    case FAULT_VERDICTS.ISP:
+      return "ISP access (first ISP hop degraded, gateway fine)";
+    case FAULT_VERDICTS.UPSTREAM:
+      return "upstream/Internet (public anycast degraded, ISP hop fine)";
+    case FAULT_VERDICTS.DESTINATION:
+      return `single destination (${affected.join(", ")})`;
+    case FAULT_VERDICTS.OK:
+      return "no degradation";
+    default:
+      return "not enough data";
+  }
+}
+
+function loadLastVerdict(db) {
+  return db.prepare("SELECT verdict FROM fault_verdict ORDER BY ts DESC LIMIT 1").get()?.verdict;
+}
+
+function noteVerdictChange(previous, record) {
+  const message = `Fault verdict changed from ${previous} to ${record.verdict}: ${describeVerdict(record)}`;
+  if (record.verdict === FAULT_VERDICTS.OK) {
+    logger.info("fault", message);
+  } else {
+    logger.warn("fault", message);
+  }
+  try {
+    recordEvent({
+      ts: record.ts,
+      type: "fault.verdict",
+      target: null,
+      severity: record.verdict === FAULT_VERDICTS.OK ? "info" : "warn",
+      message,
+      data: {
+        previous,
+        verdict: record.verdict,
+        lan: record.lan,
+        isp: record.isp,
+        internet: record.internet,
+        affected: record.affected,
+      },
+    });
+  } catch (error) {
+    logger.error("fault", "Failed to record fault verdict change", error);
+  }
+}
+
+// Keeps the ISP hop probes of the last window in memory: they are not ping series, so ping_sample
+// has no history for them.
+function createIspProbe() {
+  const results = [];
+  let address = null;
+
+  return {
+    async probe(hop, { signal, windowMs }) {
+      if (hop !== address) {
+        address = hop;
+        results.length = 0;
+      }
+      if (!hop) {
+        return null;
+      }
+      const run = await runPing(hop, ISP_PROBE_TIMEOUT_MS, {
+        signal,
+        count: ISP_PROBE_COUNT,
+        intervalMs: ISP_PROBE_INTERVAL_MS,
+        processes: activeProcesses,
+      });
+      if (run.aborted) {
+        return null;
+      }
+      const seen = new Set();
+      const rtts = [];
+      for (const reply of parseEchoReplies(run.output)) {
+        if (!reply.duplicate && !seen.has(reply.seq) && reply.rtt > 0) {
+          seen.add(reply.seq);
+          rtts.push(reply.rtt);
+        }
+      }
+      const now = Date.now();
+      results.push({
+        ts: now,
+        sent: ISP_PROBE_COUNT,
+        received: Math.min(rtts.length, ISP_PROBE_COUNT),
+        rtts,
+      });
+      while (results.length > 0 && results[0].ts < now - windowMs) {
+        results.shift();
+      }
+      return results.reduce(
+        (acc, item) => ({
+          sent: acc.sent + item.sent,
+          received: acc.received + item.received,
+          rtts: acc.rtts.concat(item.rtts),
+        }),
+        { sent: 0, received: 0, rtts: [] }
+      );
+    },
+  };
+}
+
+// Evaluates and stores one verdict. `ispProbe` (from createIspProbe) pings the traceroute ISP hop
+// when no series is tagged "isp"; without it the ISP role is only known from tagged series.
+export async function evaluateOnce({ signal, settings = getFaultSettings(), ispProbe } = {}) {
+  ensureDbReady();
+  const db = openDb();
+  const ts = Date.now();
+  const stats = collectTargetStats(db, settings.series, ts - settings.windowMs, settings);
+
+  let ispHop = null;
+  const hasIspSeries = Object.values(stats).some((entry) => entry.role === "isp");
+  if (!hasIspSeries && ispProbe) {
+    ispHop = findIspHop(db);
+    const totals = await ispProbe.probe(ispHop, { signal, windowMs: settings.windowMs });
+    if (signal?.aborted) {
+      return null;
+    }
+    if (totals) {
+      stats[ispHop] = { role: "isp", ...summarize(totals, settings) };
+    }
+  }
+
+  const record = { ts, isp_hop: ispHop, ...decideVerdict(stats), targets: stats };
+  getInsertStatement(db).run(
+    record.ts,
+    record.verdict,
+    record.lan,
+    record.isp,
+    record.internet,
+    record.isp_hop,
+    JSON.stringify(record.affected),
+    JSON.stringify({ targets: stats })
+  );
+  return record;
+}
+
+function parseJson(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// API/SSE shape of a fault_verdict row; the per-target stats are only included on request.
+export function mapFaultVerdictRow(row, { withTargets = false } = {}) {
+  const mapped = {
+    ts: row.ts,
+    verdict: row.verdict,
+    lan: row.lan_status ?? null,
+    isp: row.isp_status ?? null,
+    internet: row.internet_status ?? null,
+    isp_hop: row.isp_hop ?? null,
+    affected: parseJson(row.affected_json, []),
+  };
+  if (withTargets) {
+    mapped.targets = parseJson(row.detail_json, {})?.targets ?? {};
+  }
+  return mapped;
+}
+
+function createController({ signal } = {}) {
+  const settings = getFaultSettings();
+  const loopAbortController = new AbortController();
+  const ispProbe = createIspProbe();
+  let previous = null;
+
+  const evaluate = async () => {
+    if (previous === null) {
+      ensureDbReady();
+      previous = loadLastVerdict(openDb()) ?? FAULT_VERDICTS.UNKNOWN;
+    }
+    const record = await evaluateOnce({ signal: loopAbortController.signal, settings, ispProbe });
+    if (!record || loopAbortController.signal.aborted) {
+      return;
+    }
+    // Verdicts from or to "unknown" only mean the ping history is still filling up (or stopped).
+    if (
+      record.verdict !== previous &&
+      previous !== FAULT_VERDICTS.UNKNOWN &&
+      record.verdict !== FAULT_VERDICTS.UNKNOWN
+    ) {
+      noteVerdictChange(previous, record);
+    }
+    previous = record.verdict;
+  };
+
+  const scheduler = createProbeScheduler({
+    targets: ["verdict"],
+    intervalMs: settings.intervalMs,
+    concurrency: 1,
+    runProbe: () => evaluate(),
+    onError: (id, error) => {
+      logger.error("fault", "Fault localization failed", error);
+    },
+  });
+
+  const requestStop = () => {
+    scheduler.stop();
+    if (!loopAbortController.signal.aborted) {
+      loopAbortController.abort();
+    }
+    for (const child of activeProcesses) {
+      terminateChildProcess(child);
+    }
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      requestStop();
+    } else {
+      signal.addEventListener("abort", requestStop, { once: true });
+    }
+  }
+
+  const promise = (async () => {
+    try {
+      if (!loopAbortController.signal.aborted) {
+        const roles = settings.series.map((entry) => `${entry.id}=${resolveFaultRole(entry)}`);
+        logger.info(
+          "fault",
+          `Localizing faults every ${Math.round(settings.intervalMs / 1000)}s over ${Math.round(settings.windowMs / 1000)}s windows (${roles.join(", ") || "no targets"}).`
+        );
+        scheduler.start();
+      }
+      await scheduler.done;
+    } finally {
+      signal?.removeEventListener("abort", requestStop);
+    }
+  })();
+
+  return { promise, requestStop };
+}
+
+// Starts the periodic fault localization until stop() or the abort signal.
+export async function runLoop(options = {}) {
+  if (activeController) {
+    return activeController.promise;
+  }
+
+  activeController = createController(options);
+  try {
+    await activeController.promise;
+  } finally {
+    activeController = null;
+  }
+}
+
+export async function stop() {
+  if (!activeController) {
+    return;
+  }
+  try {
+    activeController.requestStop();
+    await activeController.promise;
+  } catch (error) {
+    logger.error("fault", "Error while stopping fault localization loop", error);
+  }
+}
@@ -2,13 +2,18 @@ import fs from "fs";
 import path from "path";
 import http from "http";
 import https from "https";
+import net from "net";
 import { openDb, migrate } from "../storage/db.js";
 import * as logger from "../utils/logger.js";
+import { classifyError, ERROR_CODES, truncateDetail } from "../utils/failure.js";
+import { parseUplinks, resolveSourceAddress, resolveUplinkLabels } from "../utils/uplinks.js";
 
 const DEFAULT_URLS = ["https://example.com"];
 const DEFAULT_INTERVAL_S = 60;
 const DEFAULT_TIMEOUT_MS = 5000;
 const USER_AGENT = "PingFluxHttpCollector/1.0";
+// Body and JSON assertions only see this much of the body; larger downloads are still counted.
+const BODY_BUFFER_LIMIT = 1024 * 1024;
 
 let cachedSettings;
 let cachedEnvFileValues;
@@ -89,15 +94,184 @@ function toInteger(value, fallback) {
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+// "/pattern/flags" becomes a RegExp, anything else null. Throws on an invalid pattern.
+function compilePattern(text) {
+  const pattern = /^\/(.+)\/([a-z]*)$/.exec(String(text ?? ""));
+  // Stateful flags (g, y) would make test() depend on the previous call.
+  return pattern ? new RegExp(pattern[1], pattern[2].replace(/[gy]/g, "")) : null;
+}
+
+// Accepted status codes: 200, "2xx" or "200-299", alone or in a list. Returns [[min, max], ...],
+// or null when any entry is invalid.
+function parseStatusRanges(value) {
+  const ranges = [];
+  for (const entry of Array.isArray(value) ? value : [value]) {
+    const text = String(entry ?? "")
+      .trim()
+      .toLowerCase();
+    const match = /^([1-5])xx$/.exec(text) ?? /^(\d{3})(?:-(\d{3}))?$/.exec(text);
+    if (!match) {
+      return null;
+    }
+    if (text.endsWith("xx")) {
+      ranges.push([Number(match[1]) * 100, Number(match[1]) * 100 + 99]);
+    } else {
+      const min = Number(match[1]);
+      const max = match[2] ? Number(match[2]) : min;
+      if (max < min) {
+        return null;
+      }
+      ranges.push([min, max]);
+    }
+  }
+  return ranges.length > 0 ? ranges : null;
+}
+
+// JSON paths are "$.data.items[0].name" (the leading "$" is optional; ["key"] quotes keys with
+// dots). Returns the list of keys and indices, or null when the path cannot be parsed.
+function parseJsonPath(jsonPath) {
+  const text = String(jsonPath ?? "")
+    .trim()
+    .replace(/^\$/, "");
+  const steps = [];
+  const pattern = /\.?([^.[\]"]+)|\[(\d+)\]|\["([^"]+)"\]/y;
+  while (pattern.lastIndex < text.length) {
+    const match = pattern.exec(text);
+    if (!match) {
+      return null;
+    }
+    steps.push(match[2] !== undefined ? Number(match[2]) : (match[1] ?? match[3]));
+  }
+  return steps;
+}
+
+// A check is a bare URL (any completed response counts as success) or
+// { url, status, body, headers, json, maxBytes, timeoutMs }: `status` lists the accepted codes
+// (default 200-399), `body` is a substring or "/regex/" the body must contain, `headers` maps a
+// header name to true (present), false (absent), a case-insensitive substring or a "/regex/",
+// `json` maps a JSON path to the expected value (a "/regex/" string matches string and number
+// values) and `maxBytes` caps the body size. Returns null when invalid.
+function normalizeCheck(raw) {
+  if (typeof raw === "string") {
+    const url = raw.trim();
+    return url
+      ? {
+          url,
+          assert: false,
+          status: null,
+          body: null,
+          headers: [],
+          json: [],
+          maxBytes: null,
+          timeoutMs: null,
+        }
+      : null;
+  }
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+
+  const url = String(raw.url ?? "").trim();
+  const status = raw.status == null ? [[200, 399]] : parseStatusRanges(raw.status);
+  const maxBytes = raw.maxBytes == null ? null : toInteger(raw.maxBytes, NaN);
+  const timeoutMs = toInteger(raw.timeoutMs, null);
+  if (!url || !status || (maxBytes !== null && !(maxBytes > 0))) {
+    return null;
+  }
+  if (raw.headers != null && typeof raw.headers !== "object") {
+    return null;
+  }
+  if (raw.json != null && typeof raw.json !== "object") {
+    return null;
+  }
+
+  try {
+    const bodyText = raw.body == null ? "" : String(raw.body);
+    const headers = Object.entries(raw.headers ?? {}).map(([name, expected]) => ({
+      name: name.trim().toLowerCase(),
+      expected: typeof expected === "boolean" ? expected : String(expected),
+      regex: typeof expected === "boolean" ? null : compilePattern(expected),
+    }));
+    const json = Object.entries(raw.json ?? {}).map(([jsonPath, expected]) => ({
+      path: jsonPath,
+      steps: parseJsonPath(jsonPath),
+      expected,
+      regex: typeof expected === "string" ? compilePattern(expected) : null,
+    }));
+    if (
+      headers.some((header) => !header.name) ||
+      json.some((assertion) => !assertion.steps || assertion.steps.length === 0)
+    ) {
+      return null;
+    }
+    return {
+      url,
+      assert: true,
+      status,
+      body: bodyText ? { value: bodyText, regex: compilePattern(bodyText) } : null,
+      headers,
+      json,
+      maxBytes,
+      timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : null,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reads HTTP_CHECKS_FILE: either an array of checks or { "checks": [...] }.
+function loadChecksFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    const list = Array.isArray(parsed) ? parsed : parsed?.checks;
+    if (!Array.isArray(list)) {
+      return { checks: [], error: `${filePath}: expected an array or a "checks" array` };
+    }
+    const checks = [];
+    const invalid = [];
+    for (const raw of list) {
+      const check = normalizeCheck(raw);
+      if (!check) {
+        invalid.push(JSON.stringify(raw));
+      } else if (!checks.some((entry) => entry.url === check.url)) {
+        checks.push(check);
+      }
+    }
+    if (checks.length === 0) {
+      return { checks, error: `${filePath}: no valid checks` };
+    }
+    return {
+      checks,
+      error:
+        invalid.length > 0 ? `${filePath}: ignoring invalid checks ${invalid.join(", ")}` : null,
+    };
+  } catch (error) {
+    return { checks: [], error: `${filePath}: ${error?.message ?? error}` };
+  }
+}
+
 function buildSettings() {
-  const urls = parseUrls(getEnvValue("HTTP_URLS"));
+  // A valid HTTP_CHECKS_FILE replaces HTTP_URLS.
+  const checksFile = String(getEnvValue("HTTP_CHECKS_FILE") ?? "").trim();
+  const loaded = checksFile ? loadChecksFile(checksFile) : { checks: [], error: null };
+  const checks =
+    loaded.checks.length > 0
+      ? loaded.checks
+      : parseUrls(getEnvValue("HTTP_URLS")).map((url) => normalizeCheck(url));
   const intervalSeconds = toInteger(getEnvValue("HTTP_INTERVAL_S"), DEFAULT_INTERVAL_S);
   const timeoutMs = toInteger(getEnvValue("HTTP_TIMEOUT_MS"), DEFAULT_TIMEOUT_MS);
+  const uplinkMap = parseUplinks(getEnvValue("UPLINKS"));
+  const { labels, unknown } = resolveUplinkLabels(getEnvValue("HTTP_UPLINKS"), uplinkMap);
 
   return {
-    urls,
+    urls: checks.map((check) => check.url),
+    checks,
+    checksFileError: loaded.error,
     intervalMs: Math.max(intervalSeconds, 1) * 1000,
     timeoutMs: Math.max(timeoutMs, 1),
+    uplinks: labels.map((label) => ({ label, source: uplinkMap[label] })),
+    unknownUplinks: unknown,
   };
 }
 
@@ -132,22 +306,145 @@ function resolveHttpModule(urlObject) {
   return null;
 }
 
-export async function fetchOnce(url, { signal } = {}) {
+// Milliseconds between two hrtime readings, null when either is missing.
+function spanMs(from, to) {
+  return from !== null && to !== null ? Number(to - from) / 1e6 : null;
+}
+
+// Splits a request into consecutive phases from the socket events: DNS lookup (none for IP
+// literals), TCP connect, TLS handshake (https), wait (request sent until the response headers,
+// i.e. the server's share of TTFB) and download. Phases a failed request never reached stay null.
+function applyPhaseTimings(sample, marks) {
+  const { start, lookup, connect, secureConnect, firstByte, end } = marks;
+  sample.dns_ms = spanMs(start, lookup);
+  sample.connect_ms = spanMs(lookup ?? start, connect);
+  sample.tls_ms = spanMs(connect, secureConnect);
+  sample.wait_ms = spanMs(secureConnect ?? connect ?? start, firstByte);
+  sample.download_ms = spanMs(firstByte, end);
+}
+
+function formatStatusRanges(ranges) {
+  return ranges.map(([min, max]) => (min === max ? String(min) : `${min}-${max}`)).join(", ");
+}
+
+function readJsonPath(value, steps) {
+  let current = value;
+  for (const step of steps) {
+    if (current === null || typeof current !== "object" || !(step in current)) {
+      return { found: false, value: undefined };
+    }
+    current = current[step];
+  }
+  return { found: true, value: current };
+}
+
+// Checks a response against the check's assertions and returns the list of failed ones as
+// readable reasons (empty when everything passed). `body` is the buffered body text, null when no
+// assertion needed it or the download was stopped at maxBytes (`stopped`); `truncated` says it
+// holds only the first BODY_BUFFER_LIMIT bytes.
+function evaluateAssertions(check, { status, headers, bytes, body, truncated, stopped }) {
+  const failures = [];
+  if (!check.status.some(([min, max]) => status >= min && status <= max)) {
+    failures.push(`status ${status} not in ${formatStatusRanges(check.status)}`);
+  }
+  if (stopped) {
+    failures.push(`body exceeds maxBytes ${check.maxBytes} (download stopped at ${bytes} bytes)`);
+  } else if (check.maxBytes !== null && bytes > check.maxBytes) {
+    failures.push(`body ${bytes} bytes exceeds maxBytes ${check.maxBytes}`);
+  }
+
+  for (const header of check.headers) {
+    const raw = headers[header.name];
+    const actual = Array.isArray(raw) ? raw.join(", ") : raw;
+    if (header.expected === false) {
+      if (actual !== undefined) {
+        failures.push(`header ${header.name} present`);
+      }
+    } else if (actual === undefined) {
+      failures.push(`header ${header.name} missing`);
+    } else if (
+      header.expected !== true &&
+      !(header.regex
+        ? header.regex.test(actual)
+        : actual.toLowerCase().includes(header.expected.toLowerCase()))
+    ) {
+      failures.push(`header ${header.name} "${actual}" does not match "${header.expected}"`);
+    }
+  }
+
+  if (check.body && body !== null) {
+    const matched = check.body.regex
+      ? check.body.regex.test(body)
+      : body.includes(check.body.value);
+    if (!matched) {
+      failures.push(`body does not match "${check.body.value}"`);
+    }
+  }
+
+  if (check.json.length > 0 && body !== null) {
+    let document;
+    try {
+      document = JSON.parse(body);
+    } catch (error) {
+      failures.push(
+        truncated
+          ? `body over ${BODY_BUFFER_LIMIT} bytes was truncated, JSON not checked`
+          : "body is not valid JSON"
+      );
+    }
+    if (document !== undefined) {
+      for (const assertion of check.json) {
+        const { found, value } = readJsonPath(document, assertion.steps);
+        const matched =
+          found &&
+          (assertion.regex && ["string", "number"].includes(typeof value)
+            ? assertion.regex.test(String(value))
+            : JSON.stringify(value) === JSON.stringify(assertion.expected));
+        if (!found) {
+          failures.push(`${assertion.path} missing`);
+        } else if (!matched) {
+          failures.push(
+            `${assertion.path} is ${JSON.stringify(value)}, expected ${JSON.stringify(assertion.expected)}`
+          );
+        }
+      }
+    }
+  }
+
+  return failures;
+}
+
+// Fetches a URL or check (see normalizeCheck) once. With an uplink ({ label, source }) the
+// connection is bound to the uplink's local address, and the hostname resolves in that address's
+// family.
+export async function fetchOnce(target, { signal, uplink = null } = {}) {
   const settings = getHttpSettings();
-  const timeoutMs = settings.timeoutMs;
-  const trimmedUrl = String(url ?? "").trim();
+  const check =
+    target && typeof target === "object" ? target : normalizeCheck(String(target ?? ""));
+  const timeoutMs = check?.timeoutMs ?? settings.timeoutMs;
+  const trimmedUrl = check?.url ?? "";
   const ts = Date.now();
   const sample = {
     ts,
     url: trimmedUrl,
+    uplink: uplink?.label ?? null,
     status: null,
+    dns_ms: null,
+    connect_ms: null,
+    tls_ms: null,
+    wait_ms: null,
+    download_ms: null,
     ttfb_ms: null,
     total_ms: null,
     bytes: null,
     success: 0,
+    error_code: null,
+    error_detail: null,
+    assertion_failures: null,
   };
 
   if (!trimmedUrl) {
+    sample.error_code = ERROR_CODES.INVALID_TARGET;
     return sample;
   }
 
@@ -155,15 +452,31 @@ export async function fetchOnce(url, { signal } = {}) {
   try {
     parsedUrl = new URL(trimmedUrl);
   } catch (error) {
+    sample.error_code = ERROR_CODES.INVALID_TARGET;
+    sample.error_detail = error?.message ?? null;
     return sample;
   }
 
   const httpModule = resolveHttpModule(parsedUrl);
   if (!httpModule) {
+    sample.error_code = ERROR_CODES.INVALID_TARGET;
+    sample.error_detail = `Unsupported protocol ${parsedUrl.protocol}`;
     return sample;
   }
 
+  let bindOptions = {};
+  if (uplink) {
+    const localAddress = resolveSourceAddress(uplink.source);
+    if (!localAddress) {
+      sample.error_code = ERROR_CODES.UNKNOWN;
+      sample.error_detail = `No address on uplink ${uplink.label} (${uplink.source})`;
+      return sample;
+    }
+    bindOptions = { localAddress, family: net.isIPv6(localAddress) ? 6 : 4 };
+  }
+
   if (signal?.aborted) {
+    sample.error_code = ERROR_CODES.ABORTED;
     return sample;
   }
 
@@ -171,8 +484,22 @@ export async function fetchOnce(url, { signal } = {}) {
 
   return new Promise((resolve) => {
     const startTime = process.hrtime.bigint();
+    const marks = {
+      start: startTime,
+      lookup: null,
+      connect: null,
+      secureConnect: null,
+      firstByte: null,
+      end: null,
+    };
+    // The body is kept only when a body or JSON assertion needs it.
+    const keepBody = Boolean(check.body) || check.json.length > 0;
+    const bodyChunks = [];
+    let bodyLength = 0;
     let bytesReceived = 0;
     let settled = false;
+    let timedOut = false;
+    let aborted = false;
     let timeoutTimer = null;
     let request;
 
@@ -195,14 +522,26 @@ export async function fetchOnce(url, { signal } = {}) {
       }
       settled = true;
       cleanup();
+      applyPhaseTimings(sample, marks);
       resolve(sample);
     };
 
+    // Records why the request failed (first reason wins) and settles the sample.
+    const fail = (error) => {
+      if (!settled && sample.success !== 1 && !sample.error_code) {
+        const failure = classifyError(error, { timedOut, aborted });
+        sample.error_code = failure.code;
+        sample.error_detail = failure.detail;
+      }
+      finalize();
+    };
+
     const abortHandler = () => {
+      aborted = true;
       if (request) {
         request.destroy(new Error("HTTP request aborted"));
       }
-      finalize();
+      fail(new Error("HTTP request aborted"));
     };
 
     try {
@@ -215,45 +554,93 @@ export async function fetchOnce(url, { signal } = {}) {
             Accept: "*/*",
             Connection: "close",
           },
+          ...bindOptions,
           signal,
         },
         (response) => {
           sample.status = response.statusCode ?? null;
 
           const firstByteTime = process.hrtime.bigint();
+          marks.firstByte = firstByteTime;
           sample.ttfb_ms = Number(firstByteTime - startTime) / 1e6;
 
+          const complete = ({ stopped = false } = {}) => {
+            const endTime = process.hrtime.bigint();
+            marks.end = endTime;
+            sample.total_ms = Number(endTime - startTime) / 1e6;
+            sample.bytes = bytesReceived;
+            const failures = check.assert
+              ? evaluateAssertions(check, {
+                  status: sample.status,
+                  headers: response.headers,
+                  bytes: bytesReceived,
+                  body: keepBody && !stopped ? Buffer.concat(bodyChunks).toString("utf8") : null,
+                  truncated: bytesReceived > bodyLength,
+                  stopped,
+                })
+              : [];
+            if (failures.length > 0) {
+              // The response arrived (or was cut at maxBytes), so the timings stay; the sample
+              // fails on its content.
+              sample.error_code = ERROR_CODES.HTTP_ASSERTION;
+              sample.error_detail = truncateDetail(failures.join("; "));
+              sample.assertion_failures = failures;
+            } else {
+              sample.success = 1;
+            }
+            finalize();
+          };
+
           response.on("data", (chunk) => {
             if (chunk) {
               bytesReceived += chunk.length;
+              if (keepBody && bodyLength < BODY_BUFFER_LIMIT) {
+                const part = chunk.subarray(0, BODY_BUFFER_LIMIT - bodyLength);
+                bodyChunks.push(part);
+                bodyLength += part.length;
+              }
+              // Past maxBytes the check has already failed; the rest is not worth downloading.
+              if (check.assert && check.maxBytes !== null && bytesReceived > check.maxBytes) {
+                complete({ stopped: true });
+                request.destroy();
+              }
             }
           });
 
           response.on("end", () => {
-            const endTime = process.hrtime.bigint();
-            sample.total_ms = Number(endTime - startTime) / 1e6;
-            sample.bytes = bytesReceived;
-            sample.success = 1;
-            finalize();
+            complete();
           });
 
           response.on("aborted", () => {
-            finalize();
+            fail(Object.assign(new Error("Response aborted"), { code: "ECONNRESET" }));
           });
 
-          response.on("error", () => {
-            finalize();
+          response.on("error", (error) => {
+            fail(error);
           });
         }
       );
     } catch (error) {
       cleanup();
-      finalize();
+      fail(error);
       return;
     }
 
-    request.on("error", () => {
-      finalize();
+    request.on("error", (error) => {
+      fail(error);
+    });
+
+    // Connection: close means a fresh socket per request, so every phase is observed.
+    request.on("socket", (socket) => {
+      socket.once("lookup", () => {
+        marks.lookup = process.hrtime.bigint();
+      });
+      socket.once("connect", () => {
+        marks.connect = process.hrtime.bigint();
+      });
+      socket.once("secureConnect", () => {
+        marks.secureConnect = process.hrtime.bigint();
+      });
     });
 
     if (signal) {
@@ -265,6 +652,7 @@ export async function fetchOnce(url, { signal } = {}) {
     }
 
     timeoutTimer = setTimeout(() => {
+      timedOut = true;
       request.destroy(new Error("HTTP request timeout"));
     }, timeoutMs);
     timeoutTimer.unref?.();
@@ -275,32 +663,52 @@ export async function fetchOnce(url, { signal } = {}) {
   });
 }
 
-export async function measureCycle(urls, { signal } = {}) {
+// Measures every check (URLs or check objects, see normalizeCheck) through each uplink and stores
+// the samples.
+export async function measureCycle(checks, { signal } = {}) {
   ensureDbReady();
-  const providedList = Array.isArray(urls) ? urls : getHttpSettings().urls;
+  const providedList = Array.isArray(checks) ? checks : getHttpSettings().checks;
   const list = providedList
-    .map((entry) => String(entry ?? "").trim())
-    .filter((entry) => entry.length > 0);
+    .map((entry) =>
+      entry && typeof entry === "object" ? entry : normalizeCheck(String(entry ?? ""))
+    )
+    .filter(Boolean);
+
+  // Without HTTP_UPLINKS every URL is fetched once over the default route.
+  const settings = getHttpSettings();
+  const uplinks = settings.uplinks.length > 0 ? settings.uplinks : [null];
 
   const samples = [];
 
   for (const entry of list) {
-    if (signal?.aborted) {
-      break;
-    }
-    try {
-      const sample = await fetchOnce(entry, { signal });
-      samples.push(sample);
-    } catch (error) {
-      samples.push({
-        ts: Date.now(),
-        url: String(entry ?? "").trim(),
-        status: null,
-        ttfb_ms: null,
-        total_ms: null,
-        bytes: null,
-        success: 0,
-      });
+    for (const uplink of uplinks) {
+      if (signal?.aborted) {
+        break;
+      }
+      try {
+        const sample = await fetchOnce(entry, { signal, uplink });
+        samples.push(sample);
+      } catch (error) {
+        const failure = classifyError(error);
+        samples.push({
+          ts: Date.now(),
+          url: entry.url,
+          uplink: uplink?.label ?? null,
+          status: null,
+          dns_ms: null,
+          connect_ms: null,
+          tls_ms: null,
+          wait_ms: null,
+          download_ms: null,
+          ttfb_ms: null,
+          total_ms: null,
+          bytes: null,
+          success: 0,
+          error_code: failure.code,
+          error_detail: failure.detail,
+          assertion_failures: null,
+        });
+      }
     }
   }
 
@@ -310,7 +718,7 @@ export async function measureCycle(urls, { signal } = {}) {
 
   const db = openDb();
   const insert = db.prepare(
-    "INSERT INTO http_sample (ts, url, status, ttfb_ms, total_ms, bytes, success) VALUES (@ts, @url, @status, @ttfb_ms, @total_ms, @bytes, @success)"
+    "INSERT INTO http_sample (ts, url, uplink, status, dns_ms, connect_ms, tls_ms, wait_ms, download_ms, ttfb_ms, total_ms, bytes, success, error_code, error_detail, assertion_failures_json) VALUES (@ts, @url, @uplink, @status, @dns_ms, @connect_ms, @tls_ms, @wait_ms, @download_ms, @ttfb_ms, @total_ms, @bytes, @success, @error_code, @error_detail, @assertion_failures_json)"
   );
 
   const insertMany = db.transaction((rows) => {
@@ -318,11 +726,23 @@ export async function measureCycle(urls, { signal } = {}) {
       insert.run({
         ts: row.ts,
         url: row.url,
+        uplink: row.uplink ?? null,
         status: row.status ?? null,
+        dns_ms: row.dns_ms ?? null,
+        connect_ms: row.connect_ms ?? null,
+        tls_ms: row.tls_ms ?? null,
+        wait_ms: row.wait_ms ?? null,
+        download_ms: row.download_ms ?? null,
         ttfb_ms: row.ttfb_ms ?? null,
         total_ms: row.total_ms ?? null,
         bytes: row.bytes ?? null,
         success: row.success ? 1 : 0,
+        error_code: row.success ? null : (row.error_code ?? null),
+        error_detail: row.success ? null : (row.error_detail ?? null),
+        assertion_failures_json:
+          !row.success && row.assertion_failures?.length > 0
+            ? JSON.stringify(row.assertion_failures)
+            : null,
       });
     }
   });
@@ -339,7 +759,19 @@ function createLoopController({ signal } = {}) {
   const settings = getHttpSettings();
   const urls = settings.urls;
   logger.info("http", `Starting HTTP loop for: ${urls.length ? urls.join(", ") : "(none)"}`);
+  if (settings.checksFileError) {
+    logger.warn("http", `HTTP_CHECKS_FILE: ${settings.checksFileError}`);
+  }
   logger.info("http", `Interval: ${settings.intervalMs / 1000}s, timeout: ${settings.timeoutMs}ms`);
+  if (settings.uplinks.length > 0) {
+    logger.info("http", `Uplinks: ${settings.uplinks.map((uplink) => uplink.label).join(", ")}`);
+  }
+  if (settings.unknownUplinks.length > 0) {
+    logger.warn(
+      "http",
+      `Ignoring unknown HTTP_UPLINKS: ${settings.unknownUplinks.join(", ")} (define them in UPLINKS).`
+    );
+  }
 
   let stopRequested = false;
   let pendingSleepResolve = null;
@@ -396,7 +828,7 @@ function createLoopController({ signal } = {}) {
       while (!stopRequested) {
         const cycleStart = Date.now();
         try {
-          const samples = await measureCycle(urls, { signal: loopSignal });
+          const samples = await measureCycle(settings.checks, { signal: loopSignal });
           logger.info(
             "http",
             `Cycle complete: ${samples.length} sample${samples.length === 1 ? "" : "s"} inserted.`
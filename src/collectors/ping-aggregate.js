@@ -75,6 +75,7 @@ function buildUpsertStatement(db, table) {
       p50_ms,
       p95_ms,
       stdev_ms,
+      jitter_ms,
       availability_pct,
       status
     ) VALUES (
@@ -87,6 +88,7 @@ function buildUpsertStatement(db, table) {
       @p50_ms,
       @p95_ms,
       @stdev_ms,
+      @jitter_ms,
       @availability_pct,
       @status
     )
@@ -98,6 +100,7 @@ function buildUpsertStatement(db, table) {
       p50_ms = excluded.p50_ms,
       p95_ms = excluded.p95_ms,
       stdev_ms = excluded.stdev_ms,
+      jitter_ms = excluded.jitter_ms,
       availability_pct = excluded.availability_pct,
       status = excluded.status
   `);
@@ -105,14 +108,38 @@ function buildUpsertStatement(db, table) {
 
 function buildQueryStatement(db) {
   return db.prepare(`
-    SELECT ts, target, rtt_ms, success
+    SELECT ts, target, rtt_ms, success, sent, received, jitter_ms, rtts_json, interval_ms
     FROM ping_sample
     WHERE ts BETWEEN ? AND ?
     ORDER BY ts
   `);
 }
 
-function buildBucketsByTarget(rows) {
+// Per-packet RTTs of a burst sample (rtts_json), or null for single probes and older rows.
+function parseBurstRtts(value) {
+  if (typeof value !== "string" || !value) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed)) {
+      return null;
+    }
+    const rtts = parsed.map(Number).filter((rtt) => Number.isFinite(rtt) && rtt > 0);
+    return rtts.length > 0 ? rtts : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sanitizeIntervalMs(intervalMs) {
+  return Number.isFinite(intervalMs) && intervalMs > 0 ? intervalMs : MINUTE_MS;
+}
+
+// `coverage` counts packets in units of the configured interval: a sample taken at another rate
+// (adaptive mode, per-target interval) weighs interval_ms / intervalMs, so the minimum-sample check
+// still means "the window was probed for its whole length". Rows without interval_ms weigh 1.
+function buildBucketsByTarget(rows, intervalMs) {
   const map = new Map();
   for (const row of rows) {
     const ts = Number(row.ts);
@@ -136,19 +163,39 @@ function buildBucketsByTarget(rows) {
         target,
         sent: 0,
         received: 0,
+        coverage: 0,
         latencies: [],
+        jitters: [],
       };
       targetBuckets.set(key, bucket);
     }
 
-    bucket.sent += 1;
+    // Burst samples carry their own packet counts; single-probe rows count as one packet.
+    const sent = Number(row.sent);
+    const packetsSent = Number.isFinite(sent) && sent > 0 ? sent : 1;
+    const received = Number(row.received);
+    bucket.sent += packetsSent;
+    const rowIntervalMs = Number(row.interval_ms);
+    bucket.coverage +=
+      row.interval_ms != null && Number.isFinite(rowIntervalMs) && rowIntervalMs > 0
+        ? (packetsSent * rowIntervalMs) / intervalMs
+        : packetsSent;
     if (Number(row.success) === 1) {
-      bucket.received += 1;
+      bucket.received +=
+        Number.isFinite(received) && received >= 0 ? Math.min(received, packetsSent) : 1;
+      // Percentiles count packets like loss does: a burst adds every reply, not its mean.
+      const burstRtts = parseBurstRtts(row.rtts_json);
       const rtt = Number(row.rtt_ms);
-      if (Number.isFinite(rtt) && rtt > 0) {
+      if (burstRtts) {
+        bucket.latencies.push(...burstRtts);
+      } else if (Number.isFinite(rtt) && rtt > 0) {
         bucket.latencies.push(rtt);
       }
     }
+    const jitter = Number(row.jitter_ms);
+    if (row.jitter_ms != null && Number.isFinite(jitter) && jitter >= 0) {
+      bucket.jitters.push(jitter);
+    }
   }
 
   const sortedByTarget = new Map();
@@ -160,6 +207,24 @@ function buildBucketsByTarget(rows) {
   return sortedByTarget;
 }
 
+// Window jitter: the mean of per-burst jitter when bursts are enabled, otherwise the mean
+// RTT delta between consecutive single-probe samples (same RFC 3550 D definition).
+function computeWindowJitter(jitters, orderedLatencies) {
+  if (Array.isArray(jitters) && jitters.length > 0) {
+    return jitters.reduce((sum, value) => sum + value, 0) / jitters.length;
+  }
+
+  if (!Array.isArray(orderedLatencies) || orderedLatencies.length < 2) {
+    return null;
+  }
+
+  let totalDelta = 0;
+  for (let i = 1; i < orderedLatencies.length; i += 1) {
+    totalDelta += Math.abs(orderedLatencies[i] - orderedLatencies[i - 1]);
+  }
+  return totalDelta / (orderedLatencies.length - 1);
+}
+
 function clampPercentage(value) {
   if (!Number.isFinite(value)) {
     return null;
@@ -242,7 +307,9 @@ function createWindowEntry({
   target,
   sent,
   received,
+  coverage = sent,
   latencies,
+  jitters,
   minSamples,
   thresholds,
 }) {
@@ -256,6 +323,7 @@ function createWindowEntry({
     p50_ms: null,
     p95_ms: null,
     stdev_ms: null,
+    jitter_ms: null,
     availability_pct: null,
     status: "insufficient",
   };
@@ -275,7 +343,8 @@ function createWindowEntry({
   }
   entry.availability_pct = entry.loss_pct == null ? null : clampPercentage(100 - entry.loss_pct);
 
-  if (sent < minSamples) {
+  // The epsilon absorbs float error from summing fractional sample weights.
+  if (coverage + 1e-6 < minSamples) {
     return entry;
   }
 
@@ -292,6 +361,7 @@ function createWindowEntry({
     entry.p50_ms = computePercentile(sortedLatencies, 0.5);
     entry.p95_ms = computePercentile(sortedLatencies, 0.95);
     entry.stdev_ms = computeStandardDeviation(sortedLatencies);
+    entry.jitter_ms = computeWindowJitter(jitters, safeLatencies);
   }
 
   if (thresholds && typeof thresholds === "object") {
@@ -323,13 +393,19 @@ function computeWindowEntriesForTarget(buckets, minutes, minSamples, thresholds)
 
     let sent = 0;
     let received = 0;
+    let coverage = 0;
     const latencies = [];
+    const jitters = [];
     for (const item of queue) {
       sent += Number.isFinite(item.sent) ? item.sent : 0;
       received += Number.isFinite(item.received) ? item.received : 0;
+      coverage += Number.isFinite(item.coverage) ? item.coverage : 0;
       if (Array.isArray(item.latencies) && item.latencies.length > 0) {
         latencies.push(...item.latencies);
       }
+      if (Array.isArray(item.jitters) && item.jitters.length > 0) {
+        jitters.push(...item.jitters);
+      }
     }
 
     windowEntries.push(
@@ -338,7 +414,9 @@ function computeWindowEntriesForTarget(buckets, minutes, minSamples, thresholds)
         target: bucket.target,
         sent,
         received,
+        coverage,
         latencies,
+        jitters,
         minSamples,
         thresholds,
       })
@@ -348,12 +426,13 @@ function computeWindowEntriesForTarget(buckets, minutes, minSamples, thresholds)
   return windowEntries;
 }
 
-function computeMinSamplesByTable(pingIntervalMs) {
-  const sanitizedInterval = Number.isFinite(pingIntervalMs) && pingIntervalMs > 0 ? pingIntervalMs : MINUTE_MS;
+function computeMinSamplesByTable(pingIntervalMs, burstCount = 1) {
+  const sanitizedInterval = sanitizeIntervalMs(pingIntervalMs);
+  const packetsPerCycle = Number.isFinite(burstCount) && burstCount > 1 ? Math.floor(burstCount) : 1;
   const map = new Map();
   for (const config of WINDOW_CONFIGS) {
     const windowMs = config.minutes * MINUTE_MS;
-    const expected = Math.ceil(windowMs / sanitizedInterval);
+    const expected = Math.ceil(windowMs / sanitizedInterval) * packetsPerCycle;
     map.set(config.table, Math.max(1, expected));
   }
   return map;
@@ -398,15 +477,18 @@ export function aggregateRange(fromEpochMs, toEpochMs) {
     return 0;
   }
 
-  const bucketsByTarget = buildBucketsByTarget(rows);
+  const config = getConfig();
+  const pingIntervalMs = Number(config?.ping?.intervalMs);
+  const bucketsByTarget = buildBucketsByTarget(rows, sanitizeIntervalMs(pingIntervalMs));
   if (!bucketsByTarget.size) {
     return 0;
   }
 
-  const config = getConfig();
-  const pingIntervalMs = Number(config?.ping?.intervalMs);
   const thresholds = buildStatusThresholds(config?.alerts);
-  const minSamplesByTable = computeMinSamplesByTable(pingIntervalMs);
+  const minSamplesByTable = computeMinSamplesByTable(
+    pingIntervalMs,
+    Number(config?.ping?.burstCount)
+  );
   const aggregated = aggregateBucketsByWindow(bucketsByTarget, minSamplesByTable, thresholds);
 
   const transactions = new Map();
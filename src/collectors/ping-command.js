@@ -0,0 +1,350 @@
+import { spawn } from "child_process";
+import net from "net";
+import { dscpToTos } from "../utils/dscp.js";
+import { isAddressSource, resolveSourceAddress } from "../utils/uplinks.js";
+
+// Platform-specific pieces of the system `ping` invocation shared by the per-probe and
+// streaming ICMP backends, the path MTU probe and the payload-size sweep.
+
+// Unprivileged ping refuses intervals below 200ms on Linux and macOS.
+const MIN_BURST_INTERVAL_MS = 200;
+
+// Picks the ping binary and flags that pin the address family ("v4", "v6" or null for the OS
+// default). macOS ships a separate ping6 and its ping only speaks IPv4.
+export function resolvePingCommand(family) {
+  if (process.platform === "darwin") {
+    return { command: family === "v6" ? "ping6" : "ping", args: [] };
+  }
+
+  if (family === "v4") {
+    return { command: "ping", args: ["-4"] };
+  }
+  if (family === "v6") {
+    return { command: "ping", args: ["-6"] };
+  }
+  return { command: "ping", args: [] };
+}
+
+export function toAddressFamily(ip) {
+  const version = net.isIP(String(ip ?? ""));
+  if (version === 4) {
+    return "v4";
+  }
+  if (version === 6) {
+    return "v6";
+  }
+  return null;
+}
+
+// Extracts the address ping resolved the target to, from its header or first reply line:
+//   PING google.com (142.250.78.14) 56(84) bytes of data.
+//   PING google.com(2800:3f0:4001:82f::200e) 56 data bytes
+//   Pinging google.com [142.250.78.14] with 32 bytes of data:
+//   64 bytes from 142.250.78.14: icmp_seq=1 ttl=117 time=12.3 ms
+export function parsePingAddress(output) {
+  const text = String(output ?? "");
+  const patterns = [
+    /^PING\s+\S+?\s*\(([0-9a-f:.]+)\)/im,
+    /^PING6?\(.*?\)\s+\S+\s+-->\s+([0-9a-f:.]+)/im,
+    /^Pinging\s+\S+\s+\[([0-9a-f:.%]+)\]/im,
+    /^Pinging\s+([0-9a-f:.%]+)\s+with/im,
+    /bytes from\s+(?:\S+\s+\()?([0-9a-f:.]+)\)?:/i,
+    /Reply from\s+([0-9a-f:.%]+):/i,
+  ];
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match) {
+      const candidate = match[1].replace(/%.*$/, "");
+      if (net.isIP(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+// Extracts every echo reply printed by ping. Windows output carries no sequence number,
+// so replies are numbered in arrival order there.
+export function parseEchoReplies(output) {
+  if (!output) {
+    return [];
+  }
+
+  const replies = [];
+  const lines = String(output).split(/\r?\n/);
+  for (const line of lines) {
+    const timeMatch = /time[=<\s]*([0-9]+(?:\.[0-9]+)?)\s*ms/i.exec(line);
+    if (!timeMatch) {
+      continue;
+    }
+    const rtt = Number.parseFloat(timeMatch[1]);
+    if (!Number.isFinite(rtt)) {
+      continue;
+    }
+    const seqMatch = /icmp_[sr]eq=(\d+)/i.exec(line);
+    const seq = seqMatch ? Number.parseInt(seqMatch[1], 10) : replies.length;
+    replies.push({ seq, rtt, duplicate: /\(DUP!\)/i.test(line) });
+  }
+
+  return replies;
+}
+
+// Flags making ping leave through an uplink `source` (interface name or local address). Linux
+// ping -I takes either; macOS binds an address with -S and an interface with -b; Windows only
+// binds addresses, so an interface is replaced by its address in `family`.
+export function buildSourceArgs(source, family = null) {
+  const text = String(source ?? "").trim();
+  if (!text) {
+    return [];
+  }
+  if (process.platform === "win32") {
+    const address = resolveSourceAddress(text, family);
+    return address ? ["-S", address] : [];
+  }
+  if (process.platform === "darwin") {
+    return isAddressSource(text) ? ["-S", text] : ["-b", text];
+  }
+  return ["-I", text];
+}
+
+// Windows ping cannot set the TOS byte (its -v flag is ignored by the stack).
+export function canMarkIcmp() {
+  return process.platform !== "win32";
+}
+
+// Flags marking the echo requests with a DSCP codepoint (Linux -Q, macOS -z take the TOS byte).
+export function buildTosArgs(dscp) {
+  if (!Number.isInteger(dscp) || !canMarkIcmp()) {
+    return [];
+  }
+  const tos = String(dscpToTos(dscp));
+  return process.platform === "darwin" ? ["-z", tos] : ["-Q", tos];
+}
+
+// Arguments for `count` echo requests `intervalMs` apart, waiting up to timeoutMs for replies.
+// extraArgs (payload size, don't-fragment, ...) go right before the target.
+export function buildPingArgs(
+  target,
+  timeoutMs,
+  {
+    count = 1,
+    intervalMs = MIN_BURST_INTERVAL_MS,
+    family = null,
+    source = null,
+    dscp = null,
+    extraArgs = [],
+  } = {}
+) {
+  const packets = Math.max(1, Math.floor(count));
+  const familyArgs = resolvePingCommand(family).args;
+  // Source binding and DSCP marking go before the caller's extra arguments.
+  const probeArgs = [...buildSourceArgs(source, family), ...buildTosArgs(dscp)];
+  if (process.platform === "win32") {
+    // Windows ping has no interval flag; replies are spaced one second apart.
+    return [
+      ...familyArgs,
+      "-n",
+      String(packets),
+      "-w",
+      String(Math.max(timeoutMs, 1)),
+      ...probeArgs,
+      ...extraArgs,
+      target,
+    ];
+  }
+
+  const intervalArgs =
+    packets > 1 ? ["-i", (Math.max(intervalMs, MIN_BURST_INTERVAL_MS) / 1000).toFixed(3)] : [];
+  const deadlineSeconds = Math.max(Math.ceil(timeoutMs / 1000), 1);
+  if (process.platform === "darwin") {
+    return [
+      "-n",
+      "-c",
+      String(packets),
+      ...intervalArgs,
+      "-W",
+      String(Math.max(timeoutMs, 1)),
+      ...probeArgs,
+      ...extraArgs,
+      target,
+    ];
+  }
+
+  return [
+    ...familyArgs,
+    "-n",
+    "-c",
+    String(packets),
+    ...intervalArgs,
+    "-W",
+    String(deadlineSeconds),
+    ...probeArgs,
+    ...extraArgs,
+    target,
+  ];
+}
+
+export function terminateChildProcess(child) {
+  if (!child) {
+    return;
+  }
+
+  const pid = child.pid;
+  try {
+    child.kill();
+  } catch (error) {
+    // Ignore kill errors; process may already be gone.
+  }
+
+  if (process.platform === "win32" && pid) {
+    try {
+      const killer = spawn("taskkill", ["/pid", String(pid), "/t", "/f"]);
+      killer.stdout?.resume();
+      killer.stderr?.resume();
+      killer.unref?.();
+    } catch (error) {
+      // Ignore taskkill errors; best-effort cleanup.
+    }
+  }
+}
+
+// Runs the system ping once and resolves { success, output, code, timedOut, aborted, error }.
+// Children are added to `processes` while running so a caller can terminate them on shutdown.
+export function runPing(
+  target,
+  timeoutMs,
+  {
+    signal,
+    count = 1,
+    intervalMs = MIN_BURST_INTERVAL_MS,
+    family = null,
+    source = null,
+    dscp = null,
+    extraArgs = [],
+    processes = null,
+  } = {}
+) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve({ success: false, output: "", aborted: true });
+      return;
+    }
+
+    const packets = Math.max(1, Math.floor(count));
+    const args = buildPingArgs(target, timeoutMs, {
+      count: packets,
+      intervalMs,
+      family,
+      source,
+      dscp,
+      extraArgs,
+    });
+    // The last echo request leaves (packets - 1) intervals after the first one.
+    const spreadMs =
+      packets > 1
+        ? (packets - 1) *
+          (process.platform === "win32" ? 1000 : Math.max(intervalMs, MIN_BURST_INTERVAL_MS))
+        : 0;
+    const child = spawn(resolvePingCommand(family).command, args);
+    processes?.add(child);
+    let stdout = "";
+    let stderr = "";
+    let settled = false;
+    let timeoutTimer = null;
+
+    const cleanup = () => {
+      processes?.delete(child);
+      if (timeoutTimer !== null) {
+        clearTimeout(timeoutTimer);
+      }
+      if (abortHandler && signal) {
+        signal.removeEventListener("abort", abortHandler);
+      }
+    };
+
+    const settle = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      cleanup();
+      resolve(result);
+    };
+
+    timeoutTimer = setTimeout(
+      () => {
+        if (!settled) {
+          terminateChildProcess(child);
+          settle({ success: false, output: stdout + stderr, timedOut: true });
+        }
+      },
+      timeoutMs + spreadMs + 500
+    );
+    timeoutTimer.unref?.();
+
+    const abortHandler = () => {
+      terminateChildProcess(child);
+      settle({ success: false, output: stdout + stderr, aborted: true });
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        abortHandler();
+        return;
+      }
+      signal.addEventListener("abort", abortHandler, { once: true });
+    }
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk.toString();
+    });
+
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    child.on("error", (error) => {
+      settle({ success: false, output: stdout + stderr, error });
+    });
+
+    child.on("close", (code) => {
+      settle({ success: code === 0, output: stdout + stderr, code });
+    });
+  });
+}
+
+// IP + ICMP header bytes on top of the ping payload, so packet size = payload + overhead.
+export const ICMP_OVERHEAD_BYTES = Object.freeze({ v4: 28, v6: 48 });
+
+// Flag setting the ICMP payload size of each echo request.
+export function buildPayloadArgs(payloadBytes) {
+  const size = String(Math.max(0, Math.floor(payloadBytes)));
+  return process.platform === "win32" ? ["-l", size] : ["-s", size];
+}
+
+// Flags for a single echo request of `payloadBytes` with fragmentation forbidden, so a packet
+// larger than the path MTU is dropped (or rejected locally) instead of being fragmented.
+// IPv6 never fragments in transit, so only the size matters there.
+export function buildDontFragmentArgs(payloadBytes, family) {
+  const payloadArgs = buildPayloadArgs(payloadBytes);
+  if (process.platform === "win32") {
+    return family === "v6" ? payloadArgs : ["-f", ...payloadArgs];
+  }
+  if (process.platform === "darwin") {
+    return family === "v6" ? payloadArgs : ["-D", ...payloadArgs];
+  }
+  return ["-M", "do", ...payloadArgs];
+}
+
+// Reads the MTU a router or the local stack reported for an oversized packet:
+//   ping: local error: message too long, mtu=1492
+//   From 10.0.0.1 icmp_seq=1 Frag needed and DF set (mtu = 1400)
+//   From fe80::1 icmp_seq=1 Packet too big: mtu=1280
+export function parseMtuHint(output) {
+  const match = /mtu\s*=\s*(\d+)/i.exec(String(output ?? ""));
+  if (!match) {
+    return null;
+  }
+  const value = Number.parseInt(match[1], 10);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
@@ -0,0 +1,352 @@
+import { spawn } from "child_process";
+import readline from "readline";
+import * as logger from "../utils/logger.js";
+import {
+  buildSourceArgs,
+  buildTosArgs,
+  parsePingAddress,
+  resolvePingCommand,
+} from "./ping-command.js";
+
+// Long-running ICMP backend: one `ping` child per target whose output is parsed line by line.
+// Each echo request becomes one sample, so the loop no longer forks a process per probe.
+
+// Unprivileged ping refuses intervals below 200ms on Linux and macOS.
+const MIN_STREAM_INTERVAL_MS = 200;
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 30_000;
+const SEQ_WRAP_THRESHOLD = 30_000;
+const MAX_TRACKED_LOST_SEQS = 256;
+
+export function isStreamBackendSupported() {
+  // Windows ping has neither an interval flag nor sequence numbers in its output.
+  return process.platform !== "win32";
+}
+
+function buildStreamArgs(target, intervalMs, family, source, dscp) {
+  const intervalSeconds = (Math.max(intervalMs, MIN_STREAM_INTERVAL_MS) / 1000).toFixed(3);
+  const familyArgs = resolvePingCommand(family).args;
+  const probeArgs = [...buildSourceArgs(source, family), ...buildTosArgs(dscp)];
+  if (process.platform === "darwin") {
+    return [...familyArgs, "-n", "-i", intervalSeconds, ...probeArgs, target];
+  }
+
+  // -O reports "no answer yet" for every request still unanswered when the next one is sent.
+  return [...familyArgs, "-n", "-O", "-i", intervalSeconds, ...probeArgs, target];
+}
+
+// Classifies one line of streaming ping output.
+export function parseStreamLine(line) {
+  const text = String(line ?? "");
+
+  const lostMatch =
+    /no answer yet for icmp_seq=(\d+)/i.exec(text) ??
+    /request timeout for icmp_seq[=\s]+(\d+)/i.exec(text);
+  if (lostMatch) {
+    return { type: "lost", seq: Number.parseInt(lostMatch[1], 10) };
+  }
+
+  const timeMatch = /time[=<\s]*([0-9]+(?:\.[0-9]+)?)\s*ms/i.exec(text);
+  const seqMatch = /icmp_[sr]eq=(\d+)/i.exec(text);
+  if (timeMatch && seqMatch) {
+    const rtt = Number.parseFloat(timeMatch[1]);
+    if (Number.isFinite(rtt)) {
+      return {
+        type: "reply",
+        seq: Number.parseInt(seqMatch[1], 10),
+        rtt,
+        duplicate: /\(DUP!\)/i.test(text),
+      };
+    }
+  }
+
+  return null;
+}
+
+// Creates a supervised streaming ping for one target. Samples are delivered through onSample as
+// { ts, seq, success, rtt_ms, timedOut, address }. Replies slower than timeoutMs and sequence gaps count as
+// timeouts, and a silent stream produces timeout samples at the configured interval, mirroring the
+// per-probe backend. The child is restarted with exponential backoff whenever it exits.
+export function createPingStream(
+  target,
+  { intervalMs, timeoutMs, family = null, source = null, dscp = null, onSample, signal } = {}
+) {
+  const streamIntervalMs = Math.max(
+    MIN_STREAM_INTERVAL_MS,
+    Number.isFinite(intervalMs) ? Math.floor(intervalMs) : 1000
+  );
+  const replyTimeoutMs = Math.max(1, Number.isFinite(timeoutMs) ? Math.floor(timeoutMs) : 3000);
+  const silenceLimitMs = streamIntervalMs + replyTimeoutMs;
+
+  let child = null;
+  let lineReader = null;
+  let stopped = false;
+  let restartTimer = null;
+  let watchdogTimer = null;
+  let restartDelayMs = RESTART_BASE_DELAY_MS;
+  let restarts = 0;
+  let nextExpectedSeq = null;
+  let lastOutputTs = Date.now();
+  let silenceCursorTs = lastOutputTs;
+  let stderrTail = "";
+  // Address the child resolved the target to, read from its header line.
+  let address = null;
+  // Requests without a reply yet (seq -> ts when first noticed missing) and those already reported.
+  const pendingSeqs = new Map();
+  const lostSeqs = new Set();
+
+  const emit = (sample) => {
+    if (stopped || typeof onSample !== "function") {
+      return;
+    }
+    try {
+      onSample(sample);
+    } catch (error) {
+      logger.error("ping", `Stream sample handler failed for ${target}`, error);
+    }
+  };
+
+  const emitTimeout = (seq, ts = Date.now()) => {
+    emit({ ts, seq, success: 0, rtt_ms: null, timedOut: true, address });
+  };
+
+  const markLost = (seq, ts) => {
+    pendingSeqs.delete(seq);
+    if (lostSeqs.has(seq)) {
+      return;
+    }
+    lostSeqs.add(seq);
+    if (lostSeqs.size > MAX_TRACKED_LOST_SEQS) {
+      lostSeqs.delete(lostSeqs.values().next().value);
+    }
+    emitTimeout(seq, ts);
+  };
+
+  const markPending = (seq, now) => {
+    if (!pendingSeqs.has(seq) && !lostSeqs.has(seq)) {
+      pendingSeqs.set(seq, now);
+    }
+  };
+
+  // Pending requests are reported as timeouts once they have waited timeoutMs since being sent.
+  // A request is noticed missing roughly one interval after it left.
+  const expirePending = (now) => {
+    const waitMs = Math.max(0, replyTimeoutMs - streamIntervalMs);
+    for (const [seq, noticedTs] of pendingSeqs) {
+      if (now - noticedTs >= waitMs) {
+        markLost(seq, noticedTs - streamIntervalMs);
+      }
+    }
+  };
+
+  const advanceTo = (seq, now) => {
+    if (nextExpectedSeq !== null && seq < nextExpectedSeq - SEQ_WRAP_THRESHOLD) {
+      // icmp_seq wrapped around 65535; restart gap tracking from here.
+      nextExpectedSeq = null;
+      pendingSeqs.clear();
+      lostSeqs.clear();
+    }
+    if (nextExpectedSeq !== null) {
+      for (let missing = nextExpectedSeq; missing < seq; missing += 1) {
+        markPending(missing, now);
+      }
+    }
+    if (nextExpectedSeq === null || seq >= nextExpectedSeq) {
+      nextExpectedSeq = seq + 1;
+    }
+  };
+
+  const handleLine = (line) => {
+    if (address === null) {
+      address = parsePingAddress(line);
+    }
+    const parsed = parseStreamLine(line);
+    if (!parsed) {
+      return;
+    }
+
+    const now = Date.now();
+    lastOutputTs = now;
+    silenceCursorTs = now;
+    advanceTo(parsed.seq, now);
+
+    if (parsed.type === "lost") {
+      markPending(parsed.seq, now);
+      expirePending(now);
+      return;
+    }
+
+    if (parsed.duplicate || lostSeqs.has(parsed.seq)) {
+      // Duplicates and late replies already reported as timeouts do not produce another sample.
+      expirePending(now);
+      return;
+    }
+
+    pendingSeqs.delete(parsed.seq);
+    restartDelayMs = RESTART_BASE_DELAY_MS;
+    const sentTs = Math.round(now - parsed.rtt);
+    if (parsed.rtt > replyTimeoutMs) {
+      markLost(parsed.seq, sentTs);
+    } else {
+      emit({
+        ts: sentTs,
+        seq: parsed.seq,
+        success: 1,
+        rtt_ms: parsed.rtt,
+        timedOut: false,
+        address,
+      });
+    }
+    expirePending(now);
+  };
+
+  const scheduleRestart = () => {
+    if (stopped || restartTimer !== null) {
+      return;
+    }
+    const delay = restartDelayMs;
+    restartDelayMs = Math.min(restartDelayMs * 2, RESTART_MAX_DELAY_MS);
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      if (!stopped) {
+        restarts += 1;
+        spawnChild();
+      }
+    }, delay);
+    restartTimer.unref?.();
+  };
+
+  const killChild = () => {
+    if (lineReader) {
+      lineReader.close();
+      lineReader = null;
+    }
+    if (child) {
+      const current = child;
+      child = null;
+      try {
+        current.kill();
+      } catch (error) {
+        // Ignore kill errors; process may already be gone.
+      }
+    }
+  };
+
+  function spawnChild() {
+    nextExpectedSeq = null;
+    pendingSeqs.clear();
+    lostSeqs.clear();
+    stderrTail = "";
+    address = null;
+    lastOutputTs = Date.now();
+
+    let spawned;
+    try {
+      spawned = spawn(
+        resolvePingCommand(family).command,
+        buildStreamArgs(target, streamIntervalMs, family, source, dscp)
+      );
+    } catch (error) {
+      logger.warn(
+        "ping",
+        `Unable to start streaming ping for ${target}: ${error?.message ?? error}`
+      );
+      scheduleRestart();
+      return;
+    }
+    child = spawned;
+
+    lineReader = readline.createInterface({ input: spawned.stdout });
+    lineReader.on("line", handleLine);
+    spawned.stderr.on("data", (chunk) => {
+      stderrTail = (stderrTail + chunk.toString()).slice(-500);
+    });
+
+    let exited = false;
+    const handleExit = (detail) => {
+      if (exited) {
+        return;
+      }
+      exited = true;
+      if (child === spawned) {
+        child = null;
+        if (lineReader) {
+          lineReader.close();
+          lineReader = null;
+        }
+      }
+      if (stopped) {
+        return;
+      }
+      const reason = stderrTail.trim().split(/\r?\n/).pop() || detail;
+      logger.warn(
+        "ping",
+        `Streaming ping for ${target} exited (${reason}); restarting in ${restartDelayMs}ms.`
+      );
+      scheduleRestart();
+    };
+
+    spawned.on("error", (error) => handleExit(error?.message ?? "spawn error"));
+    spawned.on("close", (code, exitSignal) => handleExit(`code=${code ?? exitSignal}`));
+  }
+
+  const watchdog = () => {
+    watchdogTimer = null;
+    if (stopped) {
+      return;
+    }
+
+    const now = Date.now();
+    expirePending(now);
+
+    // A stream that stays silent past interval + timeout yields one timeout sample per interval,
+    // so a hung or restarting child still feeds the ICMP→TCP fallback.
+    if (now - silenceCursorTs >= silenceLimitMs) {
+      silenceCursorTs += streamIntervalMs;
+      emitTimeout(null, now - replyTimeoutMs);
+    }
+    if (child && now - lastOutputTs >= silenceLimitMs * 3) {
+      logger.warn("ping", `Streaming ping for ${target} stopped reporting; restarting.`);
+      killChild();
+      scheduleRestart();
+    }
+
+    watchdogTimer = setTimeout(watchdog, streamIntervalMs);
+    watchdogTimer.unref?.();
+  };
+
+  const stop = () => {
+    if (stopped) {
+      return;
+    }
+    stopped = true;
+    if (restartTimer !== null) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    if (watchdogTimer !== null) {
+      clearTimeout(watchdogTimer);
+      watchdogTimer = null;
+    }
+    if (signal) {
+      signal.removeEventListener("abort", stop);
+    }
+    killChild();
+  };
+
+  if (signal?.aborted) {
+    stopped = true;
+  } else {
+    signal?.addEventListener("abort", stop, { once: true });
+    spawnChild();
+    watchdogTimer = setTimeout(watchdog, streamIntervalMs);
+    watchdogTimer.unref?.();
+  }
+
+  return {
+    target,
+    stop,
+    isRunning: () => !stopped,
+    getRestartCount: () => restarts,
+  };
+}
@@ -0,0 +1,302 @@
+import { getConfig, selectPathSeries } from "../config/index.js";
+import { openDb, migrate } from "../storage/db.js";
+import * as logger from "../utils/logger.js";
+import { classifyError, classifyPingFailure, ERROR_CODES } from "../utils/failure.js";
+import {
+  buildPayloadArgs,
+  parseEchoReplies,
+  parsePingAddress,
+  runPing,
+  terminateChildProcess,
+  toAddressFamily,
+} from "./ping-command.js";
+import { createProbeScheduler } from "./probe-scheduler.js";
+
+// Payload-size latency sweep: pings each ping series with several payload sizes and fits RTT
+// against size. Every extra byte has to be serialized onto the slowest link twice (echo request and
+// reply), so the slope approximates 2 × 8 / bottleneck rate, a cheap capacity indicator that needs
+// no speed test. The minimum RTT per size is used because it carries the least queueing delay.
+
+const DEFAULT_SIZES = [64, 512, 1024, 1400];
+const DEFAULT_COUNT = 5;
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 2000;
+const BURST_INTERVAL_MS = 200;
+// Reference packet for the serialization delay: a full Ethernet-sized frame.
+const SERIALIZATION_REFERENCE_BYTES = 1500;
+
+let migrationsEnsured = false;
+let insertStatement = null;
+let activeController = null;
+const activeProcesses = new Set();
+
+function ensureDbReady() {
+  if (!migrationsEnsured) {
+    migrate();
+    migrationsEnsured = true;
+  }
+}
+
+function getInsertStatement(db) {
+  if (!insertStatement) {
+    insertStatement = db.prepare(`
+      INSERT INTO ping_sweep (
+        ts, target, host, family, resolved_ip, uplink, points_json, slope_us_per_byte, intercept_ms,
+        r2, bandwidth_bps, serialization_ms, success, error_code, error_detail
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+  }
+  return insertStatement;
+}
+
+export function getSweepSettings() {
+  const config = getConfig();
+  const sweep = config?.pingSweep ?? {};
+  return {
+    series: selectPathSeries(config),
+    sizes: Array.isArray(sweep.sizes) && sweep.sizes.length >= 2 ? sweep.sizes : DEFAULT_SIZES,
+    count: sweep.count ?? DEFAULT_COUNT,
+    intervalMs: sweep.intervalMs ?? DEFAULT_INTERVAL_MS,
+    timeoutMs: sweep.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+  };
+}
+
+// Least-squares fit of rtt_min_ms against payload_bytes over the sizes that got replies.
+// bandwidth_bps is only reported for a positive slope; serialization_ms is the one-way time to
+// put a 1500-byte packet on the wire at that rate.
+export function estimateLinkRate(points) {
+  const usable = (Array.isArray(points) ? points : []).filter((point) =>
+    Number.isFinite(point?.rtt_min_ms)
+  );
+  const estimate = {
+    slope_us_per_byte: null,
+    intercept_ms: null,
+    r2: null,
+    bandwidth_bps: null,
+    serialization_ms: null,
+  };
+  if (new Set(usable.map((point) => point.payload_bytes)).size < 2) {
+    return estimate;
+  }
+
+  const n = usable.length;
+  const meanX = usable.reduce((sum, point) => sum + point.payload_bytes, 0) / n;
+  const meanY = usable.reduce((sum, point) => sum + point.rtt_min_ms, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const point of usable) {
+    const dx = point.payload_bytes - meanX;
+    const dy = point.rtt_min_ms - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+
+  const slopeMsPerByte = sxy / sxx;
+  estimate.slope_us_per_byte = Number((slopeMsPerByte * 1000).toFixed(4));
+  estimate.intercept_ms = Number((meanY - slopeMsPerByte * meanX).toFixed(3));
+  estimate.r2 = syy > 0 ? Number(((sxy * sxy) / (sxx * syy)).toFixed(4)) : null;
+  if (slopeMsPerByte > 0) {
+    estimate.bandwidth_bps = Math.round((2 * 8 * 1000) / slopeMsPerByte);
+    estimate.serialization_ms = Number(
+      ((SERIALIZATION_REFERENCE_BYTES * slopeMsPerByte) / 2).toFixed(3)
+    );
+  }
+  return estimate;
+}
+
+// Pings one host with every payload size in turn and resolves the stored row shape, with
+// points = [{ payload_bytes, sent, received, rtt_min_ms, rtt_avg_ms }]. `source` binds the pings
+// to an uplink interface or address.
+export async function runSweep(
+  host,
+  {
+    family = null,
+    source = null,
+    sizes = DEFAULT_SIZES,
+    count = DEFAULT_COUNT,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    signal,
+  } = {}
+) {
+  const result = {
+    ts: Date.now(),
+    host,
+    family,
+    resolved_ip: null,
+    points: [],
+    success: 0,
+    error_code: null,
+    error_detail: null,
+  };
+
+  let lastFailure = null;
+  for (const size of sizes) {
+    const run = await runPing(host, timeoutMs, {
+      signal,
+      count,
+      intervalMs: BURST_INTERVAL_MS,
+      family,
+      source,
+      extraArgs: buildPayloadArgs(size),
+      processes: activeProcesses,
+    });
+    if (run.aborted) {
+      // A partial sweep would skew the fit; it is dropped rather than stored.
+      return { ...result, error_code: ERROR_CODES.ABORTED };
+    }
+    if (run.error) {
+      lastFailure = run;
+      break;
+    }
+    result.resolved_ip = result.resolved_ip ?? parsePingAddress(run.output);
+    const seen = new Set();
+    const rtts = [];
+    for (const reply of parseEchoReplies(run.output)) {
+      if (!reply.duplicate && !seen.has(reply.seq) && reply.rtt > 0) {
+        seen.add(reply.seq);
+        rtts.push(reply.rtt);
+      }
+    }
+    if (rtts.length === 0) {
+      lastFailure = run;
+    }
+    result.points.push({
+      payload_bytes: size,
+      sent: count,
+      received: Math.min(rtts.length, count),
+      rtt_min_ms: rtts.length ? Math.min(...rtts) : null,
+      rtt_avg_ms: rtts.length ? rtts.reduce((sum, value) => sum + value, 0) / rtts.length : null,
+    });
+  }
+
+  result.family = toAddressFamily(result.resolved_ip) ?? family;
+  if (result.points.some((point) => point.received > 0)) {
+    result.success = 1;
+  } else {
+    const failure = lastFailure ? classifyPingFailure(lastFailure) : classifyError(null);
+    result.error_code = failure.code;
+    result.error_detail = failure.detail;
+  }
+  return { ...result, ...estimateLinkRate(result.points) };
+}
+
+function storeSweep(target, sweep) {
+  ensureDbReady();
+  const db = openDb();
+  getInsertStatement(db).run(
+    sweep.ts,
+    target,
+    sweep.host,
+    sweep.family,
+    sweep.resolved_ip,
+    sweep.uplink ?? null,
+    JSON.stringify(sweep.points),
+    sweep.slope_us_per_byte,
+    sweep.intercept_ms,
+    sweep.r2,
+    sweep.bandwidth_bps,
+    sweep.serialization_ms,
+    sweep.success,
+    sweep.error_code,
+    sweep.error_detail
+  );
+}
+
+// Sweeps and stores one ping series ({ id, host, family, uplink, source }).
+export async function measureOnce(series, { signal, settings = getSweepSettings() } = {}) {
+  const result = await runSweep(series.host, {
+    family: series.family,
+    source: series.source ?? null,
+    sizes: settings.sizes,
+    count: settings.count,
+    timeoutMs: settings.timeoutMs,
+    signal,
+  });
+  const sweep = { ...result, uplink: series.uplink ?? null };
+  if (sweep.error_code === ERROR_CODES.ABORTED) {
+    return sweep;
+  }
+  storeSweep(series.id, sweep);
+  return sweep;
+}
+
+function createController({ signal } = {}) {
+  const settings = getSweepSettings();
+  const seriesById = new Map(settings.series.map((series) => [series.id, series]));
+  const loopAbortController = new AbortController();
+
+  // One sweep at a time: concurrent sweeps share the uplink and would inflate each other's slope.
+  const scheduler = createProbeScheduler({
+    targets: [...seriesById.keys()],
+    intervalMs: settings.intervalMs,
+    concurrency: 1,
+    runProbe: (id) =>
+      measureOnce(seriesById.get(id), { signal: loopAbortController.signal, settings }),
+    onError: (id, error) => {
+      logger.error("ping-sweep", `Payload sweep failed for ${id}`, error);
+    },
+  });
+
+  const requestStop = () => {
+    scheduler.stop();
+    if (!loopAbortController.signal.aborted) {
+      loopAbortController.abort();
+    }
+    for (const child of activeProcesses) {
+      terminateChildProcess(child);
+    }
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      requestStop();
+    } else {
+      signal.addEventListener("abort", requestStop, { once: true });
+    }
+  }
+
+  const promise = (async () => {
+    try {
+      if (!loopAbortController.signal.aborted) {
+        logger.info(
+          "ping-sweep",
+          `Sweeping payload sizes ${settings.sizes.join("/")} for ${seriesById.size} target(s) every ${Math.round(settings.intervalMs / 1000)}s.`
+        );
+        scheduler.start();
+      }
+      await scheduler.done;
+    } finally {
+      signal?.removeEventListener("abort", requestStop);
+    }
+  })();
+
+  return { promise, requestStop };
+}
+
+// Starts the periodic payload-size sweep over the ping series until stop() or the abort signal.
+export async function runLoop(options = {}) {
+  if (activeController) {
+    return activeController.promise;
+  }
+
+  activeController = createController(options);
+  try {
+    await activeController.promise;
+  } finally {
+    activeController = null;
+  }
+}
+
+export async function stop() {
+  if (!activeController) {
+    return;
+  }
+  try {
+    activeController.requestStop();
+    await activeController.promise;
+  } catch (error) {
+    logger.error("ping-sweep", "Error while stopping payload sweep loop", error);
+  }
+}
@@ -1,26 +1,63 @@
-import { spawn } from "child_process";
+import dns from "dns";
 import net from "net";
 import { getConfig } from "../config/index.js";
 import { openDb, migrate } from "../storage/db.js";
+import { recordEvent } from "../storage/events.js";
 import * as logger from "../utils/logger.js";
 import {
   ensureTarget as ensureWindowTarget,
   recordPingSample as recordRealtimePingSample,
   isEnabled as realtimeWindowsEnabled,
 } from "../runtime/windows.js";
+import { createPingStream, isStreamBackendSupported } from "./ping-stream.js";
+import {
+  canMarkIcmp,
+  parseEchoReplies,
+  runPing,
+  terminateChildProcess,
+  toAddressFamily,
+} from "./ping-command.js";
+import {
+  createProbeScheduler,
+  DEFAULT_CONCURRENCY,
+  runWithConcurrency,
+} from "./probe-scheduler.js";
+import { runUdpProbe } from "./udp-probe.js";
+import { classifyError, classifyPingFailure, ERROR_CODES } from "../utils/failure.js";
+import { isAddressSource, resolveSourceAddress } from "../utils/uplinks.js";
+import { canMarkTcp, markConnectingSocket } from "../utils/dscp.js";
+import { discoverGateway, GATEWAY_SERIES_ID } from "../utils/gateway.js";
 
 const DEFAULT_TARGETS = ["8.8.8.8"];
 const DEFAULT_INTERVAL_S = 1;
 const DEFAULT_TIMEOUT_MS = 3000;
 const DEFAULT_TCP_PORT = 443;
+const DEFAULT_UDP_PORT = 53;
+const DEFAULT_UDP_PAYLOAD = "dns";
+const FALLBACK_METHODS = ["tcp", "udp"];
 const DEFAULT_FALLBACK_AFTER_FAILS = 3;
 const DEFAULT_RECOVERY_AFTER_OKS = 2;
+const DEFAULT_BURST_INTERVAL_MS = 200;
+// Unprivileged ping refuses intervals below 200ms on Linux and macOS.
+const MIN_BURST_INTERVAL_MS = 200;
+const MAX_BURST_COUNT = 100;
+const DEFAULT_GATEWAY_CHECK_MS = 60 * 1000;
+const DEFAULT_RESOLVE_INTERVAL_MS = 30 * 1000;
+const DEFAULT_ADAPTIVE_MIN_INTERVAL_MS = 250;
+const DEFAULT_ADAPTIVE_WINDOW = 10;
+const DEFAULT_ADAPTIVE_RECOVERY_OKS = 5;
+// Same floor as bursts: the streaming backend runs `ping -i`, which refuses less than 200ms.
+const MIN_ADAPTIVE_INTERVAL_MS = 200;
 
 let cachedSettings;
 let migrationsEnsured = false;
 let activeLoopController = null;
-let currentPingProcess = null;
+const activePingProcesses = new Set();
 const targetStates = new Map();
+// Current address of the implicit "gateway" series (PING_GATEWAY), rediscovered by the loop.
+const gatewayState = { address: null, iface: null, source: null, checkedTs: null };
+// Address each hostname series is probed at: { host, family, address, resolvedTs } per series id.
+const resolvedAddresses = new Map();
 
 // Realtime telemetry (in-memory) vs historical durability (SQLite) is split here.
 // The batch state accumulates raw samples before flushing them to the database.
@@ -39,30 +76,6 @@ const batchState = {
   lastErrorTs: null,
 };
 
-function terminateChildProcess(child) {
-  if (!child) {
-    return;
-  }
-
-  const pid = child.pid;
-  try {
-    child.kill();
-  } catch (error) {
-    // Ignore kill errors; process may already be gone.
-  }
-
-  if (process.platform === "win32" && pid) {
-    try {
-      const killer = spawn("taskkill", ["/pid", String(pid), "/t", "/f"]);
-      killer.stdout?.resume();
-      killer.stderr?.resume();
-      killer.unref?.();
-    } catch (error) {
-      // Ignore taskkill errors; best-effort cleanup.
-    }
-  }
-}
-
 function normalizeTargets(list) {
   if (!Array.isArray(list) || list.length === 0) {
     return [...DEFAULT_TARGETS];
@@ -79,7 +92,29 @@ function buildSettings() {
   const config = getConfig();
   const pingConfig = config?.ping ?? {};
 
-  const targets = normalizeTargets(pingConfig.targets);
+  const hosts = normalizeTargets(pingConfig.targets);
+  const targetDefinitions = new Map();
+  for (const definition of Array.isArray(pingConfig.targetDefinitions)
+    ? pingConfig.targetDefinitions
+    : []) {
+    if (definition?.host && hosts.includes(definition.host)) {
+      targetDefinitions.set(definition.host, definition);
+    }
+  }
+  const family = ["v4", "v6", "both"].includes(pingConfig.family) ? pingConfig.family : "auto";
+  // Probed series: one per host, or one per address family for targets in "both" mode.
+  const series = new Map();
+  for (const entry of Array.isArray(pingConfig.series) ? pingConfig.series : []) {
+    if (entry?.id && (entry.gateway || hosts.includes(entry.host))) {
+      series.set(entry.id, entry);
+    }
+  }
+  if (series.size === 0) {
+    for (const host of hosts) {
+      series.set(host, { id: host, host, family: null, uplink: null, source: null });
+    }
+  }
+  const targets = [...series.keys()];
   const intervalMs = Number.isFinite(pingConfig.intervalMs)
     ? Math.max(1, Math.floor(pingConfig.intervalMs))
     : DEFAULT_INTERVAL_S * 1000;
@@ -102,27 +137,295 @@ function buildSettings() {
   const tcpPort = Number.isFinite(pingConfig.tcpPort)
     ? Math.max(1, Math.floor(pingConfig.tcpPort))
     : DEFAULT_TCP_PORT;
+  const udpPort = Number.isFinite(pingConfig.udpPort)
+    ? Math.max(1, Math.floor(pingConfig.udpPort))
+    : DEFAULT_UDP_PORT;
+  const udpPayload =
+    typeof pingConfig.udpPayload === "string" && pingConfig.udpPayload.trim()
+      ? pingConfig.udpPayload.trim()
+      : DEFAULT_UDP_PAYLOAD;
+  const fallbackMethods = Array.isArray(pingConfig.fallbackMethods)
+    ? pingConfig.fallbackMethods.filter((item) => FALLBACK_METHODS.includes(item))
+    : [];
   const fallbackAfterFails = Number.isFinite(pingConfig.fallbackAfterFails)
     ? Math.max(1, Math.floor(pingConfig.fallbackAfterFails))
     : DEFAULT_FALLBACK_AFTER_FAILS;
   const recoveryAfterOks = Number.isFinite(pingConfig.recoveryAfterOks)
     ? Math.max(1, Math.floor(pingConfig.recoveryAfterOks))
     : DEFAULT_RECOVERY_AFTER_OKS;
+  const burstCount = Number.isFinite(pingConfig.burstCount)
+    ? Math.min(MAX_BURST_COUNT, Math.max(1, Math.floor(pingConfig.burstCount)))
+    : 1;
+  const burstIntervalMs = Number.isFinite(pingConfig.burstIntervalMs)
+    ? Math.max(MIN_BURST_INTERVAL_MS, Math.floor(pingConfig.burstIntervalMs))
+    : DEFAULT_BURST_INTERVAL_MS;
+  const icmpBackend = pingConfig.icmpBackend === "stream" ? "stream" : "spawn";
+  const concurrency = Number.isFinite(pingConfig.concurrency)
+    ? Math.max(1, Math.floor(pingConfig.concurrency))
+    : DEFAULT_CONCURRENCY;
+  const gatewayConfig = pingConfig.gateway ?? {};
+  const gateway = series.has(GATEWAY_SERIES_ID)
+    ? {
+        mode: gatewayConfig.mode === "static" ? "static" : "auto",
+        address: gatewayConfig.address ?? null,
+        checkIntervalMs: Number.isFinite(gatewayConfig.checkIntervalMs)
+          ? Math.max(1000, Math.floor(gatewayConfig.checkIntervalMs))
+          : DEFAULT_GATEWAY_CHECK_MS,
+      }
+    : null;
+  const resolveIntervalMs = Number.isFinite(pingConfig.resolveIntervalMs)
+    ? Math.max(1000, Math.floor(pingConfig.resolveIntervalMs))
+    : DEFAULT_RESOLVE_INTERVAL_MS;
+  const adaptiveConfig = pingConfig.adaptive ?? {};
+  const alerts = config?.alerts ?? {};
+  const adaptive = adaptiveConfig.enabled
+    ? {
+        minIntervalMs: Number.isFinite(adaptiveConfig.minIntervalMs)
+          ? Math.max(MIN_ADAPTIVE_INTERVAL_MS, Math.floor(adaptiveConfig.minIntervalMs))
+          : DEFAULT_ADAPTIVE_MIN_INTERVAL_MS,
+        window: Number.isFinite(adaptiveConfig.window)
+          ? Math.max(1, Math.floor(adaptiveConfig.window))
+          : DEFAULT_ADAPTIVE_WINDOW,
+        recoveryAfterOks: Number.isFinite(adaptiveConfig.recoveryAfterOks)
+          ? Math.max(1, Math.floor(adaptiveConfig.recoveryAfterOks))
+          : DEFAULT_ADAPTIVE_RECOVERY_OKS,
+        rttMs: Number.isFinite(alerts.rttMs) && alerts.rttMs > 0 ? alerts.rttMs : null,
+        lossPct: Number.isFinite(alerts.lossPct) && alerts.lossPct > 0 ? alerts.lossPct : null,
+      }
+    : null;
 
   return {
     targets,
     intervalMs,
     timeoutMs,
-    methodPreference: ["icmp", "tcp", "auto"].includes(methodPreference)
+    methodPreference: ["icmp", "tcp", "udp", "auto"].includes(methodPreference)
       ? methodPreference
       : "auto",
     tcpPort,
+    udpPort,
+    udpPayload,
+    fallbackMethods: fallbackMethods.length > 0 ? fallbackMethods : ["tcp"],
     fallbackAfterFails,
     recoveryAfterOks,
+    burstCount,
+    burstIntervalMs,
+    icmpBackend,
+    concurrency,
     jitterMs,
     batchFlushMs,
     maxInMemoryPoints,
+    targetDefinitions,
+    targetsFileError: pingConfig.targetsFileError ?? null,
+    seriesErrors: Array.isArray(pingConfig.seriesErrors) ? pingConfig.seriesErrors : [],
+    family,
+    series,
+    gateway,
+    resolveIntervalMs,
+    adaptive,
+  };
+}
+
+const targetSettingsCache = new WeakMap();
+
+// Resolves the effective settings for one target (series id): its entry from PING_TARGETS_FILE
+// (if any) layered over the global ping settings, plus the host, address family, uplink
+// (label and interface/address to bind to) and DSCP codepoint to probe with.
+export function getTargetSettings(target, settings = getPingSettings()) {
+  let cache = targetSettingsCache.get(settings);
+  if (!cache) {
+    cache = new Map();
+    targetSettingsCache.set(settings, cache);
+  }
+  const key = String(target ?? "").trim();
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const seriesEntry = settings.series?.get(key) ?? null;
+  // The gateway series follows the discovered default gateway; it stays null until one is found.
+  const host = seriesEntry?.gateway
+    ? (gatewayState.address ?? seriesEntry.host ?? null)
+    : (seriesEntry?.host ?? key);
+  const definition = seriesEntry?.gateway ? null : (settings.targetDefinitions?.get(host) ?? null);
+  const requestedFamily = seriesEntry
+    ? seriesEntry.family
+    : (definition?.family ?? settings.family);
+  const resolved = {
+    ...settings,
+    host,
+    family: requestedFamily === "v4" || requestedFamily === "v6" ? requestedFamily : null,
+    uplink: seriesEntry?.uplink ?? null,
+    dscp: Number.isInteger(seriesEntry?.dscp) ? seriesEntry.dscp : null,
+    source: seriesEntry?.source ?? null,
+    intervalMs: definition?.intervalMs ?? settings.intervalMs,
+    timeoutMs: definition?.timeoutMs ?? settings.timeoutMs,
+    methodPreference: definition?.method ?? settings.methodPreference,
+    tcpPort: definition?.tcpPort ?? settings.tcpPort,
+    udpPort: definition?.udpPort ?? settings.udpPort,
+    udpPayload: definition?.udpPayload ?? settings.udpPayload,
+    name: definition?.name ?? seriesEntry?.name ?? null,
+    group: definition?.group ?? seriesEntry?.group ?? null,
+    tags: Array.isArray(definition?.tags)
+      ? definition.tags
+      : Array.isArray(seriesEntry?.tags)
+        ? seriesEntry.tags
+        : [],
+    gateway: Boolean(seriesEntry?.gateway),
   };
+  cache.set(key, resolved);
+  return resolved;
+}
+
+// Address a series probed last, so the first check after a restart can still report a change
+// (the gateway on another network, a hostname re-routed while the collector was down).
+function loadLastResolvedIp(target) {
+  ensureDbReady();
+  const row = openDb()
+    .prepare(
+      "SELECT resolved_ip FROM ping_sample WHERE target = ? AND resolved_ip IS NOT NULL ORDER BY ts DESC LIMIT 1"
+    )
+    .get(target);
+  return row?.resolved_ip ?? null;
+}
+
+function noteGatewayChange(previous, current) {
+  const message = current
+    ? `Default gateway changed from ${previous} to ${current.address}${current.iface ? ` (${current.iface})` : ""}`
+    : `Default gateway ${previous} is gone`;
+  logger.warn("ping", message);
+  try {
+    recordEvent({
+      ts: gatewayState.checkedTs,
+      type: "gateway.change",
+      target: GATEWAY_SERIES_ID,
+      severity: "warn",
+      message,
+      data: {
+        previous,
+        current: current?.address ?? null,
+        iface: current?.iface ?? null,
+        source: current?.source ?? null,
+      },
+    });
+  } catch (error) {
+    logger.error("ping", "Failed to record default gateway change", error);
+  }
+}
+
+function noteAddressChange(target, entry, previous, addresses, settings) {
+  const message = `Resolved address for ${target} changed from ${previous} to ${entry.address}`;
+  logger.info("ping", message);
+  try {
+    recordEvent({
+      ts: entry.resolvedTs,
+      type: "ping.address",
+      target,
+      severity: "info",
+      message,
+      data: {
+        host: entry.host,
+        previous,
+        current: entry.address,
+        addresses,
+        family: toAddressFamily(entry.address),
+        uplink: settings.uplink ?? null,
+      },
+    });
+  } catch (error) {
+    logger.error("ping", `Failed to record address change for ${target}`, error);
+  }
+}
+
+// Resolves a hostname series itself, instead of leaving it to ping or the socket, so every sample
+// records the address actually measured. Answers are reused for PING_RESOLVE_INTERVAL_S, and the
+// current address is kept while it is still among the answers, so round-robin DNS does not count
+// as a change; a real move (CDN or anycast re-route) is stored as a "ping.address" event. When a
+// later lookup fails the last address keeps being probed: the DNS collector covers DNS outages.
+async function resolveProbeAddress(target, host, family, settings) {
+  if (net.isIP(host)) {
+    return host;
+  }
+  const now = Date.now();
+  const cached = resolvedAddresses.get(target);
+  const reusable = cached?.host === host && cached.family === family;
+  if (reusable && now - cached.resolvedTs < settings.resolveIntervalMs) {
+    return cached.address;
+  }
+
+  let addresses;
+  try {
+    const answers = await dns.promises.lookup(host, {
+      family: family === "v4" ? 4 : family === "v6" ? 6 : 0,
+      all: true,
+    });
+    addresses = answers.map((answer) => answer.address);
+  } catch (error) {
+    if (reusable) {
+      cached.resolvedTs = now;
+      return cached.address;
+    }
+    throw error;
+  }
+  if (addresses.length === 0) {
+    throw Object.assign(new Error(`No addresses for ${host}`), { code: "ENOTFOUND" });
+  }
+
+  const previous = reusable ? cached.address : loadLastResolvedIp(target);
+  const entry = {
+    host,
+    family,
+    address: previous && addresses.includes(previous) ? previous : addresses[0],
+    resolvedTs: now,
+  };
+  resolvedAddresses.set(target, entry);
+  if (previous && previous !== entry.address) {
+    noteAddressChange(target, entry, previous, addresses, settings);
+  }
+  return entry.address;
+}
+
+// Points the gateway series at the pinned address or at the freshly discovered default gateway.
+// Resolves true when the probed address moved, so callers can restart anything bound to the old one.
+async function refreshGateway(settings = getPingSettings()) {
+  if (!settings.gateway) {
+    return false;
+  }
+  const firstCheck = gatewayState.checkedTs === null;
+  const before = gatewayState.address;
+  const found =
+    settings.gateway.mode === "static"
+      ? { address: settings.gateway.address, iface: null, source: "PING_GATEWAY" }
+      : await discoverGateway();
+  gatewayState.checkedTs = Date.now();
+  gatewayState.address = found?.address ?? null;
+  gatewayState.iface = found?.iface ?? null;
+  gatewayState.source = found?.source ?? null;
+
+  if (firstCheck) {
+    if (found) {
+      logger.info(
+        "ping",
+        `Probing default gateway ${found.address}${found.iface ? ` on ${found.iface}` : ""} as "${GATEWAY_SERIES_ID}" (from ${found.source}).`
+      );
+    } else {
+      logger.warn("ping", "No IPv4 default gateway found; the gateway series reports failures.");
+    }
+  }
+
+  const previous = firstCheck ? loadLastResolvedIp(GATEWAY_SERIES_ID) : before;
+  // A gateway that cannot be seen at startup is not a change: the network may simply be down.
+  if (previous && previous !== gatewayState.address && (found || !firstCheck)) {
+    noteGatewayChange(previous, found);
+  }
+  if (gatewayState.address === before) {
+    return false;
+  }
+  targetSettingsCache.get(settings)?.delete(GATEWAY_SERIES_ID);
+  const state = targetStates.get(GATEWAY_SERIES_ID);
+  if (state) {
+    state.resolvedIp = null;
+  }
+  return true;
 }
 
 export function getPingSettings() {
@@ -158,7 +461,7 @@ function getInsertManyStatement() {
 
   const db = openDb();
   const insert = db.prepare(
-    "INSERT INTO ping_sample (ts, target, method, rtt_ms, success) VALUES (@ts, @target, @method, @rtt_ms, @success)"
+    "INSERT INTO ping_sample (ts, target, method, rtt_ms, success, sent, received, rtt_min_ms, rtt_max_ms, jitter_ms, dup_count, reorder_count, rtts_json, resolved_ip, family, uplink, dscp, interval_ms, error_code, error_detail) VALUES (@ts, @target, @method, @rtt_ms, @success, @sent, @received, @rtt_min_ms, @rtt_max_ms, @jitter_ms, @dup_count, @reorder_count, @rtts_json, @resolved_ip, @family, @uplink, @dscp, @interval_ms, @error_code, @error_detail)"
   );
 
   insertManyStatement = db.transaction((rows) => {
@@ -169,6 +472,21 @@ function getInsertManyStatement() {
         method: row.method,
         rtt_ms: row.rtt_ms,
         success: row.success ? 1 : 0,
+        sent: Number.isFinite(row.sent) ? row.sent : 1,
+        received: Number.isFinite(row.received) ? row.received : row.success ? 1 : 0,
+        rtt_min_ms: row.rtt_min_ms ?? null,
+        rtt_max_ms: row.rtt_max_ms ?? null,
+        jitter_ms: row.jitter_ms ?? null,
+        dup_count: row.dup_count ?? 0,
+        reorder_count: row.reorder_count ?? 0,
+        rtts_json: Array.isArray(row.rtts) && row.rtts.length > 0 ? JSON.stringify(row.rtts) : null,
+        resolved_ip: row.resolved_ip ?? null,
+        family: row.family ?? null,
+        uplink: row.uplink ?? null,
+        dscp: row.dscp ?? null,
+        interval_ms: row.interval_ms ?? null,
+        error_code: row.error_code ?? null,
+        error_detail: row.error_detail ?? null,
       });
     }
   });
@@ -283,6 +601,11 @@ function ensureDbReady() {
   }
 }
 
+// Locked preferences probe with that method; auto starts on ICMP.
+function initialModeFor(preference) {
+  return FALLBACK_METHODS.includes(preference) ? preference : "icmp";
+}
+
 function getOrCreateTargetState(target, settings) {
   const normalized = String(target ?? "").trim();
   const preference = settings?.methodPreference ?? "auto";
@@ -290,10 +613,11 @@ function getOrCreateTargetState(target, settings) {
   if (!normalized) {
     return {
       target: normalized,
-      mode: preference === "tcp" ? "tcp" : "icmp",
+      mode: initialModeFor(preference),
       preference,
       icmpFailureStreak: 0,
-      tcpSuccessStreak: 0,
+      fallbackSuccessStreak: 0,
+      fallbackFailureStreak: 0,
       consecutiveFailures: 0,
       consecutiveSuccesses: 0,
       lastSampleTs: null,
@@ -306,10 +630,11 @@ function getOrCreateTargetState(target, settings) {
   if (!state) {
     state = {
       target: normalized,
-      mode: preference === "tcp" ? "tcp" : "icmp",
+      mode: initialModeFor(preference),
       preference,
       icmpFailureStreak: 0,
-      tcpSuccessStreak: 0,
+      fallbackSuccessStreak: 0,
+      fallbackFailureStreak: 0,
       consecutiveFailures: 0,
       consecutiveSuccesses: 0,
       lastSampleTs: null,
@@ -320,11 +645,21 @@ function getOrCreateTargetState(target, settings) {
   }
 
   state.preference = preference;
-  if (preference === "icmp" || preference === "tcp") {
+  state.host = settings?.host ?? normalized;
+  state.family = settings?.family ?? null;
+  state.name = settings?.name ?? null;
+  state.group = settings?.group ?? null;
+  state.tags = Array.isArray(settings?.tags) ? settings.tags : [];
+  state.intervalMs = settings?.intervalMs ?? null;
+  state.timeoutMs = settings?.timeoutMs ?? null;
+  state.tcpPort = settings?.tcpPort ?? null;
+  state.udpPort = settings?.udpPort ?? null;
+  if (preference !== "auto") {
     if (state.mode !== preference) {
-      state.mode = preference;
+      state.mode = initialModeFor(preference);
       state.icmpFailureStreak = 0;
-      state.tcpSuccessStreak = 0;
+      state.fallbackSuccessStreak = 0;
+      state.fallbackFailureStreak = 0;
     }
   } else if (!state.mode) {
     state.mode = "icmp";
@@ -335,15 +670,53 @@ function getOrCreateTargetState(target, settings) {
 
 function resolveMethodForTarget(target, settings) {
   const state = getOrCreateTargetState(target, settings);
-  const method = state.mode === "tcp" ? "tcp" : "icmp";
+  const method = FALLBACK_METHODS.includes(state.mode) ? state.mode : "icmp";
   return { state, method };
 }
 
-function updateStateAfterResult({ state, target, method, success, ts, settings }) {
+// Stores a fallback or recovery as a "ping.method" event so the history survives restarts; the
+// sample that tipped the streak supplies the failure reason.
+function noteMethodTransition(target, { from, to, streak, threshold, ts, sample }) {
+  const message =
+    to === "icmp"
+      ? `Restoring ICMP for ${target} after ${streak} consecutive ${from.toUpperCase()} successes.`
+      : `Falling back to ${to.toUpperCase()} for ${target} after ${streak} consecutive ${from.toUpperCase()} failures.`;
+  if (to === "icmp") {
+    logger.info("ping", message);
+  } else {
+    logger.warn("ping", message);
+  }
+  try {
+    recordEvent({
+      ts,
+      type: "ping.method",
+      target,
+      severity: to === "icmp" ? "info" : "warn",
+      message,
+      data: {
+        from,
+        to,
+        streak,
+        threshold,
+        error_code: sample?.error_code ?? null,
+        uplink: sample?.uplink ?? null,
+      },
+    });
+  } catch (error) {
+    logger.error("ping", `Failed to record method transition for ${target}`, error);
+  }
+}
+
+function updateStateAfterResult({ state, target, method, success, ts, settings, sample }) {
   if (!state) {
     return;
   }
 
+  if (sample?.resolved_ip) {
+    state.resolvedIp = sample.resolved_ip;
+    state.resolvedFamily = sample.family ?? toAddressFamily(sample.resolved_ip);
+  }
+
   state.lastSampleTs = Number.isFinite(ts) ? ts : Date.now();
   if (success) {
     state.lastSuccessTs = state.lastSampleTs;
@@ -355,9 +728,11 @@ function updateStateAfterResult({ state, target, method, success, ts, settings }
 
   if (method === "icmp") {
     state.icmpFailureStreak = success ? 0 : (state.icmpFailureStreak ?? 0) + 1;
-    state.tcpSuccessStreak = 0;
-  } else if (method === "tcp") {
-    state.tcpSuccessStreak = success ? (state.tcpSuccessStreak ?? 0) + 1 : 0;
+    state.fallbackSuccessStreak = 0;
+    state.fallbackFailureStreak = 0;
+  } else if (FALLBACK_METHODS.includes(method)) {
+    state.fallbackSuccessStreak = success ? (state.fallbackSuccessStreak ?? 0) + 1 : 0;
+    state.fallbackFailureStreak = success ? 0 : (state.fallbackFailureStreak ?? 0) + 1;
     if (!success) {
       state.icmpFailureStreak = 0;
     }
@@ -367,65 +742,184 @@ function updateStateAfterResult({ state, target, method, success, ts, settings }
     return;
   }
 
+  const fallbackChain = settings.fallbackMethods ?? ["tcp"];
+  const threshold = settings.fallbackAfterFails ?? DEFAULT_FALLBACK_AFTER_FAILS;
+
   if (method === "icmp" && !success) {
-    const threshold = settings.fallbackAfterFails ?? DEFAULT_FALLBACK_AFTER_FAILS;
-    if (state.icmpFailureStreak >= threshold && state.mode !== "tcp") {
-      // Trigger fallback to TCP after consecutive ICMP failures for this target.
-      state.mode = "tcp";
-      state.tcpSuccessStreak = 0;
-      logger.warn(
-        "ping",
-        `Falling back to TCP for ${target} after ${state.icmpFailureStreak} consecutive ICMP failures.`
-      );
+    if (state.icmpFailureStreak >= threshold && state.mode === "icmp") {
+      // Trigger fallback to the first method of the chain after consecutive ICMP failures.
+      state.mode = fallbackChain[0];
+      state.fallbackSuccessStreak = 0;
+      state.fallbackFailureStreak = 0;
+      noteMethodTransition(target, {
+        from: "icmp",
+        to: state.mode,
+        streak: state.icmpFailureStreak,
+        threshold,
+        ts: state.lastSampleTs,
+        sample,
+      });
     }
     return;
   }
 
-  if (method === "tcp" && success) {
+  if (method !== "icmp" && !success) {
+    // A failing fallback hands over to the next method of the chain; the last one stays put.
+    const nextMethod = fallbackChain[fallbackChain.indexOf(method) + 1];
+    if (nextMethod && state.mode === method && state.fallbackFailureStreak >= threshold) {
+      state.mode = nextMethod;
+      noteMethodTransition(target, {
+        from: method,
+        to: nextMethod,
+        streak: state.fallbackFailureStreak,
+        threshold,
+        ts: state.lastSampleTs,
+        sample,
+      });
+      state.fallbackSuccessStreak = 0;
+      state.fallbackFailureStreak = 0;
+    }
+    return;
+  }
+
+  if (method !== "icmp" && success) {
     const recoveryThreshold = settings.recoveryAfterOks ?? DEFAULT_RECOVERY_AFTER_OKS;
-    if (state.tcpSuccessStreak >= recoveryThreshold && state.mode !== "icmp") {
-      // Return to ICMP once TCP probes have been healthy for the configured streak.
+    if (state.fallbackSuccessStreak >= recoveryThreshold && state.mode !== "icmp") {
+      // Return to ICMP once the fallback has been healthy for the configured streak.
       state.mode = "icmp";
       state.icmpFailureStreak = 0;
-      logger.info(
-        "ping",
-        `Restoring ICMP for ${target} after ${state.tcpSuccessStreak} consecutive TCP successes.`
-      );
+      noteMethodTransition(target, {
+        from: method,
+        to: "icmp",
+        streak: state.fallbackSuccessStreak,
+        threshold: recoveryThreshold,
+        ts: state.lastSampleTs,
+        sample,
+      });
     }
   }
 }
 
+// Interval a target is currently probed at: its base interval, or the shortened one while the
+// adaptive rate (PING_ADAPTIVE) is following a degradation.
+function getEffectiveIntervalMs(target, targetSettings) {
+  const adaptiveMs = targetStates.get(target)?.adaptiveIntervalMs;
+  return Number.isFinite(adaptiveMs)
+    ? Math.min(adaptiveMs, targetSettings.intervalMs)
+    : targetSettings.intervalMs;
+}
+
+function isAdaptiveWindowDegraded(window, adaptive) {
+  let sent = 0;
+  let received = 0;
+  const rtts = [];
+  for (const entry of window) {
+    sent += entry.sent;
+    received += entry.received;
+    if (Number.isFinite(entry.rtt)) {
+      rtts.push(entry.rtt);
+    }
+  }
+  if (
+    adaptive.lossPct !== null &&
+    sent > 0 &&
+    ((sent - received) / sent) * 100 >= adaptive.lossPct
+  ) {
+    return true;
+  }
+  if (adaptive.rttMs === null || rtts.length === 0) {
+    return false;
+  }
+  rtts.sort((a, b) => a - b);
+  return rtts[Math.min(rtts.length - 1, Math.ceil(0.95 * rtts.length) - 1)] >= adaptive.rttMs;
+}
+
+// Adaptive rate: the last `window` samples of a target are checked against the alert thresholds
+// (ALERT_LOSS_PCT, ALERT_RTT_MS as p95). A degraded target drops straight to minIntervalMs; once
+// healthy the interval doubles every `recoveryAfterOks` healthy samples until it is back at the
+// base. Returns true when the effective interval changed.
+function updateAdaptiveInterval(state, target, sample, targetSettings, adaptive) {
+  const baseMs = targetSettings.intervalMs;
+  if (!adaptive || !state || adaptive.minIntervalMs >= baseMs) {
+    return false;
+  }
+
+  const window = state.adaptiveWindow ?? [];
+  window.push({
+    sent: sample.sent,
+    received: sample.received,
+    rtt: sample.success === 1 ? sample.rtt_ms : null,
+  });
+  while (window.length > adaptive.window) {
+    window.shift();
+  }
+  state.adaptiveWindow = window;
+
+  const current = getEffectiveIntervalMs(target, targetSettings);
+  let next = current;
+  if (isAdaptiveWindowDegraded(window, adaptive)) {
+    state.adaptiveHealthyStreak = 0;
+    next = adaptive.minIntervalMs;
+  } else if (current < baseMs) {
+    state.adaptiveHealthyStreak = (state.adaptiveHealthyStreak ?? 0) + 1;
+    if (state.adaptiveHealthyStreak >= adaptive.recoveryAfterOks) {
+      state.adaptiveHealthyStreak = 0;
+      next = Math.min(baseMs, current * 2);
+    }
+  }
+  if (next === current) {
+    return false;
+  }
+
+  state.adaptiveIntervalMs = next < baseMs ? next : null;
+  if (next < current) {
+    logger.info("ping", `Adaptive rate: ${target} degraded, probing every ${next}ms.`);
+  } else if (next === baseMs) {
+    logger.info("ping", `Adaptive rate: ${target} recovered, back to every ${baseMs}ms.`);
+  } else {
+    logger.debug("ping", `Adaptive rate: ${target} easing off to every ${next}ms.`);
+  }
+  return true;
+}
+
 export function getRuntimeStateSnapshot() {
   const snapshot = {};
   for (const [target, state] of targetStates.entries()) {
     snapshot[target] = {
       mode: state.mode ?? null,
       preference: state.preference ?? null,
+      host: state.host ?? target,
+      family: state.family ?? null,
+      resolvedIp: state.resolvedIp ?? null,
+      resolvedFamily: state.resolvedFamily ?? null,
+      name: state.name ?? null,
+      group: state.group ?? null,
+      tags: Array.isArray(state.tags) ? [...state.tags] : [],
+      intervalMs: state.intervalMs ?? null,
+      effectiveIntervalMs: state.adaptiveIntervalMs ?? state.intervalMs ?? null,
+      timeoutMs: state.timeoutMs ?? null,
+      tcpPort: state.tcpPort ?? null,
+      udpPort: state.udpPort ?? null,
       consecutiveFailures: state.consecutiveFailures ?? 0,
       consecutiveSuccesses: state.consecutiveSuccesses ?? 0,
       icmpFailureStreak: state.icmpFailureStreak ?? 0,
-      tcpSuccessStreak: state.tcpSuccessStreak ?? 0,
+      fallbackSuccessStreak: state.fallbackSuccessStreak ?? 0,
+      fallbackFailureStreak: state.fallbackFailureStreak ?? 0,
       lastSampleTs: state.lastSampleTs ?? null,
       lastSuccessTs: state.lastSuccessTs ?? null,
       lastResultSuccess: state.lastResultSuccess ?? 0,
+      icmpBackend: state.icmpBackend ?? "spawn",
+      streamRestarts: state.streamRestarts ?? 0,
+      phaseOffsetMs: state.phaseOffsetMs ?? null,
+      lastScheduledTs: state.lastScheduledTs ?? null,
+      scheduleLagMs: state.scheduleLagMs ?? null,
+      scheduleLagMaxMs: state.scheduleLagMaxMs ?? null,
+      skippedProbes: state.skippedProbes ?? 0,
     };
   }
   return snapshot;
 }
 
-function buildPingArgs(target, timeoutMs) {
-  if (process.platform === "win32") {
-    return ["-n", "1", "-w", String(Math.max(timeoutMs, 1)), target];
-  }
-
-  const deadlineSeconds = Math.max(Math.ceil(timeoutMs / 1000), 1);
-  if (process.platform === "darwin") {
-    return ["-n", "-c", "1", "-W", String(Math.max(timeoutMs, 1)), target];
-  }
-
-  return ["-n", "-c", "1", "-W", String(deadlineSeconds), target];
-}
-
 function parseRttFromOutput(output) {
   if (!output) {
     return null;
@@ -452,90 +946,82 @@ function parseRttFromOutput(output) {
   return null;
 }
 
-function sanitizeRtt(value) {
-  const num = Number(value);
-  if (!Number.isFinite(num) || num <= 0) {
-    return null;
-  }
-  return num;
-}
+// Summarizes one burst of echo replies: loss, duplicates, reordering, min/max and jitter.
+// Jitter follows the RFC 3550 interarrival difference D(i-1, i), which for round trips reduces
+// to the RTT delta between consecutive replies. The deltas are averaged over the burst instead
+// of fed through the 1/16 running filter, which would not converge within a handful of packets.
+function computeBurstStats(replies, sent) {
+  const stats = {
+    sent: Math.max(1, Math.floor(sent)),
+    received: 0,
+    rtt_ms: null,
+    rtt_min_ms: null,
+    rtt_max_ms: null,
+    jitter_ms: null,
+    dup_count: 0,
+    reorder_count: 0,
+    rtts: null,
+  };
 
-function runPing(target, timeoutMs, { signal } = {}) {
-  return new Promise((resolve) => {
-    if (signal?.aborted) {
-      resolve({ success: false, output: "", aborted: true });
-      return;
+  const unique = [];
+  const seen = new Set();
+  let highestSeq = -Infinity;
+  for (const reply of Array.isArray(replies) ? replies : []) {
+    const rtt = sanitizeRtt(reply?.rtt);
+    if (rtt == null) {
+      continue;
     }
-
-    const args = buildPingArgs(target, timeoutMs);
-    const child = spawn("ping", args);
-    currentPingProcess = child;
-    let stdout = "";
-    let stderr = "";
-    let settled = false;
-    let timeoutTimer = null;
-
-    const cleanup = () => {
-      if (currentPingProcess === child) {
-        currentPingProcess = null;
-      }
-      if (timeoutTimer !== null) {
-        clearTimeout(timeoutTimer);
-      }
-      if (abortHandler && signal) {
-        signal.removeEventListener("abort", abortHandler);
-      }
-    };
-
-    const settle = (result) => {
-      if (settled) {
-        return;
-      }
-      settled = true;
-      cleanup();
-      resolve(result);
-    };
-
-    timeoutTimer = setTimeout(() => {
-      if (!settled) {
-        terminateChildProcess(child);
-        settle({ success: false, output: stdout + stderr, timedOut: true });
-      }
-    }, timeoutMs + 500);
-    timeoutTimer.unref?.();
-
-    const abortHandler = () => {
-      terminateChildProcess(child);
-      settle({ success: false, output: stdout + stderr, aborted: true });
-    };
-
-    if (signal) {
-      if (signal.aborted) {
-        abortHandler();
-        return;
-      }
-      signal.addEventListener("abort", abortHandler, { once: true });
+    if (reply.duplicate || seen.has(reply.seq)) {
+      stats.dup_count += 1;
+      continue;
     }
+    seen.add(reply.seq);
+    if (reply.seq < highestSeq) {
+      stats.reorder_count += 1;
+    }
+    highestSeq = Math.max(highestSeq, reply.seq);
+    unique.push({ seq: reply.seq, rtt });
+  }
 
-    child.stdout.on("data", (chunk) => {
-      stdout += chunk.toString();
-    });
+  stats.received = Math.min(unique.length, stats.sent);
+  if (unique.length === 0) {
+    return stats;
+  }
 
-    child.stderr.on("data", (chunk) => {
-      stderr += chunk.toString();
-    });
+  const rtts = unique.map((reply) => reply.rtt);
+  stats.rtt_ms = rtts.reduce((sum, value) => sum + value, 0) / rtts.length;
+  stats.rtt_min_ms = Math.min(...rtts);
+  stats.rtt_max_ms = Math.max(...rtts);
+  // Per-packet RTTs in sequence order, so window percentiles are taken over packets (the same unit
+  // as loss) rather than over burst means, which would hide the tail.
+  const ordered = unique.slice().sort((a, b) => a.seq - b.seq);
+  stats.rtts = ordered.map((reply) => reply.rtt);
+
+  if (unique.length > 1) {
+    let totalDelta = 0;
+    for (let i = 1; i < ordered.length; i += 1) {
+      totalDelta += Math.abs(ordered[i].rtt - ordered[i - 1].rtt);
+    }
+    stats.jitter_ms = totalDelta / (ordered.length - 1);
+  }
 
-    child.on("error", (error) => {
-      settle({ success: false, output: stdout + stderr, error });
-    });
+  return stats;
+}
 
-    child.on("close", (code) => {
-      settle({ success: code === 0, output: stdout + stderr, code });
-    });
-  });
+function sanitizeRtt(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num <= 0) {
+    return null;
+  }
+  return num;
 }
 
-function runTcpProbe(target, port, timeoutMs, { signal } = {}) {
+function runTcpProbe(
+  target,
+  port,
+  timeoutMs,
+  { signal, family = null, localAddress = null, dscp = null } = {}
+) {
   return new Promise((resolve) => {
     if (signal?.aborted) {
       resolve({ success: false, aborted: true });
@@ -544,6 +1030,7 @@ function runTcpProbe(target, port, timeoutMs, { signal } = {}) {
 
     const socket = new net.Socket();
     socket.setNoDelay?.(true);
+    const marked = Number.isInteger(dscp) && canMarkTcp();
     let settled = false;
     let timeoutTimer = null;
 
@@ -595,7 +1082,7 @@ function runTcpProbe(target, port, timeoutMs, { signal } = {}) {
 
     socket.once("connect", () => {
       const rtt = Date.now() - startTime;
-      settle({ success: true, rtt });
+      settle({ success: true, rtt, address: socket.remoteAddress ?? null });
     });
 
     socket.once("error", (error) => {
@@ -603,7 +1090,19 @@ function runTcpProbe(target, port, timeoutMs, { signal } = {}) {
     });
 
     try {
-      socket.connect(port, target);
+      socket.connect({
+        port,
+        host: target,
+        family: family === "v4" ? 4 : family === "v6" ? 6 : 0,
+        ...(localAddress && !marked ? { localAddress } : {}),
+      });
+      if (marked) {
+        markConnectingSocket(socket, {
+          dscp,
+          family: net.isIP(target) === 6 ? "v6" : "v4",
+          localAddress,
+        });
+      }
     } catch (error) {
       settle({ success: false, error });
     }
@@ -613,46 +1112,212 @@ function runTcpProbe(target, port, timeoutMs, { signal } = {}) {
 async function executeProbe(target, method, settings, { signal } = {}) {
   const ts = Date.now();
   const normalizedTarget = String(target ?? "").trim();
-  const normalizedMethod = method === "tcp" ? "tcp" : "icmp";
+  const normalizedMethod = FALLBACK_METHODS.includes(method) ? method : "icmp";
   const sample = {
     ts,
     target: normalizedTarget,
     method: normalizedMethod,
     rtt_ms: null,
     success: 0,
+    sent: 1,
+    received: 0,
+    rtt_min_ms: null,
+    rtt_max_ms: null,
+    jitter_ms: null,
+    dup_count: 0,
+    reorder_count: 0,
+    resolved_ip: null,
+    family: settings.family ?? null,
+    uplink: settings.uplink ?? null,
+    error_code: null,
+    error_detail: null,
   };
 
   if (!normalizedTarget) {
+    sample.error_code = ERROR_CODES.INVALID_TARGET;
+    return sample;
+  }
+  if (settings.gateway && !settings.host) {
+    sample.error_code = ERROR_CODES.ENETUNREACH;
+    sample.error_detail = "no default gateway";
+    return sample;
+  }
+
+  const recordFailure = ({ code, detail }) => {
+    sample.error_code = code;
+    sample.error_detail = detail;
+  };
+
+  // The sample is stored under the series id; the probe itself goes to the series host.
+  const host = settings.host ?? normalizedTarget;
+  const source = settings.source ?? null;
+  // ping binds to the interface itself; TCP/UDP sockets bind to its address in the probed family.
+  // An unpinned family follows the bound address so the target resolves to a reachable one.
+  const localAddress =
+    source && normalizedMethod !== "icmp" ? resolveSourceAddress(source, settings.family) : null;
+  const family =
+    settings.family ?? toAddressFamily(localAddress ?? (isAddressSource(source) ? source : null));
+  const dscp = settings.dscp ?? null;
+  if (dscp !== null && resolveSampleDscp(dscp, normalizedMethod) === null) {
+    warnUnmarkable(normalizedTarget, normalizedMethod);
+  }
+
+  let address;
+  try {
+    address = await resolveProbeAddress(normalizedTarget, host, family, settings);
+  } catch (error) {
+    recordFailure(classifyError(error));
+    sample.family = family;
     return sample;
   }
 
   try {
     if (normalizedMethod === "tcp") {
-      const result = await runTcpProbe(normalizedTarget, settings.tcpPort, settings.timeoutMs, {
+      const result = await runTcpProbe(address, settings.tcpPort, settings.timeoutMs, {
+        signal,
+        family,
+        localAddress,
+        dscp,
+      });
+      sample.resolved_ip = result.address ?? address;
+      if (result.success) {
+        sample.success = 1;
+        sample.received = 1;
+        sample.rtt_ms = sanitizeRtt(result.rtt);
+      } else {
+        recordFailure(classifyError(result.error, result));
+      }
+    } else if (normalizedMethod === "udp") {
+      const result = await runUdpProbe(address, settings.udpPort, settings.timeoutMs, {
         signal,
+        family,
+        payload: settings.udpPayload,
+        localAddress,
       });
+      sample.resolved_ip = result.address ?? address;
       if (result.success) {
         sample.success = 1;
+        sample.received = 1;
         sample.rtt_ms = sanitizeRtt(result.rtt);
+      } else {
+        recordFailure(classifyError(result.error, result));
+      }
+    } else if (settings.burstCount > 1) {
+      const result = await runPing(address, settings.timeoutMs, {
+        signal,
+        count: settings.burstCount,
+        intervalMs: settings.burstIntervalMs,
+        family,
+        source,
+        dscp,
+        processes: activePingProcesses,
+      });
+      const stats = computeBurstStats(parseEchoReplies(result.output), settings.burstCount);
+      Object.assign(sample, stats);
+      sample.success = stats.received > 0 ? 1 : 0;
+      sample.resolved_ip = address;
+      if (!sample.success) {
+        recordFailure(classifyPingFailure(result));
       }
     } else {
-      const result = await runPing(normalizedTarget, settings.timeoutMs, { signal });
+      const result = await runPing(address, settings.timeoutMs, {
+        signal,
+        family,
+        source,
+        dscp,
+        processes: activePingProcesses,
+      });
+      sample.resolved_ip = address;
       if (result.success) {
         sample.success = 1;
+        sample.received = 1;
         sample.rtt_ms = sanitizeRtt(parseRttFromOutput(result.output));
       }
+      if (!sample.success) {
+        recordFailure(classifyPingFailure(result));
+      }
     }
   } catch (error) {
     logger.error("ping", `Probe execution failed for ${normalizedTarget}`, error);
+    recordFailure(classifyError(error));
+  }
+
+  // With no pinned family the one actually used is whatever the resolved address says.
+  sample.family = family ?? toAddressFamily(sample.resolved_ip);
+
+  if (sample.rtt_ms != null && sample.rtt_min_ms == null) {
+    sample.rtt_min_ms = sample.rtt_ms;
+    sample.rtt_max_ms = sample.rtt_ms;
   }
 
   return sample;
 }
 
+// DSCP codepoint a probe actually carried: 0 for unmarked series, the series' codepoint when the
+// method can be marked here, and null otherwise (UDP, TCP without the sockopt addon or on
+// Windows, ICMP on Windows) so fallback probes do not count as marked.
+function resolveSampleDscp(dscp, method) {
+  if (!Number.isInteger(dscp)) {
+    return 0;
+  }
+  if (method === "icmp") {
+    return canMarkIcmp() ? dscp : null;
+  }
+  if (method === "tcp") {
+    return canMarkTcp() ? dscp : null;
+  }
+  return null;
+}
+
+const unmarkableMethodsWarned = new Set();
+
+function warnUnmarkable(target, method) {
+  if (unmarkableMethodsWarned.has(method)) {
+    return;
+  }
+  unmarkableMethodsWarned.add(method);
+  logger.warn(
+    "ping",
+    `DSCP marking is not supported for ${method} probes here; ${target} and other marked series send them unmarked.`
+  );
+}
+
+// Shapes a probe result into the row persisted in ping_sample and fed to realtime windows.
+function normalizeSample(sample, target, method) {
+  const success = sample?.success === 1 ? 1 : 0;
+  return {
+    ts: Number.isFinite(sample?.ts) ? sample.ts : Date.now(),
+    target,
+    method: sample?.method ?? method,
+    rtt_ms: success === 1 && Number.isFinite(sample?.rtt_ms) ? sample.rtt_ms : null,
+    success,
+    sent: Number.isFinite(sample?.sent) ? sample.sent : 1,
+    received: Number.isFinite(sample?.received) ? sample.received : success,
+    rtt_min_ms: Number.isFinite(sample?.rtt_min_ms) ? sample.rtt_min_ms : null,
+    rtt_max_ms: Number.isFinite(sample?.rtt_max_ms) ? sample.rtt_max_ms : null,
+    jitter_ms: Number.isFinite(sample?.jitter_ms) ? sample.jitter_ms : null,
+    dup_count: Number.isFinite(sample?.dup_count) ? sample.dup_count : 0,
+    reorder_count: Number.isFinite(sample?.reorder_count) ? sample.reorder_count : 0,
+    rtts: success === 1 && Array.isArray(sample?.rtts) ? sample.rtts : null,
+    resolved_ip: typeof sample?.resolved_ip === "string" ? sample.resolved_ip : null,
+    family: sample?.family === "v4" || sample?.family === "v6" ? sample.family : null,
+    // The uplink belongs to the series, so samples built without it (stream, errors) still get it.
+    uplink: getTargetSettings(target).uplink,
+    dscp: resolveSampleDscp(getTargetSettings(target).dscp, sample?.method ?? method),
+    // Interval the probe was scheduled at; null for one-off measurements outside the loop.
+    interval_ms: Number.isFinite(sample?.interval_ms) ? sample.interval_ms : null,
+    error_code: success === 1 ? null : (sample?.error_code ?? ERROR_CODES.UNKNOWN),
+    error_detail: success === 1 ? null : (sample?.error_detail ?? null),
+  };
+}
+
 export async function measureOnce(target, { signal } = {}) {
   ensureDbReady();
-  const settings = getPingSettings();
+  if (gatewayState.checkedTs === null) {
+    await refreshGateway();
+  }
   const trimmedTarget = String(target ?? "").trim();
+  const settings = getTargetSettings(trimmedTarget);
   const { state, method } = resolveMethodForTarget(trimmedTarget, settings);
 
   const sample = await executeProbe(trimmedTarget, method, settings, { signal });
@@ -664,6 +1329,7 @@ export async function measureOnce(target, { signal } = {}) {
     success: sample.success === 1,
     ts: sample.ts,
     settings,
+    sample,
   });
 
   if (realtimeWindowsEnabled()) {
@@ -675,6 +1341,7 @@ export async function measureOnce(target, { signal } = {}) {
       rtt_ms: sample.success === 1 && Number.isFinite(sample.rtt_ms)
         ? sample.rtt_ms
         : null,
+      error_code: sample.success === 1 ? null : (sample.error_code ?? null),
     });
   }
 
@@ -684,62 +1351,64 @@ export async function measureOnce(target, { signal } = {}) {
 export async function measureCycle(targets, { signal } = {}) {
   ensureDbReady();
   const settings = getPingSettings();
+  if (gatewayState.checkedTs === null) {
+    await refreshGateway(settings);
+  }
   const providedList = Array.isArray(targets) ? targets : settings.targets;
   const list = providedList
     .map((target) => String(target).trim())
     .filter((target) => target.length > 0);
 
-  const samples = [];
+  const samples = await runWithConcurrency(
+    list,
+    settings.concurrency,
+    async (trimmedTarget) => {
+      const targetSettings = getTargetSettings(trimmedTarget, settings);
+      const { state, method } = resolveMethodForTarget(trimmedTarget, targetSettings);
+      let sample;
+      try {
+        sample = await executeProbe(trimmedTarget, method, targetSettings, { signal });
+      } catch (error) {
+        logger.error("ping", `Cycle probe error for ${trimmedTarget}`, error);
+        const failure = classifyError(error);
+        sample = {
+          ts: Date.now(),
+          target: trimmedTarget,
+          method,
+          rtt_ms: null,
+          success: 0,
+          error_code: failure.code,
+          error_detail: failure.detail,
+        };
+      }
 
-  for (const target of list) {
-    if (signal?.aborted) {
-      break;
-    }
-    const trimmedTarget = String(target ?? "").trim();
-    const { state, method } = resolveMethodForTarget(trimmedTarget, settings);
-    let sample;
-    try {
-      sample = await executeProbe(trimmedTarget, method, settings, { signal });
-    } catch (error) {
-      logger.error("ping", `Cycle probe error for ${trimmedTarget}`, error);
-      sample = {
-        ts: Date.now(),
+      updateStateAfterResult({
+        state,
         target: trimmedTarget,
-        method,
-        rtt_ms: null,
-        success: 0,
-      };
-    }
-
-    updateStateAfterResult({
-      state,
-      target: trimmedTarget,
-      method: sample.method,
-      success: sample.success === 1,
-      ts: sample.ts,
-      settings,
-    });
+        method: sample.method,
+        success: sample.success === 1,
+        ts: sample.ts,
+        settings: targetSettings,
+        sample,
+      });
 
-    const normalized = {
-      ts: sample.ts,
-      target: trimmedTarget,
-      method: sample.method,
-      rtt_ms: sample.success === 1 && Number.isFinite(sample.rtt_ms) ? sample.rtt_ms : null,
-      success: sample.success === 1 ? 1 : 0,
-    };
+      const normalized = normalizeSample(sample, trimmedTarget, method);
 
-    samples.push(normalized);
+      if (realtimeWindowsEnabled()) {
+        ensureWindowTarget(trimmedTarget);
+        recordRealtimePingSample({
+          ts: normalized.ts,
+          target: trimmedTarget,
+          success: normalized.success === 1,
+          rtt_ms: normalized.success === 1 ? normalized.rtt_ms : null,
+          error_code: normalized.error_code,
+        });
+      }
 
-    if (realtimeWindowsEnabled()) {
-      ensureWindowTarget(trimmedTarget);
-      recordRealtimePingSample({
-        ts: normalized.ts,
-        target: trimmedTarget,
-        success: normalized.success === 1,
-        rtt_ms: normalized.success === 1 ? normalized.rtt_ms : null,
-      });
-    }
-  }
+      return normalized;
+    },
+    { signal }
+  );
 
   if (samples.length === 0) {
     return samples;
@@ -769,122 +1438,269 @@ function createLoopController({ signal } = {}) {
     "ping",
     `interval=${intervalText}s (±${settings.jitterMs}ms jitter), timeout=${settings.timeoutMs}ms`
   );
+  const useStreamBackend = settings.icmpBackend === "stream" && isStreamBackendSupported();
+  if (settings.icmpBackend === "stream" && !useStreamBackend) {
+    logger.warn(
+      "ping",
+      "Streaming ICMP backend is not supported on this platform; spawning one ping per probe."
+    );
+  }
+  if (useStreamBackend) {
+    logger.info(
+      "ping",
+      `ICMP backend: one streaming ping process per target${settings.burstCount > 1 ? " (burst settings ignored)" : ""}.`
+    );
+  } else if (settings.burstCount > 1) {
+    logger.info(
+      "ping",
+      `ICMP burst: ${settings.burstCount} echo requests per cycle, ${settings.burstIntervalMs}ms apart.`
+    );
+  }
+  const portsText = `TCP port ${settings.tcpPort}, UDP port ${settings.udpPort} payload ${settings.udpPayload}`;
   if (settings.methodPreference === "auto") {
+    const chainText = settings.fallbackMethods.map((item) => item.toUpperCase()).join(" → ");
     logger.info(
       "ping",
-      `Method: auto (fallback after ${settings.fallbackAfterFails} ICMP fails, recover after ${settings.recoveryAfterOks} TCP successes on port ${settings.tcpPort}).`
+      `Method: auto (fallback to ${chainText} after ${settings.fallbackAfterFails} fails, recover ICMP after ${settings.recoveryAfterOks} fallback successes; ${portsText}).`
     );
   } else {
     logger.info(
       "ping",
-      `Method locked to ${settings.methodPreference.toUpperCase()} (TCP port ${settings.tcpPort}).`
+      `Method locked to ${settings.methodPreference.toUpperCase()} (${portsText}).`
     );
   }
 
+  if (settings.adaptive) {
+    const { adaptive } = settings;
+    const limits = [
+      adaptive.lossPct !== null ? `loss ≥ ${adaptive.lossPct}%` : null,
+      adaptive.rttMs !== null ? `p95 ≥ ${adaptive.rttMs}ms` : null,
+    ].filter(Boolean);
+    logger.info(
+      "ping",
+      `Adaptive rate: every ${adaptive.minIntervalMs}ms while ${limits.join(" or ") || "(no thresholds)"} over the last ${adaptive.window} samples, doubling back after ${adaptive.recoveryAfterOks} healthy samples.`
+    );
+  }
+
+  if (settings.targetsFileError) {
+    logger.warn("ping", `Ignoring targets file: ${settings.targetsFileError}`);
+  }
+  for (const message of settings.seriesErrors) {
+    logger.warn("ping", `Ignoring ${message}.`);
+  }
+  for (const definition of settings.targetDefinitions.values()) {
+    const overrides = [
+      definition.intervalMs ? `interval=${definition.intervalMs}ms` : null,
+      definition.timeoutMs ? `timeout=${definition.timeoutMs}ms` : null,
+      definition.method ? `method=${definition.method}` : null,
+      definition.tcpPort ? `tcpPort=${definition.tcpPort}` : null,
+      definition.udpPort ? `udpPort=${definition.udpPort}` : null,
+      definition.udpPayload ? `udpPayload=${definition.udpPayload}` : null,
+    ].filter(Boolean);
+    if (overrides.length > 0) {
+      logger.info("ping", `Target ${definition.host}: ${overrides.join(", ")}`);
+    }
+  }
+
   if (realtimeWindowsEnabled()) {
     for (const target of targets) {
       ensureWindowTarget(target);
     }
   }
 
+  logger.info(
+    "ping",
+    `Scheduler: up to ${settings.concurrency} concurrent probe${settings.concurrency === 1 ? "" : "s"}, start times spread across the interval.`
+  );
+
   let stopRequested = false;
-  let waitTimer = null;
-  let waitResolve = null;
 
   const loopAbortController = new AbortController();
   const loopSignal = loopAbortController.signal;
 
   const shouldStop = () => stopRequested || loopSignal.aborted;
 
-  const clearWaitTimer = () => {
-    if (waitTimer !== null) {
-      clearTimeout(waitTimer);
-      waitTimer = null;
+  // Shared by the per-probe cycle and the streaming backend so both feed the same fallback
+  // state machine, realtime windows and batch.
+  const recordLoopSample = (state, target, method, sample) => {
+    const targetSettings = getTargetSettings(target, settings);
+    updateStateAfterResult({
+      state,
+      target,
+      method: sample.method,
+      success: sample.success === 1,
+      ts: sample.ts,
+      settings: targetSettings,
+      sample,
+    });
+
+    // The stored interval lets ping-aggregate weigh samples taken at an adaptive or per-target rate.
+    const normalized = normalizeSample(
+      { ...sample, interval_ms: getEffectiveIntervalMs(target, targetSettings) },
+      target,
+      method
+    );
+
+    if (realtimeWindowsEnabled()) {
+      ensureWindowTarget(target);
+      recordRealtimePingSample({
+        ts: normalized.ts,
+        target,
+        success: normalized.success === 1,
+        rtt_ms: normalized.success === 1 ? normalized.rtt_ms : null,
+        error_code: normalized.error_code,
+      });
     }
-    if (typeof waitResolve === "function") {
-      const resolve = waitResolve;
-      waitResolve = null;
-      resolve();
+
+    appendSampleToBatch(normalized);
+
+    if (updateAdaptiveInterval(state, target, normalized, targetSettings, settings.adaptive)) {
+      scheduler.reschedule(target);
+      // A ping stream keeps the interval it was started with; the next probe restarts it.
+      stopStream(target);
     }
   };
 
-  const waitForNextInterval = () => {
-    if (shouldStop()) {
-      return Promise.resolve();
-    }
-
-    return new Promise((resolve) => {
-      waitResolve = resolve;
-      const jitter = settings.jitterMs > 0
-        ? Math.round((Math.random() * 2 - 1) * settings.jitterMs)
-        : 0;
-      const delay = Math.max(0, settings.intervalMs + jitter);
-      waitTimer = setTimeout(() => {
-        waitTimer = null;
-        waitResolve = null;
-        resolve();
-      }, delay);
-      waitTimer.unref?.();
-    });
-  };
+  const icmpStreams = new Map();
+  // Address each stream was started with; a re-resolved hostname needs a new ping process.
+  const streamAddresses = new Map();
 
-  const runCycle = async () => {
-    for (const target of targets) {
-      if (shouldStop()) {
-        break;
-      }
+  const stopStream = (target) => {
+    const stream = icmpStreams.get(target);
+    if (stream) {
+      stream.stop();
+      icmpStreams.delete(target);
+      streamAddresses.delete(target);
+    }
+  };
 
-      const trimmedTarget = String(target ?? "").trim();
-      if (!trimmedTarget) {
-        continue;
-      }
+  const stopAllStreams = () => {
+    for (const target of [...icmpStreams.keys()]) {
+      stopStream(target);
+    }
+  };
 
-      const { state, method } = resolveMethodForTarget(trimmedTarget, settings);
-      let sample;
-      try {
-        sample = await executeProbe(trimmedTarget, method, settings, { signal: loopSignal });
-      } catch (error) {
-        logger.error("ping", `Cycle probe error for ${trimmedTarget}`, error);
-        sample = {
-          ts: Date.now(),
-          target: trimmedTarget,
-          method,
-          rtt_ms: null,
-          success: 0,
-        };
+  const ensureStream = (target, address) => {
+    if (icmpStreams.has(target)) {
+      if (streamAddresses.get(target) === address) {
+        return;
       }
+      stopStream(target);
+    }
 
-      updateStateAfterResult({
-        state,
-        target: trimmedTarget,
-        method: sample.method,
-        success: sample.success === 1,
-        ts: sample.ts,
-        settings,
-      });
+    const targetSettings = getTargetSettings(target, settings);
+    const stream = createPingStream(address, {
+      intervalMs: getEffectiveIntervalMs(target, targetSettings),
+      timeoutMs: targetSettings.timeoutMs,
+      family: targetSettings.family,
+      source: targetSettings.source,
+      dscp: targetSettings.dscp,
+      signal: loopSignal,
+      onSample: (result) => {
+        if (shouldStop()) {
+          return;
+        }
+        const state = getOrCreateTargetState(target, targetSettings);
+        state.streamRestarts = stream.getRestartCount();
+        const rtt = result.success === 1 ? sanitizeRtt(result.rtt_ms) : null;
+        recordLoopSample(state, target, "icmp", {
+          ts: result.ts,
+          target,
+          method: "icmp",
+          rtt_ms: rtt,
+          success: rtt != null ? 1 : 0,
+          sent: 1,
+          received: rtt != null ? 1 : 0,
+          rtt_min_ms: rtt,
+          rtt_max_ms: rtt,
+          resolved_ip: address,
+          family: targetSettings.family ?? toAddressFamily(address),
+          error_code: rtt != null ? null : ERROR_CODES.TIMEOUT,
+          error_detail: null,
+        });
+        if (state.mode !== "icmp") {
+          // The fallback switched this target to TCP/UDP; the cycle loop probes it from now on.
+          stopStream(target);
+        }
+      },
+    });
+    icmpStreams.set(target, stream);
+    streamAddresses.set(target, address);
+  };
 
-      const normalized = {
-        ts: sample.ts,
-        target: trimmedTarget,
-        method: sample.method,
-        rtt_ms: sample.success === 1 && Number.isFinite(sample.rtt_ms) ? sample.rtt_ms : null,
-        success: sample.success === 1 ? 1 : 0,
-      };
+  const probeTarget = async (target) => {
+    if (shouldStop()) {
+      return;
+    }
 
-      if (realtimeWindowsEnabled()) {
-        ensureWindowTarget(trimmedTarget);
-        recordRealtimePingSample({
-          ts: normalized.ts,
-          target: trimmedTarget,
-          success: normalized.success === 1,
-          rtt_ms: normalized.success === 1 ? normalized.rtt_ms : null,
-        });
+    const targetSettings = getTargetSettings(target, settings);
+    const { state, method } = resolveMethodForTarget(target, targetSettings);
+    state.icmpBackend = useStreamBackend ? "stream" : "spawn";
+    if (useStreamBackend) {
+      if (method === "icmp" && targetSettings.host) {
+        let address = null;
+        try {
+          address = await resolveProbeAddress(
+            target,
+            targetSettings.host,
+            targetSettings.family,
+            targetSettings
+          );
+        } catch (error) {
+          // No address yet: the spawned probe below records the lookup failure as a sample.
+        }
+        if (address && !shouldStop()) {
+          ensureStream(target, address);
+          return;
+        }
       }
+      stopStream(target);
+    }
 
-      appendSampleToBatch(normalized);
+    let sample;
+    try {
+      sample = await executeProbe(target, method, targetSettings, { signal: loopSignal });
+    } catch (error) {
+      logger.error("ping", `Cycle probe error for ${target}`, error);
+      const failure = classifyError(error);
+      sample = {
+        ts: Date.now(),
+        target,
+        method,
+        rtt_ms: null,
+        success: 0,
+        error_code: failure.code,
+        error_detail: failure.detail,
+      };
     }
+
+    if (shouldStop()) {
+      return;
+    }
+    recordLoopSample(state, target, method, sample);
   };
 
+  const scheduler = createProbeScheduler({
+    targets: [...new Set(targets.map((target) => String(target ?? "").trim()))].filter(
+      (target) => target.length > 0
+    ),
+    getIntervalMs: (target) => getEffectiveIntervalMs(target, getTargetSettings(target, settings)),
+    jitterMs: settings.jitterMs,
+    concurrency: settings.concurrency,
+    runProbe: (target) => probeTarget(target),
+    onSchedule: (target, { scheduledTs, lagMs, phaseOffsetMs, skipped }) => {
+      const state = getOrCreateTargetState(target, getTargetSettings(target, settings));
+      state.phaseOffsetMs = phaseOffsetMs;
+      state.lastScheduledTs = scheduledTs;
+      state.scheduleLagMs = lagMs;
+      state.scheduleLagMaxMs = Math.max(state.scheduleLagMaxMs ?? 0, lagMs);
+      state.skippedProbes = (state.skippedProbes ?? 0) + skipped;
+    },
+    onError: (target, error) => {
+      logger.error("ping", `Scheduled probe failed for ${target}`, error);
+    },
+  });
+
   const abortHandler = () => {
     logger.warn("ping", "Abort signal received, stopping loop...");
     requestStop();
@@ -896,12 +1712,14 @@ function createLoopController({ signal } = {}) {
       stopRequested = true;
     }
 
-    clearWaitTimer();
+    scheduler.stop();
 
-    if (currentPingProcess) {
-      terminateChildProcess(currentPingProcess);
+    for (const child of activePingProcesses) {
+      terminateChildProcess(child);
     }
 
+    stopAllStreams();
+
     if (!loopSignal.aborted) {
       loopAbortController.abort();
     }
@@ -917,18 +1735,36 @@ function createLoopController({ signal } = {}) {
     }
   }
 
+  let gatewayTimer = null;
+  const checkGateway = async () => {
+    try {
+      if ((await refreshGateway(settings)) && !shouldStop()) {
+        // A running ping stream is still bound to the old address.
+        stopStream(GATEWAY_SERIES_ID);
+      }
+    } catch (error) {
+      logger.error("ping", "Default gateway discovery failed", error);
+    }
+  };
+
   const promise = (async () => {
     try {
       startFlushTimer(shouldStop);
-      while (!shouldStop()) {
-        await runCycle();
-        if (shouldStop()) {
-          break;
-        }
-        await waitForNextInterval();
+      await checkGateway();
+      if (settings.gateway?.mode === "auto") {
+        gatewayTimer = setInterval(checkGateway, settings.gateway.checkIntervalMs);
+        gatewayTimer.unref?.();
+      }
+      if (shouldStop()) {
+        scheduler.stop();
+      } else {
+        scheduler.start();
       }
+      await scheduler.done;
     } finally {
-      clearWaitTimer();
+      clearInterval(gatewayTimer);
+      scheduler.stop();
+      stopAllStreams();
       stopFlushTimer();
       flushPendingBatch({ force: true });
       if (signal) {
@@ -0,0 +1,366 @@
+import dns from "dns";
+import net from "net";
+import { getConfig, selectPathSeries } from "../config/index.js";
+import { openDb, migrate } from "../storage/db.js";
+import { recordEvent } from "../storage/events.js";
+import * as logger from "../utils/logger.js";
+import { resolveSourceAddress } from "../utils/uplinks.js";
+import { classifyError, classifyPingFailure, ERROR_CODES } from "../utils/failure.js";
+import {
+  buildDontFragmentArgs,
+  ICMP_OVERHEAD_BYTES,
+  parseMtuHint,
+  runPing,
+  terminateChildProcess,
+  toAddressFamily,
+} from "./ping-command.js";
+import { createProbeScheduler } from "./probe-scheduler.js";
+
+// Path MTU discovery for the ping series: binary-searches the largest packet that crosses the path
+// with the don't-fragment flag set, using the system ping. Runs on its own slow cadence through the
+// same scheduler as the ping collector and records an event whenever a target's path MTU changes.
+
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_MIN_BYTES = 576;
+const DEFAULT_MAX_BYTES = 1500;
+const DEFAULT_RETRIES = 1;
+const DEFAULT_CONCURRENCY = 2;
+// Every IPv6 link must carry 1280-byte packets.
+const IPV6_MIN_MTU = 1280;
+
+let migrationsEnsured = false;
+let insertStatement = null;
+let activeController = null;
+const activeProcesses = new Set();
+
+function ensureDbReady() {
+  if (!migrationsEnsured) {
+    migrate();
+    migrationsEnsured = true;
+  }
+}
+
+function getInsertStatement(db) {
+  if (!insertStatement) {
+    insertStatement = db.prepare(`
+      INSERT INTO pmtu_sample (
+        ts, target, host, family, resolved_ip, uplink, pmtu_bytes, probes, success, error_code,
+        error_detail
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+  }
+  return insertStatement;
+}
+
+export function getPmtuSettings() {
+  const config = getConfig();
+  const pmtu = config?.pmtu ?? {};
+  return {
+    series: selectPathSeries(config),
+    intervalMs: pmtu.intervalMs ?? DEFAULT_INTERVAL_MS,
+    timeoutMs: pmtu.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    minBytes: pmtu.minBytes ?? DEFAULT_MIN_BYTES,
+    maxBytes: pmtu.maxBytes ?? DEFAULT_MAX_BYTES,
+    retries: pmtu.retries ?? DEFAULT_RETRIES,
+    concurrency: pmtu.concurrency ?? DEFAULT_CONCURRENCY,
+  };
+}
+
+async function resolveAddress(host, family) {
+  if (net.isIP(host)) {
+    return host;
+  }
+  const resolved = await dns.promises.lookup(host, {
+    family: family === "v4" ? 4 : family === "v6" ? 6 : 0,
+  });
+  return resolved.address;
+}
+
+// Binary search between minBytes and maxBytes (whole packet sizes, headers included). A size that
+// gets no reply is retried `retries` times before it counts as too big, so one lost packet does not
+// shrink the result; an explicit "mtu=N" from a router or the local stack narrows the range at once.
+// `source` binds the probes to an uplink interface or address (see utils/uplinks.js).
+// Resolves { ts, host, family, resolved_ip, pmtu_bytes, probes, success, error_code, error_detail }.
+export async function discoverPathMtu(
+  host,
+  {
+    family = null,
+    source = null,
+    minBytes = DEFAULT_MIN_BYTES,
+    maxBytes = DEFAULT_MAX_BYTES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    signal,
+  } = {}
+) {
+  const ts = Date.now();
+  const result = {
+    ts,
+    host,
+    family,
+    resolved_ip: null,
+    pmtu_bytes: null,
+    probes: 0,
+    success: 0,
+    error_code: null,
+    error_detail: null,
+  };
+  const fail = ({ code, detail }) => ({ ...result, error_code: code, error_detail: detail });
+
+  let address;
+  try {
+    // Resolve in the family of the bound address, otherwise ping cannot reach the target from it.
+    const localAddress = source && !family ? resolveSourceAddress(source) : null;
+    address = await resolveAddress(host, family ?? toAddressFamily(localAddress));
+  } catch (error) {
+    return fail(classifyError(error));
+  }
+  const addressFamily = toAddressFamily(address) ?? "v4";
+  result.resolved_ip = address;
+  result.family = addressFamily;
+
+  const overhead = ICMP_OVERHEAD_BYTES[addressFamily];
+  const floor = addressFamily === "v6" ? Math.max(minBytes, IPV6_MIN_MTU) : minBytes;
+  const ceiling = Math.max(floor, maxBytes);
+  let lastFailure = null;
+
+  const fits = async (size) => {
+    for (let attempt = 0; attempt <= retries; attempt += 1) {
+      result.probes += 1;
+      const run = await runPing(address, timeoutMs, {
+        signal,
+        family: addressFamily,
+        source,
+        extraArgs: buildDontFragmentArgs(size - overhead, addressFamily),
+        processes: activeProcesses,
+      });
+      if (run.success) {
+        return { ok: true };
+      }
+      if (run.aborted || run.error) {
+        return { ok: false, stop: true, run };
+      }
+      lastFailure = run;
+      const hint = parseMtuHint(run.output);
+      if (hint !== null) {
+        return { ok: false, hint };
+      }
+    }
+    return { ok: false };
+  };
+
+  const top = await fits(ceiling);
+  if (top.stop) {
+    return fail(classifyPingFailure(top.run));
+  }
+  if (top.ok) {
+    return { ...result, pmtu_bytes: ceiling, success: 1 };
+  }
+
+  let low = floor;
+  let high = ceiling;
+  if (Number.isFinite(top.hint) && top.hint >= floor && top.hint < ceiling) {
+    // The reported MTU is usually exact; confirm it before falling back to the search.
+    const hinted = await fits(top.hint);
+    if (hinted.stop) {
+      return fail(classifyPingFailure(hinted.run));
+    }
+    if (hinted.ok) {
+      return { ...result, pmtu_bytes: top.hint, success: 1 };
+    }
+    high = top.hint;
+  }
+
+  const bottom = await fits(floor);
+  if (bottom.stop) {
+    return fail(classifyPingFailure(bottom.run));
+  }
+  if (!bottom.ok) {
+    // Even the smallest packet is lost: the target is down or drops echo requests.
+    return fail(classifyPingFailure(lastFailure ?? { timedOut: true }));
+  }
+
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    const probe = await fits(mid);
+    if (probe.stop) {
+      return fail(classifyPingFailure(probe.run));
+    }
+    if (probe.ok) {
+      low = mid;
+    } else if (Number.isFinite(probe.hint) && probe.hint > low && probe.hint < mid) {
+      high = probe.hint + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return { ...result, pmtu_bytes: low, success: 1 };
+}
+
+function storeSample(target, sample) {
+  ensureDbReady();
+  const db = openDb();
+  getInsertStatement(db).run(
+    sample.ts,
+    target,
+    sample.host,
+    sample.family,
+    sample.resolved_ip,
+    sample.uplink ?? null,
+    sample.pmtu_bytes,
+    sample.probes,
+    sample.success,
+    sample.error_code,
+    sample.error_detail
+  );
+}
+
+// Last successfully discovered path MTU per series, so a restart does not report a change.
+function loadLastKnown() {
+  ensureDbReady();
+  const db = openDb();
+  const rows = db
+    .prepare(
+      `SELECT target, pmtu_bytes FROM pmtu_sample AS s
+       WHERE success = 1 AND ts = (
+         SELECT MAX(ts) FROM pmtu_sample WHERE target = s.target AND success = 1
+       )`
+    )
+    .all();
+  return new Map(rows.map((row) => [row.target, row.pmtu_bytes]));
+}
+
+function noteChange(target, previous, sample) {
+  const message = `Path MTU for ${target} changed from ${previous} to ${sample.pmtu_bytes} bytes`;
+  logger.warn("pmtu", message);
+  try {
+    recordEvent({
+      ts: sample.ts,
+      type: "pmtu.change",
+      target,
+      severity: sample.pmtu_bytes < previous ? "warn" : "info",
+      message,
+      data: {
+        previous,
+        current: sample.pmtu_bytes,
+        family: sample.family,
+        resolved_ip: sample.resolved_ip,
+        uplink: sample.uplink,
+      },
+    });
+  } catch (error) {
+    logger.error("pmtu", `Failed to record path MTU change for ${target}`, error);
+  }
+}
+
+// Discovers and stores the path MTU of one ping series ({ id, host, family, uplink, source }).
+export async function measureOnce(series, { signal, settings = getPmtuSettings() } = {}) {
+  const discovered = await discoverPathMtu(series.host, {
+    family: series.family,
+    source: series.source ?? null,
+    minBytes: settings.minBytes,
+    maxBytes: settings.maxBytes,
+    timeoutMs: settings.timeoutMs,
+    retries: settings.retries,
+    signal,
+  });
+  const sample = { ...discovered, uplink: series.uplink ?? null };
+  if (sample.error_code === ERROR_CODES.ABORTED) {
+    return sample;
+  }
+  storeSample(series.id, sample);
+  return sample;
+}
+
+function createController({ signal } = {}) {
+  const settings = getPmtuSettings();
+  const seriesById = new Map(settings.series.map((series) => [series.id, series]));
+  const lastKnown = loadLastKnown();
+  const loopAbortController = new AbortController();
+
+  const probeSeries = async (id) => {
+    const series = seriesById.get(id);
+    const sample = await measureOnce(series, { signal: loopAbortController.signal, settings });
+    if (loopAbortController.signal.aborted || sample.success !== 1) {
+      return;
+    }
+    const previous = lastKnown.get(id);
+    if (previous !== undefined && previous !== sample.pmtu_bytes) {
+      noteChange(id, previous, sample);
+    }
+    lastKnown.set(id, sample.pmtu_bytes);
+  };
+
+  const scheduler = createProbeScheduler({
+    targets: [...seriesById.keys()],
+    intervalMs: settings.intervalMs,
+    concurrency: settings.concurrency,
+    runProbe: (id) => probeSeries(id),
+    onError: (id, error) => {
+      logger.error("pmtu", `Path MTU discovery failed for ${id}`, error);
+    },
+  });
+
+  const requestStop = () => {
+    scheduler.stop();
+    if (!loopAbortController.signal.aborted) {
+      loopAbortController.abort();
+    }
+    for (const child of activeProcesses) {
+      terminateChildProcess(child);
+    }
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      requestStop();
+    } else {
+      signal.addEventListener("abort", requestStop, { once: true });
+    }
+  }
+
+  const promise = (async () => {
+    try {
+      if (!loopAbortController.signal.aborted) {
+        logger.info(
+          "pmtu",
+          `Discovering path MTU for ${seriesById.size} target(s) every ${Math.round(settings.intervalMs / 1000)}s.`
+        );
+        scheduler.start();
+      }
+      await scheduler.done;
+    } finally {
+      signal?.removeEventListener("abort", requestStop);
+    }
+  })();
+
+  return { promise, requestStop };
+}
+
+// Starts periodic path MTU discovery over the ping series until stop() or the abort signal.
+export async function runLoop(options = {}) {
+  if (activeController) {
+    return activeController.promise;
+  }
+
+  activeController = createController(options);
+  try {
+    await activeController.promise;
+  } finally {
+    activeController = null;
+  }
+}
+
+export async function stop() {
+  if (!activeController) {
+    return;
+  }
+  try {
+    activeController.requestStop();
+    await activeController.promise;
+  } catch (error) {
+    logger.error("pmtu", "Error while stopping path MTU loop", error);
+  }
+}
@@ -0,0 +1,248 @@
+// Concurrent probe scheduling shared by the collectors that probe the ping target list.
+// Each target keeps its own due time; start times are spread evenly across the interval
+// (phase offsets) so probes do not fire in a burst, and at most `concurrency` probes run at once.
+
+export const DEFAULT_CONCURRENCY = 8;
+
+function sanitizeConcurrency(value) {
+  return Number.isFinite(value) && value >= 1 ? Math.floor(value) : DEFAULT_CONCURRENCY;
+}
+
+// Runs worker(item, index) over items with at most `limit` in flight. Results keep input order.
+export async function runWithConcurrency(items, limit, worker, { signal } = {}) {
+  const list = Array.isArray(items) ? items : [];
+  const results = new Array(list.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < list.length && !signal?.aborted) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(list[index], index);
+    }
+  };
+
+  const workers = [];
+  const workerCount = Math.min(sanitizeConcurrency(limit), list.length);
+  for (let i = 0; i < workerCount; i += 1) {
+    workers.push(runNext());
+  }
+  await Promise.all(workers);
+
+  return results.filter((result) => result !== undefined);
+}
+
+// Creates a scheduler over `targets`. runProbe(target, { scheduledTs, lagMs }) is awaited for every
+// due probe; onSchedule(target, info) receives the lag between the due time and the actual start,
+// plus the number of probes skipped because the previous one for that target was still running.
+// getIntervalMs(target) allows per-target intervals; jitterMs adds ±random spread to each due time.
+// When getIntervalMs(target) starts returning a shorter value, reschedule(target) pulls the pending
+// due time in; a longer interval simply applies from the next advance.
+export function createProbeScheduler({
+  targets,
+  intervalMs,
+  getIntervalMs,
+  jitterMs = 0,
+  concurrency = DEFAULT_CONCURRENCY,
+  runProbe,
+  onSchedule,
+  onError,
+} = {}) {
+  const list = Array.isArray(targets) ? targets.filter((target) => target) : [];
+  const limit = sanitizeConcurrency(concurrency);
+  const resolveInterval = (target) => {
+    const value = typeof getIntervalMs === "function" ? getIntervalMs(target) : intervalMs;
+    return Number.isFinite(value) && value > 0 ? value : 1000;
+  };
+
+  const entries = new Map();
+  const queue = [];
+  let running = 0;
+  let stopped = false;
+  let tickTimer = null;
+  let resolveDone = null;
+  const done = new Promise((resolve) => {
+    resolveDone = resolve;
+  });
+
+  const randomJitter = () => (jitterMs > 0 ? Math.round((Math.random() * 2 - 1) * jitterMs) : 0);
+
+  const maybeFinish = () => {
+    if (stopped && running === 0 && typeof resolveDone === "function") {
+      const resolve = resolveDone;
+      resolveDone = null;
+      resolve();
+    }
+  };
+
+  const advance = (entry, now) => {
+    const interval = resolveInterval(entry.target);
+    // Advance in whole intervals from the previous due time to keep the target's phase.
+    entry.lastBaseDueTs = entry.baseDueTs;
+    let next = entry.baseDueTs + interval;
+    if (next <= now) {
+      const missed = Math.floor((now - next) / interval) + 1;
+      entry.skipped += missed;
+      next += missed * interval;
+    }
+    entry.baseDueTs = next;
+    entry.dueTs = next + randomJitter();
+  };
+
+  const launch = (entry, now) => {
+    running += 1;
+    entry.inFlight = true;
+    const scheduledTs = entry.dueTs;
+    const lagMs = Math.max(0, now - scheduledTs);
+    if (typeof onSchedule === "function") {
+      onSchedule(entry.target, {
+        scheduledTs,
+        lagMs,
+        phaseOffsetMs: entry.phaseOffsetMs,
+        skipped: entry.skipped,
+      });
+    }
+    entry.skipped = 0;
+    advance(entry, now);
+
+    Promise.resolve()
+      .then(() => runProbe(entry.target, { scheduledTs, lagMs }))
+      .catch((error) => {
+        if (typeof onError === "function") {
+          onError(entry.target, error);
+        }
+      })
+      .finally(() => {
+        running -= 1;
+        entry.inFlight = false;
+        if (stopped) {
+          maybeFinish();
+          return;
+        }
+        drainQueue();
+        scheduleTick();
+      });
+  };
+
+  const drainQueue = () => {
+    while (!stopped && running < limit && queue.length > 0) {
+      const entry = queue.shift();
+      entry.queued = false;
+      launch(entry, Date.now());
+    }
+  };
+
+  const tick = () => {
+    tickTimer = null;
+    if (stopped) {
+      return;
+    }
+
+    const now = Date.now();
+    const due = [...entries.values()]
+      .filter((entry) => !entry.queued && entry.dueTs <= now)
+      .sort((a, b) => a.dueTs - b.dueTs);
+
+    for (const entry of due) {
+      if (entry.inFlight) {
+        // The previous probe is still running (e.g. waiting on its timeout); skip this slot.
+        entry.skipped += 1;
+        advance(entry, now);
+        continue;
+      }
+      entry.queued = true;
+      queue.push(entry);
+    }
+
+    drainQueue();
+    scheduleTick();
+  };
+
+  const scheduleTick = () => {
+    if (stopped) {
+      return;
+    }
+    if (tickTimer !== null) {
+      clearTimeout(tickTimer);
+      tickTimer = null;
+    }
+
+    let nextDue = Infinity;
+    for (const entry of entries.values()) {
+      if (!entry.queued && entry.dueTs < nextDue) {
+        nextDue = entry.dueTs;
+      }
+    }
+    if (!Number.isFinite(nextDue)) {
+      return;
+    }
+
+    // Kept referenced: the pending tick is what keeps a standalone loop process alive.
+    tickTimer = setTimeout(tick, Math.max(0, nextDue - Date.now()));
+  };
+
+  const start = () => {
+    const now = Date.now();
+    list.forEach((target, index) => {
+      const interval = resolveInterval(target);
+      const phaseOffsetMs = Math.round((index * interval) / list.length);
+      entries.set(target, {
+        target,
+        phaseOffsetMs,
+        baseDueTs: now + phaseOffsetMs,
+        dueTs: now + phaseOffsetMs,
+        lastBaseDueTs: null,
+        inFlight: false,
+        queued: false,
+        skipped: 0,
+      });
+    });
+    if (entries.size === 0) {
+      stopped = true;
+      maybeFinish();
+      return;
+    }
+    tick();
+  };
+
+  const reschedule = (target) => {
+    const entry = entries.get(target);
+    if (stopped || !entry || entry.queued || !Number.isFinite(entry.lastBaseDueTs)) {
+      return;
+    }
+    const next = entry.lastBaseDueTs + resolveInterval(target);
+    if (next >= entry.baseDueTs) {
+      return;
+    }
+    entry.baseDueTs = next;
+    entry.dueTs = next + randomJitter();
+    // A running probe reschedules the tick when it settles; ticking now would count a skip.
+    if (!entry.inFlight) {
+      scheduleTick();
+    }
+  };
+
+  const stop = () => {
+    if (stopped) {
+      return;
+    }
+    stopped = true;
+    if (tickTimer !== null) {
+      clearTimeout(tickTimer);
+      tickTimer = null;
+    }
+    for (const entry of queue) {
+      entry.queued = false;
+    }
+    queue.length = 0;
+    maybeFinish();
+  };
+
+  return {
+    start,
+    stop,
+    reschedule,
+    done,
+    getConcurrency: () => limit,
+  };
+}
@@ -1,4 +1,4 @@
-import { runTraceroute } from "./traceroute.js";
+import { getScheduledUplinks, runTraceroute } from "./traceroute.js";
 import { getConfig } from "../config/index.js";
 import * as logger from "../utils/logger.js";
 
@@ -44,7 +44,8 @@ function sleep(ms, { signal } = {}) {
   });
 }
 
-// Executes a traceroute using the configured default target.
+// Executes a traceroute using the configured default target, once per TRACEROUTE_UPLINKS label
+// (or once over the default route when none is set).
 // Called on every scheduled cycle and once immediately at startup.
 async function executeTracerouteCycle() {
   const config = getConfig();
@@ -52,17 +53,21 @@ async function executeTracerouteCycle() {
   const primaryTarget = targets
     .map((value) => (typeof value === "string" ? value.trim() : ""))
     .find((value) => value.length > 0);
-  try {
-    const result = await runTraceroute(primaryTarget ?? null);
-    const executedAt = Number.isFinite(result?.ts)
-      ? new Date(result.ts).toISOString()
-      : new Date().toISOString();
-    logger.info(
-      "traceroute-loop",
-      `Traceroute executed for ${result.target} at ${executedAt} (success=${result.success === 1}).`
-    );
-  } catch (error) {
-    logger.error("traceroute-loop", "Scheduled traceroute failed", error);
+  const uplinks = getScheduledUplinks();
+  for (const uplink of uplinks.length > 0 ? uplinks : [null]) {
+    try {
+      const result = await runTraceroute(primaryTarget ?? null, { uplink });
+      const executedAt = Number.isFinite(result?.ts)
+        ? new Date(result.ts).toISOString()
+        : new Date().toISOString();
+      const via = result.uplink ? ` via ${result.uplink}` : "";
+      logger.info(
+        "traceroute-loop",
+        `Traceroute executed for ${result.target}${via} at ${executedAt} (success=${result.success === 1}).`
+      );
+    } catch (error) {
+      logger.error("traceroute-loop", "Scheduled traceroute failed", error);
+    }
   }
 }
 
@@ -2,6 +2,7 @@ import fs from "fs";
 import path from "path";
 import { spawn } from "child_process";
 import { openDb, migrate } from "../storage/db.js";
+import { isAddressSource, parseUplinks, resolveSourceAddress } from "../utils/uplinks.js";
 
 const DEFAULT_TARGET = "8.8.8.8";
 const DEFAULT_MAX_HOPS = 30;
@@ -84,7 +85,7 @@ function getInsertStatement(db) {
   }
 
   insertStatement = db.prepare(
-    "INSERT INTO traceroute_run (ts, target, hops_json, success) VALUES (?, ?, ?, ?)"
+    "INSERT INTO traceroute_run (ts, target, hops_json, success, uplink) VALUES (?, ?, ?, ?, ?)"
   );
   return insertStatement;
 }
@@ -218,24 +219,46 @@ function parseTracerouteOutput(output) {
   return hops;
 }
 
-function buildTracerouteArgs(target, maxHops, timeoutMs) {
+// Uplinks (label -> interface or local address) from UPLINKS, shared with the other collectors.
+export function getTracerouteUplinks() {
+  return parseUplinks(getEnvValue("UPLINKS"));
+}
+
+// Labels listed in TRACEROUTE_UPLINKS; the scheduled run traces once through each of them.
+export function getScheduledUplinks() {
+  return String(getEnvValue("TRACEROUTE_UPLINKS") ?? "")
+    .split(",")
+    .map((label) => label.trim())
+    .filter((label) => label.length > 0);
+}
+
+function buildTracerouteArgs(target, maxHops, timeoutMs, source = null) {
   const hopLimit = Math.max(Math.min(maxHops, 255), 1);
   if (process.platform === "win32") {
     const args = ["-d", "-h", String(hopLimit)];
     const perHopTimeout = Math.max(Math.floor(timeoutMs / Math.max(hopLimit, 1)), 500);
     args.push("-w", String(perHopTimeout));
+    // tracert only binds a source address (-S).
+    const address = source ? resolveSourceAddress(source) : null;
+    if (address) {
+      args.push("-S", address);
+    }
     args.push(target);
     return { command: "tracert", args };
   }
 
   const secondsTimeout = Math.max(Math.floor(timeoutMs / 1000), 1);
-  const args = ["-n", "-m", String(hopLimit), "-w", String(secondsTimeout), target];
+  const args = ["-n", "-m", String(hopLimit), "-w", String(secondsTimeout)];
+  if (source) {
+    args.push(isAddressSource(source) ? "-s" : "-i", source);
+  }
+  args.push(target);
   return { command: "traceroute", args };
 }
 
-function executeTraceroute(target, { maxHops, timeoutMs, signal } = {}) {
+function executeTraceroute(target, { maxHops, timeoutMs, source, signal } = {}) {
   return new Promise((resolve) => {
-    const { command, args } = buildTracerouteArgs(target, maxHops, timeoutMs);
+    const { command, args } = buildTracerouteArgs(target, maxHops, timeoutMs, source);
     let child;
 
     try {
@@ -302,10 +325,18 @@ function executeTraceroute(target, { maxHops, timeoutMs, signal } = {}) {
   });
 }
 
+// Traces the route to rawTarget (or TRACEROUTE_DEFAULT_TARGET). `uplink` is a label from UPLINKS
+// whose interface or address the probes leave through; unknown labels are rejected.
 export async function runTraceroute(
   rawTarget,
-  { maxHops: requestedMaxHops, timeoutMs: requestedTimeoutMs, signal } = {}
+  { maxHops: requestedMaxHops, timeoutMs: requestedTimeoutMs, uplink = null, signal } = {}
 ) {
+  const uplinkLabel = String(uplink ?? "").trim() || null;
+  const source = uplinkLabel ? getTracerouteUplinks()[uplinkLabel] : null;
+  if (uplinkLabel && !source) {
+    throw new Error(`Unknown uplink "${uplinkLabel}"`);
+  }
+
   const envDefaultTarget = String(getEnvValue("TRACEROUTE_DEFAULT_TARGET") ?? "").trim();
   const defaultTarget = envDefaultTarget || DEFAULT_TARGET;
   const target = String(rawTarget ?? "").trim() || defaultTarget;
@@ -327,6 +358,7 @@ export async function runTraceroute(
     const execution = await executeTraceroute(target, {
       maxHops: effectiveMaxHops,
       timeoutMs: effectiveTimeout,
+      source,
       signal,
     });
 
@@ -341,8 +373,8 @@ export async function runTraceroute(
   ensureDbReady();
   const db = openDb();
   const stmt = getInsertStatement(db);
-  const info = stmt.run(ts, target, JSON.stringify(hops), success);
+  const info = stmt.run(ts, target, JSON.stringify(hops), success, uplinkLabel);
   const id = Number(info.lastInsertRowid);
 
-  return { id, ts, target, success, hops };
+  return { id, ts, target, uplink: uplinkLabel, success, hops };
 }
@@ -0,0 +1,157 @@
+import dgram from "dgram";
+import dns from "dns";
+import { performance } from "perf_hooks";
+
+// UDP round-trip probe: sends one datagram and waits for any answer from the target. Useful for
+// hosts that drop ICMP and TCP but run a UDP service (DNS on 53, an echo responder on 7, ...).
+
+const DNS_HEADER_BYTES = 12;
+
+// PING_UDP_PAYLOAD formats:
+//   dns          a DNS query for the root NS records (default; any resolver answers it)
+//   hex:<bytes>  raw bytes, e.g. hex:deadbeef
+//   text:<text>  UTF-8 text; any other value is also sent as text
+export function parseUdpPayload(spec) {
+  const text = String(spec ?? "").trim();
+  if (!text || text.toLowerCase() === "dns") {
+    return { kind: "dns" };
+  }
+  if (/^hex:/i.test(text)) {
+    const hex = text.slice(4).replace(/[\s:]/g, "");
+    if (hex.length > 0 && hex.length % 2 === 0 && /^[0-9a-f]+$/i.test(hex)) {
+      return { kind: "raw", buffer: Buffer.from(hex, "hex") };
+    }
+    return { kind: "dns" };
+  }
+  const body = /^text:/i.test(text) ? text.slice(5) : text;
+  return { kind: "raw", buffer: Buffer.from(body, "utf8") };
+}
+
+// Minimal recursive query for ". IN NS" with the given transaction id.
+function buildDnsQuery(id) {
+  const query = Buffer.alloc(DNS_HEADER_BYTES + 5);
+  query.writeUInt16BE(id, 0);
+  query.writeUInt16BE(0x0100, 2); // RD
+  query.writeUInt16BE(1, 4); // QDCOUNT
+  query.writeUInt8(0, DNS_HEADER_BYTES); // root name
+  query.writeUInt16BE(2, DNS_HEADER_BYTES + 1); // QTYPE NS
+  query.writeUInt16BE(1, DNS_HEADER_BYTES + 3); // QCLASS IN
+  return query;
+}
+
+function isDnsResponseFor(message, id) {
+  return (
+    message.length >= DNS_HEADER_BYTES &&
+    message.readUInt16BE(0) === id &&
+    (message.readUInt8(2) & 0x80) !== 0
+  );
+}
+
+function lookupAddress(host, family) {
+  return dns.promises.lookup(host, { family: family === "v4" ? 4 : family === "v6" ? 6 : 0 });
+}
+
+// Resolves { success, rtt, address } on a reply, or { success: false, timedOut | aborted | error }.
+// The timeout covers name resolution as well; rtt only measures send → first matching datagram.
+// With localAddress the socket is bound to it first, so the datagram leaves through that uplink.
+export function runUdpProbe(
+  target,
+  port,
+  timeoutMs,
+  { signal, family = null, payload, localAddress = null } = {}
+) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve({ success: false, aborted: true });
+      return;
+    }
+
+    const parsedPayload =
+      payload && typeof payload === "object" ? payload : parseUdpPayload(payload);
+    const queryId = Math.floor(Math.random() * 0x10000);
+    const message = parsedPayload.kind === "dns" ? buildDnsQuery(queryId) : parsedPayload.buffer;
+
+    let socket = null;
+    let address = null;
+    let settled = false;
+    let timeoutTimer = null;
+    let startTime = null;
+
+    const abortHandler = () => {
+      settle({ success: false, aborted: true });
+    };
+
+    const settle = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (timeoutTimer !== null) {
+        clearTimeout(timeoutTimer);
+        timeoutTimer = null;
+      }
+      signal?.removeEventListener("abort", abortHandler);
+      if (socket) {
+        try {
+          socket.close();
+        } catch (error) {
+          // Ignore close errors; the socket may not be bound yet.
+        }
+      }
+      resolve({ address, ...result });
+    };
+
+    timeoutTimer = setTimeout(
+      () => {
+        settle({ success: false, timedOut: true });
+      },
+      Math.max(timeoutMs, 1)
+    );
+    timeoutTimer.unref?.();
+    signal?.addEventListener("abort", abortHandler, { once: true });
+
+    lookupAddress(target, family)
+      .then((resolved) => {
+        if (settled) {
+          return;
+        }
+        address = resolved.address;
+        socket = dgram.createSocket(resolved.family === 6 ? "udp6" : "udp4");
+
+        socket.on("message", (reply) => {
+          if (parsedPayload.kind === "dns" && !isDnsResponseFor(reply, queryId)) {
+            return;
+          }
+          const rtt = Number((performance.now() - startTime).toFixed(3));
+          settle({ success: true, rtt });
+        });
+
+        // On a connected socket an ICMP port unreachable surfaces here as ECONNREFUSED.
+        socket.on("error", (error) => {
+          settle({ success: false, error });
+        });
+
+        const connect = () => {
+          socket.connect(port, address, () => {
+            if (settled) {
+              return;
+            }
+            startTime = performance.now();
+            socket.send(message, (error) => {
+              if (error) {
+                settle({ success: false, error });
+              }
+            });
+          });
+        };
+        if (localAddress) {
+          socket.bind({ address: localAddress, port: 0 }, connect);
+        } else {
+          connect();
+        }
+      })
+      .catch((error) => {
+        settle({ success: false, error });
+      });
+  });
+}
@@ -1,5 +1,9 @@
 import fs from "fs";
+import net from "net";
 import path from "path";
+import { parseDscpClass } from "../utils/dscp.js";
+import { GATEWAY_SERIES_ID, GATEWAY_TAG } from "../utils/gateway.js";
+import { parseUplinks, resolveUplinkLabels } from "../utils/uplinks.js";
 
 const DEFAULTS = Object.freeze({
   NODE_ENV: "development",
@@ -21,8 +25,27 @@ const DEFAULTS = Object.freeze({
   PING_MAX_INMEM_POINTS: "600",
   PING_METHOD: "auto",
   PING_TCP_PORT: "443",
+  PING_UDP_PORT: "53",
+  PING_UDP_PAYLOAD: "dns",
+  PING_FALLBACK_METHODS: "tcp",
   PING_FALLBACK_AFTER_FAILS: "3",
   PING_RECOVERY_AFTER_OKS: "2",
+  PING_BURST_COUNT: "1",
+  PING_BURST_INTERVAL_MS: "200",
+  PING_ICMP_BACKEND: "spawn",
+  PING_CONCURRENCY: "8",
+  PING_ADAPTIVE: "false",
+  PING_ADAPTIVE_MIN_INTERVAL_MS: "250",
+  PING_ADAPTIVE_WINDOW: "10",
+  PING_ADAPTIVE_RECOVERY_OKS: "5",
+  PING_TARGETS_FILE: "",
+  PING_FAMILY: "auto",
+  UPLINKS: "",
+  PING_UPLINKS: "",
+  PING_DSCP: "",
+  PING_GATEWAY: "auto",
+  PING_GATEWAY_CHECK_S: "60",
+  PING_RESOLVE_INTERVAL_S: "30",
   WINDOWS_ENABLED: "true",
   WINDOW_1M_SECONDS: "60",
   WINDOW_5M_SECONDS: "300",
@@ -39,6 +62,23 @@ const DEFAULTS = Object.freeze({
   ALERT_DNS_MS: "100",
   ALERT_MIN_POINTS: "10",
   ENABLE_TRACEROUTE: "true",
+  ENABLE_PMTU: "true",
+  PMTU_INTERVAL_S: "600",
+  PMTU_TIMEOUT_MS: "2000",
+  PMTU_MIN_BYTES: "576",
+  PMTU_MAX_BYTES: "1500",
+  PMTU_RETRIES: "1",
+  PMTU_CONCURRENCY: "2",
+  ENABLE_PING_SWEEP: "true",
+  PING_SWEEP_SIZES: "64,512,1024,1400",
+  PING_SWEEP_COUNT: "5",
+  PING_SWEEP_INTERVAL_S: "300",
+  PING_SWEEP_TIMEOUT_MS: "2000",
+  ENABLE_FAULT: "true",
+  FAULT_INTERVAL_S: "30",
+  FAULT_WINDOW_S: "120",
+  FAULT_LOSS_PCT: "5",
+  FAULT_P95_MS: "200",
   LIVE_PUSH_INTERVAL_MS: "2000",
   LIVE_USE_WINDOWS: "true",
   LIVE_STALE_MS: "10000",
@@ -181,6 +221,7 @@ function toMethodPreference(value) {
   switch (normalized) {
     case "icmp":
     case "tcp":
+    case "udp":
       return normalized;
     case "auto":
     default:
@@ -188,6 +229,264 @@ function toMethodPreference(value) {
   }
 }
 
+// Ordered methods the auto state machine falls back to after ICMP fails (e.g. "tcp,udp").
+function toFallbackMethods(value) {
+  const methods = toStringList(value, [])
+    .map((item) => item.toLowerCase())
+    .filter((item) => item === "tcp" || item === "udp");
+  return methods.length > 0 ? [...new Set(methods)] : ["tcp"];
+}
+
+// Address family for ping probes: auto (OS choice), v4, v6 or both (one series per family).
+function toAddressFamily(value) {
+  const normalized = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  switch (normalized) {
+    case "v4":
+    case "4":
+    case "ipv4":
+      return "v4";
+    case "v6":
+    case "6":
+    case "ipv6":
+      return "v6";
+    case "both":
+    case "dual":
+      return "both";
+    default:
+      return "auto";
+  }
+}
+
+function toOptionalPositiveInteger(value) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+// Normalizes one entry of the targets file. Entries are either a host string or an object with
+// host, name, group, tags, intervalMs, timeoutMs, method, tcpPort, udpPort, udpPayload, family,
+// uplinks and dscp; omitted fields stay null so the global PING_* settings apply.
+function normalizeTargetDefinition(raw) {
+  const entry = typeof raw === "string" ? { host: raw } : raw;
+  if (!entry || typeof entry !== "object") {
+    return null;
+  }
+
+  const host = String(entry.host ?? entry.target ?? "").trim();
+  if (!host) {
+    return null;
+  }
+
+  const name = typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : null;
+  const group = typeof entry.group === "string" && entry.group.trim() ? entry.group.trim() : null;
+  const rawTags = Array.isArray(entry.tags) ? entry.tags : toStringList(entry.tags, []);
+  const tags = [...new Set(rawTags.map((tag) => String(tag ?? "").trim()).filter(Boolean))];
+  const method =
+    entry.method === undefined || entry.method === null || entry.method === ""
+      ? null
+      : toMethodPreference(entry.method);
+
+  return {
+    host,
+    name,
+    group,
+    tags,
+    intervalMs: toOptionalPositiveInteger(entry.intervalMs),
+    timeoutMs: toOptionalPositiveInteger(entry.timeoutMs),
+    method,
+    tcpPort: toOptionalPositiveInteger(entry.tcpPort),
+    udpPort: toOptionalPositiveInteger(entry.udpPort),
+    udpPayload:
+      typeof entry.udpPayload === "string" && entry.udpPayload.trim()
+        ? entry.udpPayload.trim()
+        : null,
+    family:
+      entry.family === undefined || entry.family === null || entry.family === ""
+        ? null
+        : toAddressFamily(entry.family),
+    uplinks:
+      entry.uplinks === undefined || entry.uplinks === null
+        ? null
+        : Array.isArray(entry.uplinks)
+          ? entry.uplinks.map((label) => String(label ?? "").trim()).filter(Boolean)
+          : toStringList(entry.uplinks, []),
+    dscp:
+      entry.dscp === undefined || entry.dscp === null
+        ? null
+        : Array.isArray(entry.dscp)
+          ? entry.dscp.map((value) => String(value ?? "").trim()).filter(Boolean)
+          : toStringList(String(entry.dscp), []),
+  };
+}
+
+// Parses DSCP class names/codepoints into [{ name, value }]. Best effort (0) is skipped since the
+// unmarked series already carries it; unparseable entries are returned in `invalid`.
+function resolveDscpClasses(values) {
+  const classes = [];
+  const invalid = [];
+  for (const raw of Array.isArray(values) ? values : []) {
+    const parsed = parseDscpClass(raw);
+    if (!parsed) {
+      invalid.push(raw);
+    } else if (parsed.value !== 0 && !classes.some((entry) => entry.value === parsed.value)) {
+      classes.push(parsed);
+    }
+  }
+  return { classes, invalid };
+}
+
+// Expands target definitions into the probed series. A series id is the host, qualified with
+// "@v4"/"@v6" when the target probes both families, with "@<uplink>" for every uplink it is
+// probed through and with "@<class>" for every DSCP class it is marked with (e.g. host@v6@wanB@ef),
+// so each family, uplink and class keeps its own history. Unknown uplink labels and invalid DSCP
+// classes are collected in `errors`.
+function expandPingSeries(
+  definitions,
+  { family: defaultFamily, uplinks, defaultUplinks, defaultDscp }
+) {
+  const series = [];
+  const errors = [];
+  for (const definition of definitions) {
+    const family = definition.family ?? defaultFamily;
+    const base = {
+      host: definition.host,
+      name: definition.name,
+      group: definition.group,
+      tags: definition.tags,
+    };
+    const familySeries = [];
+    const literalVersion = net.isIP(definition.host);
+    if (literalVersion !== 0) {
+      // An IP literal only has one family, whatever was requested.
+      familySeries.push({ id: definition.host, family: literalVersion === 6 ? "v6" : "v4" });
+    } else if (family === "both") {
+      familySeries.push({ id: `${definition.host}@v4`, family: "v4" });
+      familySeries.push({ id: `${definition.host}@v6`, family: "v6" });
+    } else {
+      familySeries.push({ id: definition.host, family: family === "auto" ? null : family });
+    }
+
+    const { labels, unknown } = resolveUplinkLabels(definition.uplinks ?? defaultUplinks, uplinks);
+    if (unknown.length > 0) {
+      errors.push(
+        `unknown uplink(s) ${unknown.join(", ")} for ${definition.host} (define them in UPLINKS)`
+      );
+    }
+    const { classes, invalid } = resolveDscpClasses(definition.dscp ?? defaultDscp);
+    if (invalid.length > 0) {
+      errors.push(`invalid DSCP class(es) ${invalid.join(", ")} for ${definition.host}`);
+    }
+
+    const pathSeries = [];
+    for (const entry of familySeries) {
+      if (labels.length === 0) {
+        pathSeries.push({ ...entry, uplink: null, source: null });
+        continue;
+      }
+      for (const label of labels) {
+        pathSeries.push({
+          ...entry,
+          id: `${entry.id}@${label}`,
+          uplink: label,
+          source: uplinks[label],
+        });
+      }
+    }
+    for (const entry of pathSeries) {
+      series.push({ ...base, ...entry, dscp: null, dscpClass: null });
+      for (const dscpClass of classes) {
+        series.push({
+          ...base,
+          ...entry,
+          id: `${entry.id}@${dscpClass.name}`,
+          dscp: dscpClass.value,
+          dscpClass: dscpClass.name,
+          // The unmarked series with the same family and uplink, i.e. the best-effort baseline.
+          baselineId: entry.id,
+        });
+      }
+    }
+  }
+  return { series, errors };
+}
+
+// PING_GATEWAY: "auto" discovers the default gateway, an IPv4 address pins it, "off" disables the
+// implicit LAN target.
+function toGatewaySetting(value) {
+  const normalized = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (net.isIPv4(normalized)) {
+    return { mode: "static", address: normalized };
+  }
+  if (["0", "false", "no", "off", "none"].includes(normalized)) {
+    return { mode: "off", address: null };
+  }
+  return { mode: "auto", address: null };
+}
+
+// The implicit LAN target: one IPv4 series with a fixed id so its history survives a gateway
+// change. The host stays null in auto mode until the ping collector has discovered it.
+function buildGatewaySeries(gateway) {
+  return {
+    id: GATEWAY_SERIES_ID,
+    host: gateway.address,
+    name: "Gateway",
+    group: "LAN",
+    tags: [GATEWAY_TAG],
+    family: "v4",
+    uplink: null,
+    source: null,
+    dscp: null,
+    dscpClass: null,
+    gateway: true,
+  };
+}
+
+// Reads the JSON targets file: either an array of entries or { "targets": [...] }.
+function loadTargetsFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+    const list = Array.isArray(parsed) ? parsed : parsed?.targets;
+    if (!Array.isArray(list)) {
+      return { definitions: [], error: `${filePath}: expected an array or a "targets" array` };
+    }
+    const seen = new Set();
+    const definitions = [];
+    for (const raw of list) {
+      const definition = normalizeTargetDefinition(raw);
+      if (definition && !seen.has(definition.host)) {
+        seen.add(definition.host);
+        definitions.push(definition);
+      }
+    }
+    return { definitions, error: definitions.length ? null : `${filePath}: no valid targets` };
+  } catch (error) {
+    return { definitions: [], error: `${filePath}: ${error?.message ?? error}` };
+  }
+}
+
+// ICMP payload sizes for the latency sweep: distinct, ascending, at most 65000 bytes. A sweep needs
+// at least two sizes to fit a slope, otherwise the defaults apply.
+function toPayloadSizes(value) {
+  const sizes = toStringList(value, [])
+    .map((item) => Number.parseInt(item, 10))
+    .filter((size) => Number.isFinite(size) && size > 0 && size <= 65000);
+  const unique = [...new Set(sizes)].sort((a, b) => a - b);
+  return unique.length >= 2
+    ? unique
+    : DEFAULTS.PING_SWEEP_SIZES.split(",").map((item) => Number.parseInt(item, 10));
+}
+
+function toIcmpBackend(value) {
+  const normalized = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return normalized === "stream" ? "stream" : "spawn";
+}
+
 export function getConfig() {
   const envFilePath = path.resolve(process.cwd(), ".env");
   const fileVariables = parseEnvFile(envFilePath);
@@ -222,6 +521,18 @@ export function getConfig() {
     resolveVar("ENABLE_TRACEROUTE", fileVariables),
     toBoolean(DEFAULTS.ENABLE_TRACEROUTE, true)
   );
+  const enablePmtu = toBoolean(
+    resolveVar("ENABLE_PMTU", fileVariables),
+    toBoolean(DEFAULTS.ENABLE_PMTU, true)
+  );
+  const enablePingSweep = toBoolean(
+    resolveVar("ENABLE_PING_SWEEP", fileVariables),
+    toBoolean(DEFAULTS.ENABLE_PING_SWEEP, true)
+  );
+  const enableFault = toBoolean(
+    resolveVar("ENABLE_FAULT", fileVariables),
+    toBoolean(DEFAULTS.ENABLE_FAULT, true)
+  );
 
   const rawPingTargets = resolveOptionalVar("PING_TARGETS", fileVariables);
   let pingTargets = toStringList(
@@ -234,6 +545,17 @@ export function getConfig() {
   if ((!rawPingTargets || String(rawPingTargets).trim() === "") && fallbackPingTarget) {
     pingTargets = [fallbackPingTarget];
   }
+  const pingTargetsFile = String(resolveVar("PING_TARGETS_FILE", fileVariables) ?? "").trim();
+  let pingTargetDefinitions = pingTargets.map((host) => normalizeTargetDefinition(host));
+  let pingTargetsFileError = null;
+  if (pingTargetsFile) {
+    const loaded = loadTargetsFile(pingTargetsFile);
+    pingTargetsFileError = loaded.error;
+    if (loaded.definitions.length > 0) {
+      pingTargetDefinitions = loaded.definitions;
+      pingTargets = loaded.definitions.map((definition) => definition.host);
+    }
+  }
   const pingIntervalMs = toPositiveInteger(
     resolveVar("PING_INTERVAL_MS", fileVariables) ??
       Number(resolveVar("PING_INTERVAL_S", fileVariables) ?? DEFAULTS.PING_INTERVAL_S) * 1000,
@@ -266,6 +588,16 @@ export function getConfig() {
     resolveVar("PING_TCP_PORT", fileVariables),
     Number(DEFAULTS.PING_TCP_PORT)
   );
+  const pingUdpPort = toPositiveInteger(
+    resolveVar("PING_UDP_PORT", fileVariables),
+    Number(DEFAULTS.PING_UDP_PORT)
+  );
+  const pingUdpPayload = String(
+    resolveVar("PING_UDP_PAYLOAD", fileVariables) ?? DEFAULTS.PING_UDP_PAYLOAD
+  ).trim();
+  const pingFallbackMethods = toFallbackMethods(
+    resolveVar("PING_FALLBACK_METHODS", fileVariables)
+  );
   const pingFallbackAfterFails = toPositiveInteger(
     resolveVar("PING_FALLBACK_AFTER_FAILS", fileVariables),
     Number(DEFAULTS.PING_FALLBACK_AFTER_FAILS)
@@ -275,6 +607,114 @@ export function getConfig() {
     Number(DEFAULTS.PING_RECOVERY_AFTER_OKS)
   );
 
+  const pingBurstCount = toPositiveInteger(
+    resolveVar("PING_BURST_COUNT", fileVariables),
+    Number(DEFAULTS.PING_BURST_COUNT)
+  );
+  const pingBurstIntervalMs = toPositiveInteger(
+    resolveVar("PING_BURST_INTERVAL_MS", fileVariables),
+    Number(DEFAULTS.PING_BURST_INTERVAL_MS)
+  );
+  const pingIcmpBackend = toIcmpBackend(resolveVar("PING_ICMP_BACKEND", fileVariables));
+  const pingFamily = toAddressFamily(resolveVar("PING_FAMILY", fileVariables));
+  const uplinks = parseUplinks(resolveVar("UPLINKS", fileVariables));
+  const pingUplinks = toStringList(resolveVar("PING_UPLINKS", fileVariables), []);
+  const pingDscp = toStringList(resolveVar("PING_DSCP", fileVariables), []);
+  const { series: pingSeries, errors: pingSeriesErrors } = expandPingSeries(pingTargetDefinitions, {
+    family: pingFamily,
+    uplinks,
+    defaultUplinks: pingUplinks,
+    defaultDscp: pingDscp,
+  });
+  const pingGateway = toGatewaySetting(resolveVar("PING_GATEWAY", fileVariables));
+  if (pingGateway.mode !== "off") {
+    pingSeries.push(buildGatewaySeries(pingGateway));
+  }
+  const pingGatewayCheckS = toPositiveInteger(
+    resolveVar("PING_GATEWAY_CHECK_S", fileVariables),
+    Number(DEFAULTS.PING_GATEWAY_CHECK_S)
+  );
+  const pingResolveIntervalS = toPositiveInteger(
+    resolveVar("PING_RESOLVE_INTERVAL_S", fileVariables),
+    Number(DEFAULTS.PING_RESOLVE_INTERVAL_S)
+  );
+  const pingConcurrency = toPositiveInteger(
+    resolveVar("PING_CONCURRENCY", fileVariables),
+    Number(DEFAULTS.PING_CONCURRENCY)
+  );
+  const pingAdaptive = toBoolean(
+    resolveVar("PING_ADAPTIVE", fileVariables),
+    toBoolean(DEFAULTS.PING_ADAPTIVE, false)
+  );
+  const pingAdaptiveMinIntervalMs = toPositiveInteger(
+    resolveVar("PING_ADAPTIVE_MIN_INTERVAL_MS", fileVariables),
+    Number(DEFAULTS.PING_ADAPTIVE_MIN_INTERVAL_MS)
+  );
+  const pingAdaptiveWindow = toPositiveInteger(
+    resolveVar("PING_ADAPTIVE_WINDOW", fileVariables),
+    Number(DEFAULTS.PING_ADAPTIVE_WINDOW)
+  );
+  const pingAdaptiveRecoveryOks = toPositiveInteger(
+    resolveVar("PING_ADAPTIVE_RECOVERY_OKS", fileVariables),
+    Number(DEFAULTS.PING_ADAPTIVE_RECOVERY_OKS)
+  );
+
+  const pmtuIntervalS = toPositiveInteger(
+    resolveVar("PMTU_INTERVAL_S", fileVariables),
+    Number(DEFAULTS.PMTU_INTERVAL_S)
+  );
+  const pmtuTimeoutMs = toPositiveInteger(
+    resolveVar("PMTU_TIMEOUT_MS", fileVariables),
+    Number(DEFAULTS.PMTU_TIMEOUT_MS)
+  );
+  const pmtuMinBytes = toPositiveInteger(
+    resolveVar("PMTU_MIN_BYTES", fileVariables),
+    Number(DEFAULTS.PMTU_MIN_BYTES)
+  );
+  const pmtuMaxBytes = Math.max(
+    pmtuMinBytes,
+    toPositiveInteger(resolveVar("PMTU_MAX_BYTES", fileVariables), Number(DEFAULTS.PMTU_MAX_BYTES))
+  );
+  const pmtuRetries = toNonNegativeInteger(
+    resolveVar("PMTU_RETRIES", fileVariables),
+    Number(DEFAULTS.PMTU_RETRIES)
+  );
+  const pmtuConcurrency = toPositiveInteger(
+    resolveVar("PMTU_CONCURRENCY", fileVariables),
+    Number(DEFAULTS.PMTU_CONCURRENCY)
+  );
+
+  const pingSweepSizes = toPayloadSizes(resolveVar("PING_SWEEP_SIZES", fileVariables));
+  const pingSweepCount = toPositiveInteger(
+    resolveVar("PING_SWEEP_COUNT", fileVariables),
+    Number(DEFAULTS.PING_SWEEP_COUNT)
+  );
+  const pingSweepIntervalS = toPositiveInteger(
+    resolveVar("PING_SWEEP_INTERVAL_S", fileVariables),
+    Number(DEFAULTS.PING_SWEEP_INTERVAL_S)
+  );
+  const pingSweepTimeoutMs = toPositiveInteger(
+    resolveVar("PING_SWEEP_TIMEOUT_MS", fileVariables),
+    Number(DEFAULTS.PING_SWEEP_TIMEOUT_MS)
+  );
+
+  const faultIntervalS = toPositiveInteger(
+    resolveVar("FAULT_INTERVAL_S", fileVariables),
+    Number(DEFAULTS.FAULT_INTERVAL_S)
+  );
+  const faultWindowS = toPositiveInteger(
+    resolveVar("FAULT_WINDOW_S", fileVariables),
+    Number(DEFAULTS.FAULT_WINDOW_S)
+  );
+  const faultLossPct = toNumber(
+    resolveVar("FAULT_LOSS_PCT", fileVariables),
+    Number(DEFAULTS.FAULT_LOSS_PCT)
+  );
+  const faultP95Ms = toNumber(
+    resolveVar("FAULT_P95_MS", fileVariables),
+    Number(DEFAULTS.FAULT_P95_MS)
+  );
+
   const dnsHostnames = toStringList(
     resolveVar("DNS_HOSTNAMES", fileVariables),
     DEFAULTS.DNS_HOSTNAMES.split(",")
@@ -378,6 +818,9 @@ export function getConfig() {
       enableDns,
       enableHttp,
       enableTraceroute,
+      enablePmtu,
+      enablePingSweep,
+      enableFault,
     },
     ping: {
       targets: pingTargets,
@@ -388,8 +831,52 @@ export function getConfig() {
       maxInMemoryPoints: pingMaxInMemPoints,
       methodPreference: pingMethod,
       tcpPort: pingTcpPort,
+      udpPort: pingUdpPort,
+      udpPayload: pingUdpPayload || DEFAULTS.PING_UDP_PAYLOAD,
+      fallbackMethods: pingFallbackMethods,
       fallbackAfterFails: pingFallbackAfterFails,
       recoveryAfterOks: pingRecoveryAfterOks,
+      burstCount: pingBurstCount,
+      burstIntervalMs: pingBurstIntervalMs,
+      icmpBackend: pingIcmpBackend,
+      concurrency: pingConcurrency,
+      targetsFile: pingTargetsFile || null,
+      targetsFileError: pingTargetsFileError,
+      targetDefinitions: pingTargetDefinitions,
+      family: pingFamily,
+      uplinks: pingUplinks,
+      dscp: pingDscp,
+      seriesErrors: pingSeriesErrors,
+      series: pingSeries,
+      gateway: { ...pingGateway, checkIntervalMs: pingGatewayCheckS * 1000 },
+      resolveIntervalMs: pingResolveIntervalS * 1000,
+      adaptive: {
+        enabled: pingAdaptive,
+        minIntervalMs: pingAdaptiveMinIntervalMs,
+        window: pingAdaptiveWindow,
+        recoveryAfterOks: pingAdaptiveRecoveryOks,
+      },
+    },
+    uplinks,
+    pmtu: {
+      intervalMs: pmtuIntervalS * 1000,
+      timeoutMs: pmtuTimeoutMs,
+      minBytes: pmtuMinBytes,
+      maxBytes: pmtuMaxBytes,
+      retries: pmtuRetries,
+      concurrency: pmtuConcurrency,
+    },
+    fault: {
+      intervalMs: faultIntervalS * 1000,
+      windowMs: faultWindowS * 1000,
+      lossPct: faultLossPct,
+      p95Ms: faultP95Ms,
+    },
+    pingSweep: {
+      sizes: pingSweepSizes,
+      count: pingSweepCount,
+      intervalMs: pingSweepIntervalS * 1000,
+      timeoutMs: pingSweepTimeoutMs,
     },
     dns: {
       hostnames: dnsHostnames,
@@ -434,3 +921,14 @@ export function getConfig() {
     },
   };
 }
+
+// Ping series worth probing for path properties (PMTU, payload sweep, fault location). DSCP-marked
+// series share the path of their unmarked baseline. The implicit gateway series has no fixed host
+// and only covers the LAN hop, and uplink-bound series describe a path other than the default
+// route; each caller says which of the two it keeps.
+export function selectPathSeries(config, { gateway = false, uplinks = true } = {}) {
+  const series = Array.isArray(config?.ping?.series) ? config.ping.series : [];
+  return series.filter(
+    (entry) => entry.dscp == null && (gateway || !entry.gateway) && (uplinks || !entry.uplink)
+  );
+}
@@ -52,7 +52,12 @@ export function runRetention({ nowEpochMs } = {}) {
     { name: "ping_sample", column: "ts", cutoff: rawCutoffTs },
     { name: "dns_sample", column: "ts", cutoff: rawCutoffTs },
     { name: "http_sample", column: "ts", cutoff: rawCutoffTs },
+    { name: "ping_sweep", column: "ts", cutoff: rawCutoffTs },
+    { name: "fault_verdict", column: "ts", cutoff: rawCutoffTs },
     { name: "ping_window_1m", column: "ts_min", cutoff: windowCutoffTs },
+    // Path MTU history and events are low-volume, so they follow the long retention.
+    { name: "pmtu_sample", column: "ts", cutoff: windowCutoffTs },
+    { name: "event", column: "ts", cutoff: windowCutoffTs },
   ];
 
   const deletedRows = {};
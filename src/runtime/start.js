@@ -5,6 +5,9 @@ import * as pingAggregator from "../collectors/ping-aggregate-loop.js";
 import * as dnsCollector from "../collectors/dns.js";
 import * as httpCollector from "../collectors/http.js";
 import * as tracerouteCollector from "../collectors/traceroute-loop.js";
+import * as pmtuCollector from "../collectors/pmtu.js";
+import * as pingSweepCollector from "../collectors/ping-sweep.js";
+import * as faultLocator from "../collectors/fault-locator.js";
 import { startServer } from "../web/server.js";
 import * as logger from "../utils/logger.js";
 import {
@@ -51,6 +54,12 @@ async function main() {
     process.env.ENABLE_TRACEROUTE,
     featureDefaults.enableTraceroute ?? true
   );
+  const enablePmtu = toBooleanFlag(process.env.ENABLE_PMTU, featureDefaults.enablePmtu ?? true);
+  const enablePingSweep = toBooleanFlag(
+    process.env.ENABLE_PING_SWEEP,
+    featureDefaults.enablePingSweep ?? true
+  );
+  const enableFault = toBooleanFlag(process.env.ENABLE_FAULT, featureDefaults.enableFault ?? true);
 
   const shutdownSignal = getShutdownSignal();
 
@@ -122,6 +131,10 @@ async function main() {
     dns: startCollector("dns", dnsCollector, enableDns),
     http: startCollector("http", httpCollector, enableHttp),
     traceroute: startCollector("traceroute", tracerouteCollector, enableTraceroute),
+    pmtu: startCollector("pmtu", pmtuCollector, enablePmtu),
+    "ping-sweep": startCollector("ping-sweep", pingSweepCollector, enablePingSweep),
+    // The verdict is derived from the ping series, so it only runs next to the ping collector.
+    fault: startCollector("fault", faultLocator, enablePing && enableFault),
   };
 
   if (collectorPromises.length > 0) {
@@ -176,6 +189,9 @@ async function main() {
     dns: enableDns,
     http: enableHttp,
     traceroute: enableTraceroute,
+    pmtu: enablePmtu,
+    "ping-sweep": enablePingSweep,
+    fault: enablePing && enableFault,
   })
     .filter(([, enabled]) => !enabled)
     .map(([name]) => name);
@@ -82,9 +82,14 @@ function buildWindowConfiguration() {
   const configuredMaxPoints = Number.isFinite(pingConfig.maxInMemoryPoints)
     ? Math.max(1, Math.floor(pingConfig.maxInMemoryPoints))
     : 600;
-  const intervalMs = Number.isFinite(pingConfig.intervalMs)
+  const baseIntervalMs = Number.isFinite(pingConfig.intervalMs)
     ? Math.max(1, Math.floor(pingConfig.intervalMs))
     : 1000;
+  // The adaptive rate can probe faster than the base interval; size buffers for the fastest rate.
+  const intervalMs =
+    pingConfig.adaptive?.enabled && Number.isFinite(pingConfig.adaptive.minIntervalMs)
+      ? Math.max(1, Math.min(baseIntervalMs, pingConfig.adaptive.minIntervalMs))
+      : baseIntervalMs;
   const minPointsForWindows = longestWindowMs > 0 ? Math.ceil(longestWindowMs / intervalMs) + 10 : 1;
   const maxPoints = Math.max(configuredMaxPoints, minPointsForWindows);
 
@@ -124,7 +129,11 @@ function sanitizeSample(sample) {
   const success = sample?.success === true || sample?.success === 1 || sample?.success === "1";
   const rttValue = Number(sample?.rtt_ms);
   const rttMs = success && Number.isFinite(rttValue) && rttValue >= 0 ? rttValue : null;
-  return { ts, target, success, rtt_ms: rttMs };
+  const errorCode =
+    !success && typeof sample?.error_code === "string" && sample.error_code
+      ? sample.error_code
+      : null;
+  return { ts, target, success, rtt_ms: rttMs, error_code: errorCode };
 }
 
 export function isEnabled() {
@@ -164,6 +173,7 @@ export function recordPingSample(sample) {
     ts: normalized.ts,
     success: normalized.success,
     rtt_ms: normalized.rtt_ms,
+    error_code: normalized.error_code,
   });
   state.lastTs = normalized.ts;
 
@@ -262,6 +272,7 @@ function normalizeRecentEntries(entries, limit) {
     ts: entry.ts,
     success: Boolean(entry.success),
     rtt_ms: entry.success && Number.isFinite(entry.rtt_ms) ? entry.rtt_ms : null,
+    error_code: entry.success ? null : (entry.error_code ?? null),
   }));
 }
 
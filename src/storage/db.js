@@ -52,7 +52,18 @@ CREATE TABLE IF NOT EXISTS ping_sample (
   target TEXT NOT NULL,
   method TEXT NOT NULL,
   rtt_ms REAL,
-  success INTEGER NOT NULL
+  success INTEGER NOT NULL,
+  sent INTEGER,
+  received INTEGER,
+  rtt_min_ms REAL,
+  rtt_max_ms REAL,
+  jitter_ms REAL,
+  dup_count INTEGER,
+  reorder_count INTEGER,
+  resolved_ip TEXT,
+  family TEXT,
+  error_code TEXT,
+  error_detail TEXT
 );
 CREATE INDEX IF NOT EXISTS idx_ping_sample_ts ON ping_sample(ts);
 CREATE INDEX IF NOT EXISTS idx_ping_sample_target_ts ON ping_sample(target, ts);
@@ -67,6 +78,7 @@ CREATE TABLE IF NOT EXISTS ping_window_1m (
   p50_ms REAL,
   p95_ms REAL,
   stdev_ms REAL,
+  jitter_ms REAL,
   availability_pct REAL,
   status TEXT,
   PRIMARY KEY (ts_min, target)
@@ -82,6 +94,7 @@ CREATE TABLE IF NOT EXISTS ping_window_5m (
   p50_ms REAL,
   p95_ms REAL,
   stdev_ms REAL,
+  jitter_ms REAL,
   availability_pct REAL,
   status TEXT,
   PRIMARY KEY (ts_min, target)
@@ -97,6 +110,7 @@ CREATE TABLE IF NOT EXISTS ping_window_15m (
   p50_ms REAL,
   p95_ms REAL,
   stdev_ms REAL,
+  jitter_ms REAL,
   availability_pct REAL,
   status TEXT,
   PRIMARY KEY (ts_min, target)
@@ -112,6 +126,7 @@ CREATE TABLE IF NOT EXISTS ping_window_60m (
   p50_ms REAL,
   p95_ms REAL,
   stdev_ms REAL,
+  jitter_ms REAL,
   availability_pct REAL,
   status TEXT,
   PRIMARY KEY (ts_min, target)
@@ -127,7 +142,9 @@ CREATE TABLE IF NOT EXISTS dns_sample (
   lookup_ms_cold REAL,
   success INTEGER NOT NULL DEFAULT 0,
   success_hot INTEGER,
-  success_cold INTEGER
+  success_cold INTEGER,
+  error_code TEXT,
+  error_detail TEXT
 );
 CREATE INDEX IF NOT EXISTS idx_dns_sample_ts ON dns_sample(ts);
 
@@ -139,7 +156,9 @@ CREATE TABLE IF NOT EXISTS http_sample (
   ttfb_ms REAL,
   total_ms REAL,
   bytes INTEGER,
-  success INTEGER NOT NULL
+  success INTEGER NOT NULL,
+  error_code TEXT,
+  error_detail TEXT
 );
 CREATE INDEX IF NOT EXISTS idx_http_sample_ts ON http_sample(ts);
 
@@ -151,60 +170,167 @@ CREATE TABLE IF NOT EXISTS traceroute_run (
   success INTEGER NOT NULL
 );
 
+CREATE TABLE IF NOT EXISTS pmtu_sample (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,
+  target TEXT NOT NULL,
+  host TEXT,
+  family TEXT,
+  resolved_ip TEXT,
+  pmtu_bytes INTEGER,
+  probes INTEGER,
+  success INTEGER NOT NULL,
+  error_code TEXT,
+  error_detail TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_pmtu_sample_target_ts ON pmtu_sample(target, ts);
+
+CREATE TABLE IF NOT EXISTS ping_sweep (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,
+  target TEXT NOT NULL,
+  host TEXT,
+  family TEXT,
+  resolved_ip TEXT,
+  points_json TEXT NOT NULL,
+  slope_us_per_byte REAL,
+  intercept_ms REAL,
+  r2 REAL,
+  bandwidth_bps REAL,
+  serialization_ms REAL,
+  success INTEGER NOT NULL,
+  error_code TEXT,
+  error_detail TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_ping_sweep_target_ts ON ping_sweep(target, ts);
+
+CREATE TABLE IF NOT EXISTS event (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  target TEXT,
+  severity TEXT NOT NULL DEFAULT 'info',
+  message TEXT,
+  data_json TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_event_ts ON event(ts);
+CREATE INDEX IF NOT EXISTS idx_event_type_ts ON event(type, ts);
+
+CREATE TABLE IF NOT EXISTS fault_verdict (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,
+  verdict TEXT NOT NULL,
+  lan_status TEXT,
+  isp_status TEXT,
+  internet_status TEXT,
+  isp_hop TEXT,
+  affected_json TEXT,
+  detail_json TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_fault_verdict_ts ON fault_verdict(ts);
+
 CREATE TABLE IF NOT EXISTS meta (
   key TEXT PRIMARY KEY,
   value TEXT
 );
 `;
 
-export function migrate() {
-  const db = openDb();
-  db.exec("BEGIN");
-  try {
-    db.exec(MIGRATION_SQL);
-    db.exec("COMMIT");
-  } catch (error) {
-    db.exec("ROLLBACK");
-    throw error;
-  }
-
+// Adds columns introduced after a table was first created. Each entry is [name, ddl].
+function ensureColumns(db, table, definitions) {
   try {
-    const columns = db.prepare("PRAGMA table_info(ping_window_1m)").all();
-    const ensureColumn = (name, ddl) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    for (const [name, ddl] of definitions) {
       const exists = Array.isArray(columns)
         ? columns.some((column) => column?.name === name)
         : false;
       if (!exists) {
-        db.exec(`ALTER TABLE ping_window_1m ADD COLUMN ${ddl}`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${ddl}`);
       }
-    };
-    ensureColumn("avg_ms", "avg_ms REAL");
-    ensureColumn("availability_pct", "availability_pct REAL");
-    ensureColumn("status", "status TEXT");
+    }
   } catch (error) {
     if (!/duplicate column name/i.test(String(error?.message ?? ""))) {
       throw error;
     }
   }
+}
 
+export function migrate() {
+  const db = openDb();
+  db.exec("BEGIN");
   try {
-    const columns = db.prepare("PRAGMA table_info(dns_sample)").all();
-    const ensureColumn = (name, ddl) => {
-      const exists = Array.isArray(columns)
-        ? columns.some((column) => column?.name === name)
-        : false;
-      if (!exists) {
-        db.exec(`ALTER TABLE dns_sample ADD COLUMN ${ddl}`);
-      }
-    };
-    ensureColumn("lookup_ms_hot", "lookup_ms_hot REAL");
-    ensureColumn("lookup_ms_cold", "lookup_ms_cold REAL");
-    ensureColumn("success_hot", "success_hot INTEGER");
-    ensureColumn("success_cold", "success_cold INTEGER");
+    db.exec(MIGRATION_SQL);
+    db.exec("COMMIT");
   } catch (error) {
-    if (!/duplicate column name/i.test(String(error?.message ?? ""))) {
-      throw error;
-    }
+    db.exec("ROLLBACK");
+    throw error;
+  }
+
+  ensureColumns(db, "ping_sample", [
+    ["sent", "sent INTEGER"],
+    ["received", "received INTEGER"],
+    ["rtt_min_ms", "rtt_min_ms REAL"],
+    ["rtt_max_ms", "rtt_max_ms REAL"],
+    ["jitter_ms", "jitter_ms REAL"],
+    ["dup_count", "dup_count INTEGER"],
+    ["reorder_count", "reorder_count INTEGER"],
+    ["rtts_json", "rtts_json TEXT"],
+    ["resolved_ip", "resolved_ip TEXT"],
+    ["family", "family TEXT"],
+    ["uplink", "uplink TEXT"],
+    ["dscp", "dscp INTEGER"],
+    ["interval_ms", "interval_ms INTEGER"],
+    ["error_code", "error_code TEXT"],
+    ["error_detail", "error_detail TEXT"],
+  ]);
+
+  ensureColumns(db, "ping_window_1m", [
+    ["avg_ms", "avg_ms REAL"],
+    ["availability_pct", "availability_pct REAL"],
+    ["status", "status TEXT"],
+  ]);
+
+  for (const table of ["ping_window_1m", "ping_window_5m", "ping_window_15m", "ping_window_60m"]) {
+    ensureColumns(db, table, [["jitter_ms", "jitter_ms REAL"]]);
+  }
+
+  ensureColumns(db, "dns_sample", [
+    ["lookup_ms_hot", "lookup_ms_hot REAL"],
+    ["lookup_ms_cold", "lookup_ms_cold REAL"],
+    ["success_hot", "success_hot INTEGER"],
+    ["success_cold", "success_cold INTEGER"],
+    ["error_code", "error_code TEXT"],
+    ["error_detail", "error_detail TEXT"],
+    ["uplink", "uplink TEXT"],
+    ["resolver_name", "resolver_name TEXT"],
+    ["record_type", "record_type TEXT"],
+    ["answers_json", "answers_json TEXT"],
+    ["answers_fp", "answers_fp TEXT"],
+    ["nxdomain_hijack", "nxdomain_hijack INTEGER"],
+    ["nxdomain_answers_json", "nxdomain_answers_json TEXT"],
+    ["protocol", "protocol TEXT"],
+    ["ttl_s", "ttl_s INTEGER"],
+    ["udp_ms", "udp_ms REAL"],
+    ["udp_truncated", "udp_truncated INTEGER"],
+    ["tcp_ms", "tcp_ms REAL"],
+    ["tcp_success", "tcp_success INTEGER"],
+    ["tcp_error_code", "tcp_error_code TEXT"],
+  ]);
+
+  ensureColumns(db, "http_sample", [
+    ["error_code", "error_code TEXT"],
+    ["error_detail", "error_detail TEXT"],
+    ["uplink", "uplink TEXT"],
+    ["dns_ms", "dns_ms REAL"],
+    ["connect_ms", "connect_ms REAL"],
+    ["tls_ms", "tls_ms REAL"],
+    ["wait_ms", "wait_ms REAL"],
+    ["download_ms", "download_ms REAL"],
+    ["assertion_failures_json", "assertion_failures_json TEXT"],
+  ]);
+
+  // Multi-WAN: label of the uplink (UPLINKS) a sample was bound to, NULL for the default route.
+  for (const table of ["traceroute_run", "pmtu_sample", "ping_sweep"]) {
+    ensureColumns(db, table, [["uplink", "uplink TEXT"]]);
   }
 
   return resolveDbPath();
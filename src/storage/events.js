@@ -0,0 +1,48 @@
+import { openDb, migrate } from "./db.js";
+
+// Discrete state changes noticed by the collectors (path MTU changed, ...), kept apart from the
+// sample tables so the API and dashboard can list them as a timeline.
+
+const SEVERITIES = new Set(["info", "warn", "error"]);
+
+let migrationsEnsured = false;
+let insertStatement = null;
+
+function ensureDbReady() {
+  if (!migrationsEnsured) {
+    migrate();
+    migrationsEnsured = true;
+  }
+}
+
+function getInsertStatement(db) {
+  if (!insertStatement) {
+    insertStatement = db.prepare(
+      "INSERT INTO event (ts, type, target, severity, message, data_json) VALUES (?, ?, ?, ?, ?, ?)"
+    );
+  }
+  return insertStatement;
+}
+
+// Stores one event and returns it with its id. `type` is a dotted name such as "pmtu.change".
+export function recordEvent({ ts, type, target = null, severity = "info", message = null, data }) {
+  ensureDbReady();
+  const db = openDb();
+  const event = {
+    ts: Number.isFinite(ts) ? Math.round(ts) : Date.now(),
+    type: String(type),
+    target: target ? String(target) : null,
+    severity: SEVERITIES.has(severity) ? severity : "info",
+    message: message ? String(message) : null,
+    data: data ?? null,
+  };
+  const info = getInsertStatement(db).run(
+    event.ts,
+    event.type,
+    event.target,
+    event.severity,
+    event.message,
+    event.data === null ? null : JSON.stringify(event.data)
+  );
+  return { id: Number(info.lastInsertRowid), ...event };
+}
@@ -5,6 +5,7 @@ import { fileURLToPath } from "url";
 
 import { getConfig } from "../config/index.js";
 import { migrate, openDb, closeDb, getDbPath } from "../storage/db.js";
+import { discoverGateway } from "../utils/gateway.js";
 
 function readPackageJson() {
   const __filename = fileURLToPath(import.meta.url);
@@ -55,6 +56,7 @@ function printEnvOverrides() {
     "LOG_LEVEL",
     "DB_PATH",
     "PING_TARGETS",
+    "PING_GATEWAY",
     "DNS_HOSTNAMES",
     "HTTP_URLS",
   ];
@@ -79,7 +81,17 @@ function printDbInfo() {
   }
 
   const db = openDb();
-  const tables = ["ping_sample", "ping_window_1m", "dns_sample", "http_sample", "traceroute_run"];
+  const tables = [
+    "ping_sample",
+    "ping_window_1m",
+    "dns_sample",
+    "http_sample",
+    "traceroute_run",
+    "pmtu_sample",
+    "ping_sweep",
+    "fault_verdict",
+    "event",
+  ];
 
   tables.forEach((table) => {
     try {
@@ -91,6 +103,42 @@ function printDbInfo() {
   });
 }
 
+async function printGatewayInfo(config) {
+  printHeading("Gateway padrão");
+  const gateway = config.ping?.gateway;
+  formatKeyValue(
+    "PING_GATEWAY",
+    gateway?.mode === "static" ? gateway.address : (gateway?.mode ?? "auto")
+  );
+  const found = await discoverGateway();
+  if (found) {
+    formatKeyValue("Descoberto", `${found.address}${found.iface ? ` via ${found.iface}` : ""}`);
+    formatKeyValue("Fonte", found.source);
+  } else {
+    formatKeyValue("Descoberto", "nenhuma rota padrão IPv4 encontrada");
+  }
+  if (gateway?.mode === "off") {
+    console.log("(Alvo implícito desativado; o gateway não é medido.)");
+  }
+
+  if (!fs.existsSync(getDbPath())) {
+    return;
+  }
+  try {
+    const row = openDb()
+      .prepare(
+        "SELECT ts, message FROM event WHERE type = 'gateway.change' ORDER BY ts DESC LIMIT 1"
+      )
+      .get();
+    formatKeyValue(
+      "Última troca",
+      row ? `${new Date(row.ts).toISOString()} — ${row.message}` : "nenhuma registrada"
+    );
+  } catch (error) {
+    formatKeyValue("Última troca", `erro: ${error.message}`);
+  }
+}
+
 async function main() {
   try {
     const pkg = readPackageJson();
@@ -102,6 +150,7 @@ async function main() {
     printConfigSummary(config);
     printEnvOverrides();
     printDbInfo();
+    await printGatewayInfo(config);
   } catch (error) {
     console.error(`[diag] Falha: ${error?.stack ?? error}`);
     process.exitCode = 1;
@@ -9,14 +9,24 @@ async function main() {
     return;
   }
 
-  const samples = await measureCycle(hostnames);
+  const samples = await measureCycle(settings.checks);
   const summary = new Map();
+  const showResolver = settings.resolvers.length > 1;
 
   for (const sample of samples) {
-    const key = sample.hostname;
-    const current = summary.get(key) || { total: 0, success: 0 };
+    let key = sample.record_type ? `${sample.hostname} ${sample.record_type}` : sample.hostname;
+    if (sample.uplink) {
+      key += ` via ${sample.uplink}`;
+    }
+    if (showResolver) {
+      key += ` @ ${sample.resolver_name}`;
+    }
+    const current = summary.get(key) || { total: 0, success: 0, mismatches: [] };
     current.total += 1;
     current.success += sample.success ? 1 : 0;
+    if (sample.error_code === "DNS_MISMATCH") {
+      current.mismatches.push(sample.error_detail);
+    }
     summary.set(key, current);
   }
 
@@ -24,6 +34,9 @@ async function main() {
   for (const [hostname, stats] of summary.entries()) {
     const successText = `${stats.success}/${stats.total} succeeded`;
     console.log(`  - ${hostname}: ${successText}`);
+    for (const reason of stats.mismatches) {
+      console.log(`      ${reason}`);
+    }
   }
 }
 
@@ -2,21 +2,24 @@ import { getHttpSettings, measureCycle } from "../collectors/http.js";
 
 async function main() {
   const settings = getHttpSettings();
-  const urls = settings.urls;
+  if (settings.checksFileError) {
+    console.warn(`[http:once] HTTP_CHECKS_FILE: ${settings.checksFileError}`);
+  }
 
-  if (!urls.length) {
+  if (!settings.urls.length) {
     console.log("[http:once] No URLs configured. Nothing to do.");
     return;
   }
 
-  const samples = await measureCycle(urls);
+  const samples = await measureCycle(settings.checks);
   const summary = new Map();
 
   for (const sample of samples) {
-    const key = sample.url;
-    const current = summary.get(key) || { total: 0, success: 0 };
+    const key = sample.uplink ? `${sample.url} via ${sample.uplink}` : sample.url;
+    const current = summary.get(key) || { total: 0, success: 0, failures: [] };
     current.total += 1;
     current.success += sample.success ? 1 : 0;
+    current.failures.push(...(sample.assertion_failures ?? []));
     summary.set(key, current);
   }
 
@@ -24,6 +27,9 @@ async function main() {
   for (const [url, stats] of summary.entries()) {
     const successText = `${stats.success}/${stats.total} succeeded`;
     console.log(`  - ${url}: ${successText}`);
+    for (const reason of stats.failures) {
+      console.log(`      ${reason}`);
+    }
   }
 }
 
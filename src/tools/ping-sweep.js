@@ -0,0 +1,43 @@
+import { getSweepSettings, measureOnce } from "../collectors/ping-sweep.js";
+
+function formatRate(bps) {
+  return bps >= 1e6 ? `${(bps / 1e6).toFixed(1)} Mbit/s` : `${(bps / 1e3).toFixed(0)} kbit/s`;
+}
+
+async function main() {
+  const settings = getSweepSettings();
+  const series = settings.series;
+
+  if (!series.length) {
+    console.log("[ping:sweep] No targets configured. Nothing to do.");
+    return;
+  }
+
+  console.log(
+    `[ping:sweep] Sweeping ${settings.sizes.join("/")} byte payloads, ${settings.count} pings each.`
+  );
+  for (const entry of series) {
+    const sweep = await measureOnce(entry, { settings });
+    if (!sweep.success) {
+      console.log(`  - ${entry.id}: failed: ${sweep.error_code}`);
+      continue;
+    }
+    const points = sweep.points
+      .map((point) =>
+        Number.isFinite(point.rtt_min_ms)
+          ? `${point.payload_bytes}B=${point.rtt_min_ms.toFixed(2)}ms`
+          : `${point.payload_bytes}B=lost`
+      )
+      .join(" ");
+    const r2 = Number.isFinite(sweep.r2) ? sweep.r2.toFixed(2) : "n/a";
+    const rate = Number.isFinite(sweep.bandwidth_bps)
+      ? `~${formatRate(sweep.bandwidth_bps)}`
+      : "no positive slope";
+    console.log(`  - ${entry.id}: ${points} → ${rate} (r²=${r2})`);
+  }
+}
+
+main().catch((error) => {
+  console.error("[ping:sweep] Unexpected error:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,31 @@
+import { getPmtuSettings, measureOnce } from "../collectors/pmtu.js";
+
+async function main() {
+  const settings = getPmtuSettings();
+  const series = settings.series;
+
+  if (!series.length) {
+    console.log("[pmtu:once] No targets configured. Nothing to do.");
+    return;
+  }
+
+  console.log(
+    `[pmtu:once] Probing ${series.length} target${series.length === 1 ? "" : "s"} ` +
+      `(${settings.minBytes}-${settings.maxBytes} bytes).`
+  );
+  for (const entry of series) {
+    const sample = await measureOnce(entry, { settings });
+    const address = sample.resolved_ip ? ` (${sample.resolved_ip})` : "";
+    const outcome = sample.success
+      ? `path MTU ${sample.pmtu_bytes} bytes`
+      : `failed: ${sample.error_code}${sample.error_detail ? ` - ${sample.error_detail}` : ""}`;
+    console.log(
+      `  - ${entry.id}${address}: ${outcome} after ${sample.probes} probe${sample.probes === 1 ? "" : "s"}`
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error("[pmtu:once] Unexpected error:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,112 @@
+import { createRequire } from "module";
+import { getSystemErrorName } from "util";
+
+// DSCP (Differentiated Services) classes for marked probes. A ping series listed in PING_DSCP (or a
+// target's "dscp") gets one extra series per class, e.g. host@ef, whose probes carry that
+// codepoint; the unmarked series is the best-effort baseline the marked ones are compared with.
+
+export const DSCP_CLASSES = Object.freeze({
+  be: 0,
+  cs1: 8,
+  af11: 10,
+  af12: 12,
+  af13: 14,
+  cs2: 16,
+  af21: 18,
+  af22: 20,
+  af23: 22,
+  cs3: 24,
+  af31: 26,
+  af32: 28,
+  af33: 30,
+  cs4: 32,
+  af41: 34,
+  af42: 36,
+  af43: 38,
+  cs5: 40,
+  va: 44,
+  ef: 46,
+  cs6: 48,
+  cs7: 56,
+});
+
+// "cs0" and "default" are common spellings of best effort.
+const ALIASES = Object.freeze({ cs0: "be", default: "be" });
+
+export function isDscpClassName(value) {
+  const name = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return Object.prototype.hasOwnProperty.call(DSCP_CLASSES, ALIASES[name] ?? name);
+}
+
+// Parses a class name ("EF", "af41") or a codepoint (0-63) into { name, value }, or null.
+// Codepoints without a class name are named "dscp<value>".
+export function parseDscpClass(raw) {
+  const text = String(raw ?? "")
+    .trim()
+    .toLowerCase();
+  if (!text) {
+    return null;
+  }
+  const name = ALIASES[text] ?? text;
+  if (Object.prototype.hasOwnProperty.call(DSCP_CLASSES, name)) {
+    return { name, value: DSCP_CLASSES[name] };
+  }
+  if (!/^\d+$/.test(text)) {
+    return null;
+  }
+  const value = Number.parseInt(text, 10);
+  if (value > 63) {
+    return null;
+  }
+  const known = Object.keys(DSCP_CLASSES).find((key) => DSCP_CLASSES[key] === value);
+  return { name: known ?? `dscp${value}`, value };
+}
+
+// The DSCP occupies the upper six bits of the IPv4 TOS / IPv6 traffic class byte.
+export function dscpToTos(value) {
+  return (value & 0x3f) << 2;
+}
+
+// IP_TOS / IPV6_TCLASS option numbers per platform.
+const TOS_OPTIONS = {
+  linux: { v4: [0, 1], v6: [41, 67] },
+  darwin: { v4: [0, 3], v6: [41, 36] },
+};
+
+// setsockopt comes from the optional "sockopt" addon; without it (or on Windows, where handles
+// expose no descriptor) TCP probes go out unmarked.
+const sockopt = loadSockopt();
+
+function loadSockopt() {
+  if (!TOS_OPTIONS[process.platform]) {
+    return null;
+  }
+  try {
+    return createRequire(import.meta.url)("sockopt");
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether TCP sockets can be marked.
+export function canMarkTcp() {
+  return sockopt !== null;
+}
+
+// Marks a net.Socket right after socket.connect() so the SYN already carries the codepoint. Node
+// only creates the handle inside connect() and connects on a later tick, and the descriptor only
+// exists once the handle is bound, so this binds it first (to localAddress or the wildcard
+// address); connect() must therefore be called without localAddress. Throws on bind failures.
+export function markConnectingSocket(socket, { dscp, family, localAddress = null }) {
+  const handle = socket._handle;
+  const address = localAddress ?? (family === "v6" ? "::" : "0.0.0.0");
+  const err = family === "v6" ? handle.bind6(address, 0, 0) : handle.bind(address, 0);
+  if (err) {
+    const code = getSystemErrorName(err);
+    throw Object.assign(new Error(`bind ${code} ${address}`), { code });
+  }
+  const [level, option] = TOS_OPTIONS[process.platform][family === "v6" ? "v6" : "v4"];
+  sockopt.setsockopt(socket, level, option, dscpToTos(dscp));
+}
@@ -0,0 +1,137 @@
+// Normalized failure reasons stored as error_code on ping, DNS and HTTP samples, so a failed
+// sample says why it failed (host down vs. broken DNS vs. TLS problem) instead of just success = 0.
+
+export const ERROR_CODES = Object.freeze({
+  TIMEOUT: "TIMEOUT",
+  ABORTED: "ABORTED",
+  ECONNREFUSED: "ECONNREFUSED",
+  ECONNRESET: "ECONNRESET",
+  EHOSTUNREACH: "EHOSTUNREACH",
+  ENETUNREACH: "ENETUNREACH",
+  ENOTFOUND: "ENOTFOUND",
+  EAI_AGAIN: "EAI_AGAIN",
+  DNS_SERVFAIL: "DNS_SERVFAIL",
+  DNS_REFUSED: "DNS_REFUSED",
+  DNS_NODATA: "DNS_NODATA",
+  DNS_MISMATCH: "DNS_MISMATCH",
+  HTTP_ASSERTION: "HTTP_ASSERTION",
+  TLS_ERROR: "TLS_ERROR",
+  PROTOCOL_ERROR: "PROTOCOL_ERROR",
+  TTL_EXCEEDED: "TTL_EXCEEDED",
+  PERMISSION_DENIED: "PERMISSION_DENIED",
+  INVALID_TARGET: "INVALID_TARGET",
+  PING_UNAVAILABLE: "PING_UNAVAILABLE",
+  UNKNOWN: "UNKNOWN",
+});
+
+const MAX_DETAIL_LENGTH = 200;
+
+const CODE_ALIASES = new Map([
+  ["ETIMEDOUT", ERROR_CODES.TIMEOUT],
+  ["ETIMEOUT", ERROR_CODES.TIMEOUT],
+  ["ESOCKETTIMEDOUT", ERROR_CODES.TIMEOUT],
+  ["DNS_LOOKUP_TIMEOUT", ERROR_CODES.TIMEOUT],
+  ["ABORT_ERR", ERROR_CODES.ABORTED],
+  ["ECONNREFUSED", ERROR_CODES.ECONNREFUSED],
+  ["ECONNRESET", ERROR_CODES.ECONNRESET],
+  ["EPIPE", ERROR_CODES.ECONNRESET],
+  ["EHOSTUNREACH", ERROR_CODES.EHOSTUNREACH],
+  ["EHOSTDOWN", ERROR_CODES.EHOSTUNREACH],
+  ["ENETUNREACH", ERROR_CODES.ENETUNREACH],
+  ["ENETDOWN", ERROR_CODES.ENETUNREACH],
+  ["ENOTFOUND", ERROR_CODES.ENOTFOUND],
+  ["EAI_NONAME", ERROR_CODES.ENOTFOUND],
+  ["EAI_AGAIN", ERROR_CODES.EAI_AGAIN],
+  ["EAI_FAIL", ERROR_CODES.DNS_SERVFAIL],
+  ["ESERVFAIL", ERROR_CODES.DNS_SERVFAIL],
+  ["EREFUSED", ERROR_CODES.DNS_REFUSED],
+  ["ENODATA", ERROR_CODES.DNS_NODATA],
+  ["EAI_NODATA", ERROR_CODES.DNS_NODATA],
+  ["EPERM", ERROR_CODES.PERMISSION_DENIED],
+  ["EACCES", ERROR_CODES.PERMISSION_DENIED],
+  ["ERR_INVALID_URL", ERROR_CODES.INVALID_TARGET],
+  ["ERR_INVALID_ARG_VALUE", ERROR_CODES.INVALID_TARGET],
+]);
+
+const TLS_CODE_PATTERN =
+  /^(ERR_TLS_|ERR_SSL_|ERR_OSSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_SELF_SIGNED_CERT|SELF_SIGNED_CERT_IN_CHAIN|HOSTNAME_MISMATCH)/;
+
+// Failure messages printed by Linux, macOS and Windows ping, most specific first.
+const PING_OUTPUT_PATTERNS = [
+  [/temporary failure in name resolution/i, ERROR_CODES.EAI_AGAIN],
+  [
+    /unknown host|name or service not known|cannot resolve|could not find host|no address associated/i,
+    ERROR_CODES.ENOTFOUND,
+  ],
+  [/network is unreachable|destination net unreachable|general failure/i, ERROR_CODES.ENETUNREACH],
+  [/host unreachable|destination host unreachable|no route to host/i, ERROR_CODES.EHOSTUNREACH],
+  [/time to live exceeded|ttl expired/i, ERROR_CODES.TTL_EXCEEDED],
+  [/operation not permitted|permission denied/i, ERROR_CODES.PERMISSION_DENIED],
+  [/100(?:\.0)?% packet loss|request timed out|\b0 (?:packets )?received/i, ERROR_CODES.TIMEOUT],
+];
+
+export function truncateDetail(value) {
+  const text = String(value ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) {
+    return null;
+  }
+  return text.length > MAX_DETAIL_LENGTH ? `${text.slice(0, MAX_DETAIL_LENGTH - 1)}…` : text;
+}
+
+// Maps a Node error (socket, dns, http, tls) to { code, detail }. `timedOut` and `aborted` come
+// from the caller's own timers, which usually destroy the request with a generic error.
+export function classifyError(error, { timedOut = false, aborted = false } = {}) {
+  const detail = truncateDetail(error?.message ?? (error ? String(error) : null));
+  if (timedOut) {
+    return { code: ERROR_CODES.TIMEOUT, detail };
+  }
+  if (aborted || error?.name === "AbortError") {
+    return { code: ERROR_CODES.ABORTED, detail };
+  }
+
+  const rawCode = typeof error?.code === "string" ? error.code : "";
+  if (CODE_ALIASES.has(rawCode)) {
+    return { code: CODE_ALIASES.get(rawCode), detail };
+  }
+  if (TLS_CODE_PATTERN.test(rawCode) || (rawCode === "EPROTO" && /ssl|tls/i.test(detail ?? ""))) {
+    return { code: ERROR_CODES.TLS_ERROR, detail };
+  }
+  if (rawCode.startsWith("HPE_")) {
+    return { code: ERROR_CODES.PROTOCOL_ERROR, detail };
+  }
+  if (/^E[A-Z0-9_]+$/.test(rawCode)) {
+    return { code: rawCode, detail };
+  }
+  return { code: ERROR_CODES.UNKNOWN, detail };
+}
+
+// Classifies a failed system ping run ({ output, timedOut, aborted, error }) from its exit path
+// and the diagnostic line it printed.
+export function classifyPingFailure({ output, timedOut = false, aborted = false, error } = {}) {
+  if (aborted) {
+    return { code: ERROR_CODES.ABORTED, detail: null };
+  }
+  if (error) {
+    if (error.code === "ENOENT") {
+      return { code: ERROR_CODES.PING_UNAVAILABLE, detail: truncateDetail(error.message) };
+    }
+    return classifyError(error, { timedOut });
+  }
+
+  const lines = String(output ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  for (const [pattern, code] of PING_OUTPUT_PATTERNS) {
+    const line = lines.find((candidate) => pattern.test(candidate));
+    if (line) {
+      return { code, detail: truncateDetail(line) };
+    }
+  }
+  if (timedOut) {
+    return { code: ERROR_CODES.TIMEOUT, detail: null };
+  }
+  return { code: ERROR_CODES.UNKNOWN, detail: truncateDetail(lines[lines.length - 1]) };
+}
@@ -0,0 +1,126 @@
+import { execFile } from "child_process";
+import fs from "fs";
+import net from "net";
+
+// Default-gateway discovery for the implicit LAN target (PING_GATEWAY). Without the router in the
+// target list a loss spike cannot be pinned on the LAN or on the ISP, so the ping collector probes
+// the gateway as the "gateway" series. Linux reads /proc/net/route and falls back to `ip route`;
+// macOS/BSD use `route -n get default` and Windows `route print`. Only IPv4 is covered: IPv6
+// default routes point at link-local addresses that need an interface scope to be pinged.
+
+export const GATEWAY_SERIES_ID = "gateway";
+export const GATEWAY_TAG = "gateway";
+
+const ROUTE_FILE = "/proc/net/route";
+const COMMAND_TIMEOUT_MS = 3000;
+const RTF_UP = 0x1;
+const RTF_GATEWAY = 0x2;
+
+// /proc/net/route stores addresses as little-endian hex, e.g. 0101A8C0 for 192.168.1.1.
+function hexToIpv4(hex) {
+  const value = Number.parseInt(hex, 16);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff].join(
+    "."
+  );
+}
+
+// Picks the usable default route with the lowest metric: { address, iface } or null.
+export function parseProcNetRoute(text) {
+  let best = null;
+  for (const line of String(text ?? "")
+    .split("\n")
+    .slice(1)) {
+    const [iface, destination, gateway, flags, , , metric, mask] = line.trim().split(/\s+/);
+    const flagBits = Number.parseInt(flags, 16);
+    if (
+      destination !== "00000000" ||
+      mask !== "00000000" ||
+      !(flagBits & RTF_UP) ||
+      !(flagBits & RTF_GATEWAY)
+    ) {
+      continue;
+    }
+    const address = hexToIpv4(gateway);
+    const routeMetric = Number.parseInt(metric, 10) || 0;
+    if (address && address !== "0.0.0.0" && (!best || routeMetric < best.metric)) {
+      best = { address, iface, metric: routeMetric };
+    }
+  }
+  return best ? { address: best.address, iface: best.iface } : null;
+}
+
+// `ip -4 route show default`: "default via 192.168.1.1 dev eth0 proto dhcp metric 100".
+export function parseIpRoute(text) {
+  let best = null;
+  for (const line of String(text ?? "").split("\n")) {
+    const via = /\bvia\s+(\S+)/.exec(line);
+    if (!via || !net.isIPv4(via[1])) {
+      continue;
+    }
+    const metric = Number.parseInt(/\bmetric\s+(\d+)/.exec(line)?.[1] ?? "0", 10);
+    if (!best || metric < best.metric) {
+      best = { address: via[1], iface: /\bdev\s+(\S+)/.exec(line)?.[1] ?? null, metric };
+    }
+  }
+  return best ? { address: best.address, iface: best.iface } : null;
+}
+
+// `route -n get default` (macOS/BSD): "gateway: 192.168.1.1" and "interface: en0" lines.
+export function parseBsdRoute(text) {
+  const address = /^\s*gateway:\s*(\S+)/m.exec(String(text ?? ""))?.[1] ?? null;
+  if (!net.isIPv4(address ?? "")) {
+    return null;
+  }
+  return { address, iface: /^\s*interface:\s*(\S+)/m.exec(String(text ?? ""))?.[1] ?? null };
+}
+
+// `route print -4 0.0.0.0` (Windows): "0.0.0.0  0.0.0.0  192.168.1.1  192.168.1.100  25".
+export function parseWindowsRoute(text) {
+  let best = null;
+  for (const line of String(text ?? "").split("\n")) {
+    const columns = line.trim().split(/\s+/);
+    if (columns.length < 5 || columns[0] !== "0.0.0.0" || columns[1] !== "0.0.0.0") {
+      continue;
+    }
+    const [, , address, iface, metric] = columns;
+    const routeMetric = Number.parseInt(metric, 10) || 0;
+    if (net.isIPv4(address) && (!best || routeMetric < best.metric)) {
+      best = { address, iface, metric: routeMetric };
+    }
+  }
+  return best ? { address: best.address, iface: best.iface } : null;
+}
+
+function runCommand(command, args) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: COMMAND_TIMEOUT_MS, windowsHide: true }, (error, stdout) => {
+      resolve(error ? null : String(stdout ?? ""));
+    });
+  });
+}
+
+// Resolves { address, iface, source } for the current IPv4 default gateway, or null when there is
+// no default route (or no way to read it on this platform). `source` names where it was found.
+export async function discoverGateway() {
+  if (process.platform === "linux") {
+    try {
+      const found = parseProcNetRoute(await fs.promises.readFile(ROUTE_FILE, "utf8"));
+      if (found) {
+        return { ...found, source: ROUTE_FILE };
+      }
+    } catch (error) {
+      // Containers and hardened kernels may hide /proc/net/route; try the ip command instead.
+    }
+    const found = parseIpRoute(await runCommand("ip", ["-4", "route", "show", "default"]));
+    return found ? { ...found, source: "ip route" } : null;
+  }
+  if (process.platform === "win32") {
+    const found = parseWindowsRoute(await runCommand("route", ["print", "-4", "0.0.0.0"]));
+    return found ? { ...found, source: "route print" } : null;
+  }
+  const found = parseBsdRoute(await runCommand("route", ["-n", "get", "default"]));
+  return found ? { ...found, source: "route get" } : null;
+}
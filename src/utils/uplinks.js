@@ -0,0 +1,82 @@
+import net from "net";
+import os from "os";
+import { isDscpClassName } from "./dscp.js";
+
+// Multi-WAN source binding. UPLINKS=wanA=eth0,wanB=192.168.2.10 names the interface or local
+// address each uplink leaves through; the collectors take a list of those labels (PING_UPLINKS,
+// DNS_UPLINKS, HTTP_UPLINKS, TRACEROUTE_UPLINKS) and keep one series per label, stored in the
+// `uplink` column of their samples. Binding to an address only picks the uplink when the host
+// routes by source address; on Linux, ping and traceroute also accept an interface name directly.
+
+// "v4"/"v6" are series qualifiers for the address family, so they cannot name an uplink; DSCP class
+// names ("ef", "af41", ...) are rejected in parseUplinks for the same reason.
+const LABEL_PATTERN = /^(?!v[46]$)[A-Za-z0-9_-]+$/;
+
+// Parses UPLINKS into { label: interfaceOrAddress }. Malformed entries are skipped.
+export function parseUplinks(raw) {
+  const uplinks = {};
+  for (const entry of String(raw ?? "").split(",")) {
+    const separator = entry.indexOf("=");
+    if (separator <= 0) {
+      continue;
+    }
+    const label = entry.slice(0, separator).trim();
+    const source = entry.slice(separator + 1).trim();
+    if (LABEL_PATTERN.test(label) && !isDscpClassName(label) && source) {
+      uplinks[label] = source;
+    }
+  }
+  return uplinks;
+}
+
+// Splits a label list (comma string or array) into the labels defined in `uplinks` and the
+// unknown ones, so callers can warn about typos instead of silently probing the default route.
+export function resolveUplinkLabels(value, uplinks) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const labels = [];
+  const unknown = [];
+  for (const item of items) {
+    const label = String(item ?? "").trim();
+    if (!label || labels.includes(label) || unknown.includes(label)) {
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(uplinks ?? {}, label)) {
+      labels.push(label);
+    } else {
+      unknown.push(label);
+    }
+  }
+  return { labels, unknown };
+}
+
+export function isAddressSource(source) {
+  return net.isIP(String(source ?? "")) !== 0;
+}
+
+// Local address to bind sockets to for an uplink source: the address itself, or the first
+// address of the interface in the requested family ("v4", "v6" or null, which prefers IPv4).
+// IPv6 link-local addresses are skipped since they cannot reach remote hosts.
+export function resolveSourceAddress(source, family = null) {
+  const text = String(source ?? "").trim();
+  if (!text) {
+    return null;
+  }
+  if (isAddressSource(text)) {
+    return text;
+  }
+
+  const addresses = os.networkInterfaces()[text] ?? [];
+  const pick = (wanted) =>
+    addresses.find(
+      (entry) =>
+        (entry.family === wanted || entry.family === (wanted === "IPv4" ? 4 : 6)) &&
+        !(wanted === "IPv6" && /^fe80:/i.test(entry.address))
+    )?.address ?? null;
+  if (family === "v6") {
+    return pick("IPv6");
+  }
+  if (family === "v4") {
+    return pick("IPv4");
+  }
+  return pick("IPv4") ?? pick("IPv6");
+}
@@ -273,6 +273,7 @@ export function renderIndexPage(uiConfig, options = {}) {
       <section id="networkStatusBar" class="network-status" role="status" aria-live="polite">
         <!-- Barra de estado dinâmico da rede -->
         <span id="networkStatusText">Avaliando condições da rede…</span>
+        <strong id="faultVerdict" class="network-status__verdict" hidden></strong>
       </section>
 
       <main class="dashboard-layout" id="dashboardRoot">
@@ -286,6 +287,62 @@ export function renderIndexPage(uiConfig, options = {}) {
           <div id="latencyChart" class="chart chart-large" role="img" aria-label="Gráfico de RTT"></div>
         </section>
 
+        <section id="seriesComparePanel" class="panel series-compare-panel" aria-label="Comparação entre séries do alvo" hidden>
+          <div class="panel-header">
+            <h2>Comparação por série</h2>
+            <span class="panel-subtitle" id="seriesCompareMeta">—</span>
+          </div>
+          <div class="series-compare-wrapper">
+            <table id="seriesCompareTable" class="series-compare-table"></table>
+          </div>
+        </section>
+
+        <section id="dnsHostPanel" class="panel series-compare-panel" aria-label="DNS por hostname" hidden>
+          <div class="panel-header">
+            <h2>DNS por hostname</h2>
+            <span class="panel-subtitle">médias por janela · estado pelos limites de DNS</span>
+          </div>
+          <div class="series-compare-wrapper">
+            <table id="dnsHostTable" class="series-compare-table"></table>
+          </div>
+        </section>
+
+        <section id="dnsResolverPanel" class="panel series-compare-panel" aria-label="Comparação entre resolvedores DNS" hidden>
+          <div class="panel-header">
+            <h2>Resolvedores DNS</h2>
+            <span class="panel-subtitle">última hora · ordenados por falhas e p95</span>
+          </div>
+          <div class="series-compare-wrapper">
+            <table id="dnsResolverTable" class="series-compare-table"></table>
+          </div>
+        </section>
+
+        <section id="dnsIntegrityPanel" class="panel series-compare-panel" aria-label="Integridade das respostas DNS" hidden>
+          <div class="panel-header">
+            <h2>Integridade DNS</h2>
+            <span class="panel-subtitle">últimas 24 h · redirecionamento de NXDOMAIN e mudanças de resposta</span>
+          </div>
+          <div class="series-compare-wrapper">
+            <table id="dnsNxdomainTable" class="series-compare-table"></table>
+          </div>
+          <ul id="dnsIntegrityEvents" class="event-list" aria-live="polite"></ul>
+        </section>
+
+        <section id="httpPhasePanel" class="panel series-compare-panel" aria-label="Fases das requisições HTTP" hidden>
+          <div class="panel-header">
+            <h2>Fases HTTP</h2>
+            <span class="panel-subtitle">última requisição por URL na última hora</span>
+          </div>
+          <ul class="phase-legend" aria-hidden="true">
+            <li><span class="phase-swatch phase-dns"></span>DNS</li>
+            <li><span class="phase-swatch phase-connect"></span>Conexão</li>
+            <li><span class="phase-swatch phase-tls"></span>TLS</li>
+            <li><span class="phase-swatch phase-wait"></span>Espera</li>
+            <li><span class="phase-swatch phase-download"></span>Download</li>
+          </ul>
+          <ul id="httpPhaseList" class="phase-waterfall"></ul>
+        </section>
+
         <div class="detail-grid" role="region" aria-label="Detalhes complementares">
           <section class="panel panel-medium" aria-label="Heatmap RTT" data-heatmap-panel data-compact-hidden>
             <div class="panel-header">
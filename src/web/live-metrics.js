@@ -1,5 +1,7 @@
 import { EventEmitter } from "events";
 import { getRuntimeStateSnapshot as getPingRuntimeState } from "../collectors/ping.js";
+import { rankResolvers, summarizeCache } from "../collectors/dns.js";
+import { mapFaultVerdictRow } from "../collectors/fault-locator.js";
 import {
   getTargetSnapshot as getRealtimeWindowSnapshot,
   getAllTargets as getRealtimeWindowTargets,
@@ -65,6 +67,17 @@ function clampPercentage(value) {
   return num;
 }
 
+// Failure breakdown { error_code: count } over failed samples; rows recorded before error codes
+// existed count as UNKNOWN.
+function countErrorCodes(rows) {
+  const counts = {};
+  for (const row of rows) {
+    const code = typeof row?.error_code === "string" && row.error_code ? row.error_code : "UNKNOWN";
+    counts[code] = (counts[code] ?? 0) + 1;
+  }
+  return counts;
+}
+
 function extractPingTargets({ configTargets, runtimeTargets, windowTargets }) {
   const targets = new Set();
   if (Array.isArray(configTargets)) {
@@ -104,8 +117,10 @@ function sanitizeSampleEntry(entry) {
   const latencyCandidate = entry?.rtt_ms ?? entry?.rtt ?? entry?.latency_ms;
   const latencyValue = Number(latencyCandidate);
   const rttMs = success && Number.isFinite(latencyValue) && latencyValue >= 0 ? latencyValue : null;
+  const errorCode =
+    !success && typeof entry?.error_code === "string" && entry.error_code ? entry.error_code : null;
 
-  return { ts, success, rtt_ms: rttMs };
+  return { ts, success, rtt_ms: rttMs, error_code: errorCode };
 }
 
 function collectSampleEntries({ snapshotRecent, fallbackRows, maxEntries }) {
@@ -146,6 +161,7 @@ function computeWindowStatsFromSamples(samples, windowMs, now) {
       avg_ms: null,
       loss_pct: null,
       disponibilidade_pct: null,
+      errors: {},
     };
   }
 
@@ -160,6 +176,7 @@ function computeWindowStatsFromSamples(samples, windowMs, now) {
       avg_ms: null,
       loss_pct: null,
       disponibilidade_pct: null,
+      errors: {},
     };
   }
 
@@ -184,6 +201,7 @@ function computeWindowStatsFromSamples(samples, windowMs, now) {
     avg_ms: Number.isFinite(avgMs) ? avgMs : null,
     loss_pct: lossPct,
     disponibilidade_pct: availability,
+    errors: countErrorCodes(windowSamples.filter((sample) => !sample?.success)),
   };
 }
 
@@ -212,6 +230,7 @@ function buildWindowEntries(windowDefs, { samples, now, minSamples }) {
       disponibilidade_pct: availability,
       availability_pct: availability,
       status: count >= safeMinSamples ? "ok" : "insufficient",
+      errors: stats?.errors ?? {},
       duration_ms: Number.isFinite(windowMs) && windowMs > 0 ? windowMs : null,
     };
   }
@@ -221,6 +240,7 @@ function buildWindowEntries(windowDefs, { samples, now, minSamples }) {
 function computePingMetrics({
   now,
   configTargets,
+  targetDefinitions,
   runtimeState,
   staleThresholdMs,
   windowDefs,
@@ -238,6 +258,12 @@ function computePingMetrics({
     windowTargets,
   });
 
+  // Series definitions are keyed by series id (host, or host@v4/host@v6 in dual-stack mode).
+  const definitionsByTarget = new Map(
+    (Array.isArray(targetDefinitions) ? targetDefinitions : [])
+      .filter((definition) => definition?.id ?? definition?.host)
+      .map((definition) => [definition.id ?? definition.host, definition])
+  );
   const payload = {};
   const staleLimit = Number.isFinite(staleThresholdMs) ? Math.max(0, staleThresholdMs) : 10000;
 
@@ -272,6 +298,7 @@ function computePingMetrics({
       ts: entry.ts,
       success: Boolean(entry.success),
       rtt_ms: entry.success && Number.isFinite(entry.rtt_ms) ? entry.rtt_ms : null,
+      error_code: entry.error_code,
     }));
 
     const lastEntry = samples.length > 0 ? samples[samples.length - 1] : null;
@@ -280,6 +307,7 @@ function computePingMetrics({
           ts: lastEntry.ts,
           up: lastEntry.success ? 1 : 0,
           rtt_ms: lastEntry.success ? lastEntry.rtt_ms : null,
+          error_code: lastEntry.error_code,
         }
       : null;
 
@@ -310,6 +338,23 @@ function computePingMetrics({
       mode: typeof runtimeInfo?.mode === "string" && runtimeInfo.mode ? runtimeInfo.mode : null,
     };
 
+    // Labels from the targets file; the collector runtime state wins when both are present.
+    const definition = definitionsByTarget.get(target) ?? null;
+    entry.host = runtimeInfo?.host ?? definition?.host ?? target;
+    entry.family = runtimeInfo?.family ?? definition?.family ?? runtimeInfo?.resolvedFamily ?? null;
+    entry.resolved_ip = runtimeInfo?.resolvedIp ?? null;
+    // Current probe interval, shorter than the configured one while the adaptive rate is engaged.
+    entry.interval_ms = runtimeInfo?.effectiveIntervalMs ?? null;
+    entry.uplink = definition?.uplink ?? null;
+    entry.dscp_class = definition?.dscpClass ?? null;
+    entry.name = runtimeInfo?.name ?? definition?.name ?? null;
+    entry.group = runtimeInfo?.group ?? definition?.group ?? null;
+    entry.tags = Array.isArray(runtimeInfo?.tags)
+      ? runtimeInfo.tags
+      : Array.isArray(definition?.tags)
+        ? definition.tags
+        : [];
+
     if (runtimeInfo) {
       entry.state = {
         consecutiveFailures: Number.isFinite(runtimeInfo.consecutiveFailures)
@@ -337,7 +382,7 @@ function extractDnsEntries(rows, valueKey, successKey) {
     .sort((a, b) => a.ts - b.ts);
 }
 
-// Builds rolling averages for DNS measurements within the live metrics window.
+// Builds rolling averages and p95 for DNS measurements within the live metrics window.
 // Invoked per mode (hot/cold) each time we push an SSE payload.
 function buildDnsStats(entries, now) {
   const stats = {
@@ -346,6 +391,10 @@ function buildDnsStats(entries, now) {
     win5m_avg_ms: null,
     win15m_avg_ms: null,
     win60m_avg_ms: null,
+    win1m_p95_ms: null,
+    win5m_p95_ms: null,
+    win15m_p95_ms: null,
+    win60m_p95_ms: null,
     samples: 0,
   };
 
@@ -367,27 +416,88 @@ function buildDnsStats(entries, now) {
   stats.win5m_avg_ms = average(collect(cutoff5m));
   stats.win15m_avg_ms = average(collect(cutoff15m));
   stats.win60m_avg_ms = average(collect(cutoff60m));
+  stats.win1m_p95_ms = computePercentile(collect(cutoff1m), 0.95);
+  stats.win5m_p95_ms = computePercentile(collect(cutoff5m), 0.95);
+  stats.win15m_p95_ms = computePercentile(collect(cutoff15m), 0.95);
+  stats.win60m_p95_ms = computePercentile(collect(cutoff60m), 0.95);
   stats.samples = entries.length;
 
   return stats;
 }
 
-function computeDnsMetrics(rows, now) {
+// Failure breakdown per live window (1m/5m/15m/60m) for DNS and HTTP samples.
+function buildErrorWindows(rows, now) {
+  const failed = rows.filter((row) => Number(row.success) !== 1);
+  const collect = (cutoff) => countErrorCodes(failed.filter((row) => Number(row.ts) >= cutoff));
+  return {
+    "1m": collect(now - MINUTE_MS),
+    "5m": collect(now - 5 * MINUTE_MS),
+    "15m": collect(now - 15 * MINUTE_MS),
+    "60m": collect(now - HOUR_MS),
+  };
+}
+
+// Hot and cold stats for a set of DNS samples; the top-level fields follow cold lookups when
+// there are any (`mode`), hot lookups otherwise.
+function buildDnsModeStats(rows, now) {
   const coldEntries = extractDnsEntries(rows, "lookup_ms_cold", "success_cold");
   const hotEntries = extractDnsEntries(rows, "lookup_ms_hot", "success_hot");
   const fallbackEntries = coldEntries.length > 0 ? coldEntries : hotEntries;
 
-  const coldStats = buildDnsStats(coldEntries, now);
-  const hotStats = buildDnsStats(hotEntries, now);
-  const primaryStats = buildDnsStats(fallbackEntries, now);
+  return {
+    ...buildDnsStats(fallbackEntries, now),
+    mode: coldEntries.length > 0 ? "cold" : "hot",
+    cold: buildDnsStats(coldEntries, now),
+    hot: buildDnsStats(hotEntries, now),
+  };
+}
+
+function groupRowsBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    const list = groups.get(key) ?? [];
+    list.push(row);
+    groups.set(key, list);
+  }
+  return groups;
+}
 
+// Per-hostname stats, each with its failures and a per-resolver breakdown (resolver_name, or
+// "system" for samples without one).
+function buildDnsHostnames(rows, now) {
+  const hostnames = {};
+  for (const [hostname, hostRows] of groupRowsBy(rows, (row) => row.hostname)) {
+    if (!hostname) {
+      continue;
+    }
+    const resolvers = {};
+    for (const [resolver, resolverRows] of groupRowsBy(
+      hostRows,
+      (row) => row.resolver_name ?? "system"
+    )) {
+      resolvers[resolver] = buildDnsModeStats(resolverRows, now);
+    }
+    hostnames[hostname] = {
+      ...buildDnsModeStats(hostRows, now),
+      errors: buildErrorWindows(hostRows, now),
+      resolvers,
+    };
+  }
+  return hostnames;
+}
+
+function computeDnsMetrics(rows, now) {
   return {
     aggregate: {
-      ...primaryStats,
-      mode: coldEntries.length > 0 ? "cold" : "hot",
-      cold: coldStats,
-      hot: hotStats,
+      ...buildDnsModeStats(rows, now),
+      errors: buildErrorWindows(rows, now),
+      // Per-hostname cache hit estimate and TTLs over the last hour.
+      cache: summarizeCache(rows),
     },
+    hostnames: buildDnsHostnames(rows, now),
+    // Rows cover the last hour, so the ranking is over 60 minutes.
+    resolvers: rankResolvers(rows),
   };
 }
 
@@ -433,6 +543,7 @@ function computeHttpMetrics(rows, now) {
     aggregate: {
       ttfb: collectMetric("ttfb_ms"),
       total: collectMetric("total_ms"),
+      errors: buildErrorWindows(rows, now),
     },
   };
 }
@@ -445,6 +556,9 @@ class LiveMetricsBroadcaster extends EventEmitter {
     const interval = Number(this.config.pushIntervalMs ?? 2000);
     this.intervalMs = Number.isFinite(interval) && interval > 0 ? interval : 2000;
     this.pingTargets = Array.isArray(this.config.pingTargets) ? this.config.pingTargets : [];
+    this.pingTargetDefinitions = Array.isArray(this.config.pingTargetDefinitions)
+      ? this.config.pingTargetDefinitions
+      : [];
     this.staleThresholdMs =
       Number.isFinite(this.config.staleMs) && this.config.staleMs >= 0
         ? Number(this.config.staleMs)
@@ -468,13 +582,16 @@ class LiveMetricsBroadcaster extends EventEmitter {
     }
     return {
       pingRecentByTarget: this.db.prepare(
-        "SELECT ts, success, rtt_ms FROM ping_sample WHERE target = ? AND ts >= ? ORDER BY ts ASC"
+        "SELECT ts, success, rtt_ms, error_code FROM ping_sample WHERE target = ? AND ts >= ? ORDER BY ts ASC"
       ),
       dnsRecent: this.db.prepare(
-        "SELECT ts, lookup_ms, lookup_ms_hot, lookup_ms_cold, success, success_hot, success_cold FROM dns_sample WHERE ts >= ? ORDER BY ts ASC"
+        "SELECT ts, hostname, resolver, resolver_name, protocol, lookup_ms, lookup_ms_hot, lookup_ms_cold, ttl_s, udp_ms, udp_truncated, tcp_ms, tcp_success, success, success_hot, success_cold, error_code FROM dns_sample WHERE ts >= ? ORDER BY ts ASC"
       ),
       httpRecent: this.db.prepare(
-        "SELECT ts, ttfb_ms, total_ms, success FROM http_sample WHERE ts >= ? ORDER BY ts ASC"
+        "SELECT ts, ttfb_ms, total_ms, success, error_code FROM http_sample WHERE ts >= ? ORDER BY ts ASC"
+      ),
+      faultLatest: this.db.prepare(
+        "SELECT ts, verdict, lan_status, isp_status, internet_status, isp_hop, affected_json FROM fault_verdict ORDER BY ts DESC LIMIT 1"
       ),
     };
   }
@@ -591,6 +708,10 @@ class LiveMetricsBroadcaster extends EventEmitter {
           win5m_avg_ms: null,
           win15m_avg_ms: null,
           win60m_avg_ms: null,
+          win1m_p95_ms: null,
+          win5m_p95_ms: null,
+          win15m_p95_ms: null,
+          win60m_p95_ms: null,
           samples: 0,
           mode: "cold",
           cold: {
@@ -599,6 +720,10 @@ class LiveMetricsBroadcaster extends EventEmitter {
             win5m_avg_ms: null,
             win15m_avg_ms: null,
             win60m_avg_ms: null,
+            win1m_p95_ms: null,
+            win5m_p95_ms: null,
+            win15m_p95_ms: null,
+            win60m_p95_ms: null,
             samples: 0,
           },
           hot: {
@@ -607,9 +732,17 @@ class LiveMetricsBroadcaster extends EventEmitter {
             win5m_avg_ms: null,
             win15m_avg_ms: null,
             win60m_avg_ms: null,
+            win1m_p95_ms: null,
+            win5m_p95_ms: null,
+            win15m_p95_ms: null,
+            win60m_p95_ms: null,
             samples: 0,
           },
+          errors: {},
+          cache: {},
         },
+        hostnames: {},
+        resolvers: [],
       },
       http: {
         aggregate: {
@@ -629,6 +762,7 @@ class LiveMetricsBroadcaster extends EventEmitter {
             win60m_avg_ms: null,
             samples: 0,
           },
+          errors: {},
         },
       },
     };
@@ -652,6 +786,7 @@ class LiveMetricsBroadcaster extends EventEmitter {
     const ping = computePingMetrics({
       now,
       configTargets: this.pingTargets,
+      targetDefinitions: this.pingTargetDefinitions,
       runtimeState,
       staleThresholdMs: this.staleThresholdMs,
       windowDefs: this.windowDefinitions,
@@ -666,11 +801,14 @@ class LiveMetricsBroadcaster extends EventEmitter {
       : [];
     const http = computeHttpMetrics(httpRows, now);
 
+    const faultRow = this.statements.faultLatest ? this.statements.faultLatest.get() : null;
+
     return {
       ts: now,
       ping,
       dns,
       http,
+      fault: faultRow ? mapFaultVerdictRow(faultRow) : null,
     };
   }
 
@@ -15,6 +15,9 @@ function toPositiveInt(value, fallback) {
 const LIVE_ENDPOINTS = ["/v1/live/metrics", "/live/metrics"];
 const API_PING_WINDOW = ["/v1/api/ping/window", "/api/ping/window"];
 const API_TRACEROUTE_LATEST = ["/v1/api/traceroute/latest", "/api/traceroute/latest"];
+const API_EVENTS = ["/v1/api/events", "/api/events"];
+const API_DNS_INTEGRITY = ["/v1/api/dns/integrity", "/api/dns/integrity"];
+const API_HTTP = ["/v1/api/http", "/api/http"];
 const API_TRACEROUTE_BY_ID = (id) => [`/v1/api/traceroute/${id}`, `/api/traceroute/${id}`];
 
 const DEFAULT_FETCH_TIMEOUT_MS = toPositiveInt(
@@ -40,6 +43,8 @@ const TRACEROUTE_MAX_AGE_MIN = toPositiveInt(
   10
 );
 const EVENTS_LIMIT = 50;
+const TARGET_LABELS =
+  CONFIG.targetLabels && typeof CONFIG.targetLabels === "object" ? CONFIG.targetLabels : {};
 
 const LIVE_INACTIVITY_TIMEOUT_MS = toPositiveInt(
   CONFIG.LIVE_INACTIVITY_TIMEOUT_MS ?? CONFIG.liveInactivityTimeoutMs,
@@ -53,6 +58,21 @@ const WINDOW_OPTION_MAP = new Map(
 const MAX_RANGE_MINUTES = RANGE_OPTIONS.reduce((max, value) => (value > max ? value : max), 60);
 const HISTORY_LIMIT_MS = MAX_RANGE_MINUTES * 60 * 1000;
 const DNS_HISTORY_LIMIT_MS = 60 * 60 * 1000;
+const DNS_INTEGRITY_REFRESH_MS = 60 * 1000;
+const DNS_PROTOCOL_LABELS = { do53: "UDP/53", doh: "DoH", dot: "DoT" };
+const DNS_INTEGRITY_EVENTS_LIMIT = 8;
+const HTTP_PHASES_REFRESH_MS = 60 * 1000;
+// Request phases in the order they happen, as stored on http_sample.
+const HTTP_PHASES = [
+  { key: "dns_ms", label: "DNS" },
+  { key: "connect_ms", label: "Conexão" },
+  { key: "tls_ms", label: "TLS" },
+  { key: "wait_ms", label: "Espera" },
+  { key: "download_ms", label: "Download" },
+];
+const DNS_HOST_SPARKLINE_WIDTH = 120;
+const DNS_HOST_SPARKLINE_HEIGHT = 28;
+const SEVERITY_LABELS = { info: "ok", warn: "atenção", critical: "crítico" };
 const MIN_WINDOW_SAMPLES = 3;
 
 const GAUGE_COLOR_OK = "#3fb950";
@@ -107,6 +127,18 @@ function getWindowKeyFromRange(range) {
 }
 
 const severityRank = { info: 0, warn: 1, critical: 2 };
+// Headlines for the server-side fault localization verdict (collectors/fault-locator.js).
+const FAULT_VERDICT_LABELS = {
+  ok: "Sem degradação detectada",
+  lan: "Problema na rede local (gateway)",
+  isp: "Problema no acesso do provedor",
+  upstream: "Problema além do provedor (Internet)",
+  destination: "Problema em destino específico",
+  unknown: "Aguardando dados para localizar falhas",
+};
+const FAULT_PATH_VERDICTS = ["lan", "isp", "upstream"];
+// Verdicts older than this are hidden: the locator stopped or the ping collector is off.
+const FAULT_STALE_MS = 5 * 60 * 1000;
 const HEAT_BUCKETS = [0, 50, 100, 150, 200, 300, 500, 800, 1200];
 const HEAT_LABELS = [
   "<50 ms",
@@ -133,10 +165,17 @@ const state = {
   rangeMinutes: RANGE_OPTIONS[0],
   pingAggregates: new Map(),
   pingSamples: new Map(),
+  pingMarkers: new Map(),
+  fault: null,
   windowSummaries: new Map(),
   latestSampleTs: new Map(),
   dnsSeries: [],
   dnsLatest: null,
+  dnsResolvers: [],
+  dnsHostnames: {},
+  dnsHostSeries: new Map(),
+  dnsIntegrity: null,
+  httpPhases: [],
   httpTtfbSeries: [],
   httpTotalSeries: [],
   httpLatest: { ttfb: null, total: null },
@@ -150,6 +189,8 @@ const state = {
   tracerouteLoading: false,
   tracerouteExpanded: false,
   targetIndicators: new Map(),
+  targetLabels: new Map(),
+  liveSeries: {},
   viewportWidth: initialViewportWidth,
   compactMode: initialViewportWidth > 0 && initialViewportWidth < 1024,
 };
@@ -169,8 +210,21 @@ const refs = {
   tracerouteTrigger: document.getElementById("tracerouteTrigger"),
   networkStatusBar: document.getElementById("networkStatusBar"),
   networkStatusText: document.getElementById("networkStatusText"),
+  faultVerdict: document.getElementById("faultVerdict"),
   heatmapPanel: document.querySelector("[data-heatmap-panel]"),
   traceroutePanel: document.querySelector(".panel-traceroute"),
+  seriesComparePanel: document.getElementById("seriesComparePanel"),
+  seriesCompareTable: document.getElementById("seriesCompareTable"),
+  seriesCompareMeta: document.getElementById("seriesCompareMeta"),
+  dnsHostPanel: document.getElementById("dnsHostPanel"),
+  dnsHostTable: document.getElementById("dnsHostTable"),
+  dnsResolverPanel: document.getElementById("dnsResolverPanel"),
+  dnsResolverTable: document.getElementById("dnsResolverTable"),
+  dnsIntegrityPanel: document.getElementById("dnsIntegrityPanel"),
+  dnsNxdomainTable: document.getElementById("dnsNxdomainTable"),
+  dnsIntegrityEvents: document.getElementById("dnsIntegrityEvents"),
+  httpPhasePanel: document.getElementById("httpPhasePanel"),
+  httpPhaseList: document.getElementById("httpPhaseList"),
 };
 
 const windowLabelRefs = new Map();
@@ -350,6 +404,8 @@ let reconnectTimer = null;
 let renderScheduled = false;
 let heatmapNeedsRefresh = false;
 let eventsRefreshTimer = null;
+let dnsIntegrityTimer = null;
+let httpPhasesTimer = null;
 let liveInactivityTimer = null;
 let recoveryTimer = null;
 let latencyChartDirty = true;
@@ -491,6 +547,8 @@ function init() {
   scheduleRender();
   updateNetworkStatus();
   startEventsRefreshTimer();
+  startDnsIntegrityRefresh();
+  startHttpPhasesRefresh();
   window.addEventListener("resize", handleResize);
 }
 
@@ -1317,6 +1375,38 @@ function startEventsRefreshTimer() {
   });
 }
 
+function startDnsIntegrityRefresh() {
+  if (dnsIntegrityTimer) {
+    return;
+  }
+  fetchDnsIntegrity().catch(() => {});
+  dnsIntegrityTimer = window.setInterval(() => {
+    fetchDnsIntegrity().catch(() => {});
+  }, DNS_INTEGRITY_REFRESH_MS);
+  window.addEventListener("beforeunload", () => {
+    if (dnsIntegrityTimer) {
+      clearInterval(dnsIntegrityTimer);
+      dnsIntegrityTimer = null;
+    }
+  });
+}
+
+function startHttpPhasesRefresh() {
+  if (httpPhasesTimer) {
+    return;
+  }
+  fetchHttpPhases().catch(() => {});
+  httpPhasesTimer = window.setInterval(() => {
+    fetchHttpPhases().catch(() => {});
+  }, HTTP_PHASES_REFRESH_MS);
+  window.addEventListener("beforeunload", () => {
+    if (httpPhasesTimer) {
+      clearInterval(httpPhasesTimer);
+      httpPhasesTimer = null;
+    }
+  });
+}
+
 function clearLiveInactivityTimer() {
   if (liveInactivityTimer) {
     clearTimeout(liveInactivityTimer);
@@ -1458,6 +1548,10 @@ function handleLivePayload(payload) {
   markLiveDataReceived();
 
   const pingTargets = payload.ping ? Object.keys(payload.ping) : [];
+  if (payload.ping) {
+    state.liveSeries = payload.ping;
+    updateTargetLabels(payload.ping);
+  }
   if (pingTargets.length) {
     updateTargets(pingTargets);
   }
@@ -1473,6 +1567,10 @@ function handleLivePayload(payload) {
     heatmapNeedsRefresh = true;
   }
 
+  if (payload.fault !== undefined) {
+    state.fault = payload.fault && typeof payload.fault === "object" ? payload.fault : null;
+  }
+
   updateTargetStatusDisplay();
 
   ingestDnsMetrics(payload.dns, state.lastUpdateTs);
@@ -1482,8 +1580,98 @@ function handleLivePayload(payload) {
   updateConnectionStatus();
 }
 
+// Keeps name/group/tags from the live payload (targets file labels) for the target selector,
+// plus the probed host and address family of each series.
+function updateTargetLabels(pingPayload) {
+  Object.entries(pingPayload).forEach(([target, metrics]) => {
+    state.targetLabels.set(target, {
+      name: typeof metrics?.name === "string" && metrics.name ? metrics.name : null,
+      group: typeof metrics?.group === "string" && metrics.group ? metrics.group : null,
+      tags: Array.isArray(metrics?.tags) ? metrics.tags.map(String) : [],
+      host: typeof metrics?.host === "string" && metrics.host ? metrics.host : null,
+      family: typeof metrics?.family === "string" && metrics.family ? metrics.family : null,
+      uplink: typeof metrics?.uplink === "string" && metrics.uplink ? metrics.uplink : null,
+      dscpClass:
+        typeof metrics?.dscp_class === "string" && metrics.dscp_class ? metrics.dscp_class : null,
+    });
+  });
+}
+
+function getTargetLabel(target) {
+  return state.targetLabels.get(target) ?? TARGET_LABELS[target] ?? null;
+}
+
+// Series ids look like "host" or "host@qualifier[@qualifier]"; traceroute and the comparison
+// work per host.
+function getTargetHost(target) {
+  const label = getTargetLabel(target);
+  if (label?.host) {
+    return label.host;
+  }
+  const text = String(target ?? "");
+  const separator = text.indexOf("@");
+  return separator > 0 ? text.slice(0, separator) : text;
+}
+
+function formatFamilyLabel(family) {
+  if (family === "v4") {
+    return "IPv4";
+  }
+  if (family === "v6") {
+    return "IPv6";
+  }
+  return null;
+}
+
+// Short label for one series of a host, e.g. "IPv6" for "host@v6" or "IPv6 · wanB · EF" for
+// "host@v6@wanB@ef" (address family, uplink, then DSCP class).
+function formatSeriesQualifier(target) {
+  const text = String(target ?? "");
+  const separator = text.indexOf("@");
+  if (separator <= 0) {
+    return null;
+  }
+  const dscpClass = getTargetLabel(target)?.dscpClass ?? null;
+  return text
+    .slice(separator + 1)
+    .split("@")
+    .map((part) => formatFamilyLabel(part) ?? (part === dscpClass ? part.toUpperCase() : part))
+    .join(" · ");
+}
+
+// Unmarked (best-effort) series a DSCP-marked series is compared with: its id minus "@<class>".
+function getDscpBaseline(target) {
+  const dscpClass = getTargetLabel(target)?.dscpClass;
+  const suffix = dscpClass ? `@${dscpClass}` : "";
+  return suffix && String(target).endsWith(suffix) ? String(target).slice(0, -suffix.length) : null;
+}
+
+function formatTargetOptionText(target) {
+  const label = getTargetLabel(target);
+  const host = getTargetHost(target);
+  const qualifier = formatSeriesQualifier(target);
+  const hostText = qualifier ? `${host} · ${qualifier}` : target;
+  const base = label?.name ? `${label.name} (${hostText})` : hostText;
+  return Array.isArray(label?.tags) && label.tags.length ? `${base} · ${label.tags.join(", ")}` : base;
+}
+
+function compareTargets(a, b) {
+  const groupA = getTargetLabel(a)?.group ?? "";
+  const groupB = getTargetLabel(b)?.group ?? "";
+  if (groupA !== groupB) {
+    if (!groupA) {
+      return 1;
+    }
+    if (!groupB) {
+      return -1;
+    }
+    return groupA.localeCompare(groupB);
+  }
+  return formatTargetOptionText(a).localeCompare(formatTargetOptionText(b));
+}
+
 function updateTargets(targetList) {
-  const sorted = Array.from(new Set(targetList)).sort();
+  const sorted = Array.from(new Set(targetList)).sort(compareTargets);
   state.targets = sorted;
   if (!state.selectedTarget || !sorted.includes(state.selectedTarget)) {
     const preferred = sorted.includes(DEFAULT_TARGET) ? DEFAULT_TARGET : sorted[0];
@@ -1500,14 +1688,28 @@ function updateTargets(targetList) {
   }
   if (refs.targetSelect) {
     refs.targetSelect.innerHTML = "";
+    const hasGroups = sorted.some((target) => getTargetLabel(target)?.group);
+    const groupNodes = new Map();
     sorted.forEach((target) => {
       const option = document.createElement("option");
       option.value = target;
-      option.textContent = target;
+      option.textContent = formatTargetOptionText(target);
       if (target === state.selectedTarget) {
         option.selected = true;
       }
-      refs.targetSelect.appendChild(option);
+      if (!hasGroups) {
+        refs.targetSelect.appendChild(option);
+        return;
+      }
+      const groupName = getTargetLabel(target)?.group ?? "Sem grupo";
+      let groupNode = groupNodes.get(groupName);
+      if (!groupNode) {
+        groupNode = document.createElement("optgroup");
+        groupNode.label = groupName;
+        groupNodes.set(groupName, groupNode);
+        refs.targetSelect.appendChild(groupNode);
+      }
+      groupNode.appendChild(option);
     });
     refs.targetSelect.disabled = sorted.length === 0;
   }
@@ -1527,11 +1729,20 @@ function updateTargetIndicators(target, metrics) {
       ? metrics.pingMode.trim()
       : "";
   const pingMode = modeRaw ? modeRaw.toUpperCase() : null;
+  const resolvedIp = typeof metrics?.resolved_ip === "string" ? metrics.resolved_ip : null;
+  const previous = state.targetIndicators.get(target) ?? null;
+  const modeChanged = previous?.pingMode && pingMode && previous.pingMode !== pingMode;
+  const addressChanged = previous?.resolvedIp && resolvedIp && previous.resolvedIp !== resolvedIp;
+  if (target === state.selectedTarget && (modeChanged || addressChanged)) {
+    // The collector just switched methods or addresses; pick up the stored event for the markers.
+    fetchPingMarkers(target, getRangeParamFromMinutes(state.rangeMinutes)).catch(() => {});
+  }
 
   state.targetIndicators.set(target, {
     fresh,
     ageMs,
     pingMode,
+    resolvedIp,
   });
 }
 
@@ -1545,13 +1756,14 @@ function updateTargetStatusDisplay() {
       refs.targetMode.textContent = meta.pingMode;
       refs.targetMode.setAttribute("title", "Modo de medição atual");
       refs.targetMode.setAttribute("aria-label", `Modo de medição atual: ${meta.pingMode}`);
-      const isTcp = meta.pingMode.toUpperCase() === "TCP";
-      refs.targetMode.classList.toggle("badge-mode--tcp", isTcp);
+      const mode = meta.pingMode.toUpperCase();
+      refs.targetMode.classList.toggle("badge-mode--tcp", mode === "TCP");
+      refs.targetMode.classList.toggle("badge-mode--udp", mode === "UDP");
     } else {
       refs.targetMode.hidden = true;
       refs.targetMode.removeAttribute("title");
       refs.targetMode.removeAttribute("aria-label");
-      refs.targetMode.classList.remove("badge-mode--tcp");
+      refs.targetMode.classList.remove("badge-mode--tcp", "badge-mode--udp");
     }
   }
 
@@ -1636,6 +1848,8 @@ function ingestDnsMetrics(dns, ts) {
     return;
   }
   state.dnsLatest = dns.aggregate;
+  state.dnsResolvers = Array.isArray(dns.resolvers) ? dns.resolvers : [];
+  ingestDnsHostnames(dns.hostnames, ts);
   const stats = selectDnsPrimaryStats(dns.aggregate);
   const value = normalize(stats?.win1m_avg_ms);
   const entry = { ts, value, avg5m: normalize(stats?.win5m_avg_ms) };
@@ -1649,6 +1863,27 @@ function ingestDnsMetrics(dns, ts) {
   });
 }
 
+// Value plotted and graded per hostname, the same one the DNS KPI uses for the aggregate: the
+// 1-minute average of the primary (cold, else hot) lookups.
+function selectDnsHostValue(stats) {
+  return normalize(selectDnsPrimaryStats(stats)?.win1m_avg_ms);
+}
+
+function ingestDnsHostnames(hostnames, ts) {
+  state.dnsHostnames = hostnames && typeof hostnames === "object" ? hostnames : {};
+  Object.entries(state.dnsHostnames).forEach(([hostname, stats]) => {
+    const series = state.dnsHostSeries.get(hostname) ?? [];
+    series.push({ ts, value: selectDnsHostValue(stats) });
+    pruneSeries(series, DNS_HISTORY_LIMIT_MS);
+    state.dnsHostSeries.set(hostname, series);
+  });
+  for (const hostname of [...state.dnsHostSeries.keys()]) {
+    if (!state.dnsHostnames[hostname]) {
+      state.dnsHostSeries.delete(hostname);
+    }
+  }
+}
+
 function resolveDnsValueForWindow(windowKey) {
   const aggregate = state.dnsLatest;
   const stats = selectDnsPrimaryStats(aggregate);
@@ -1856,10 +2091,44 @@ function buildSummaryFromMetrics(metrics, key) {
   };
 }
 
+function getFreshFaultVerdict() {
+  const fault = state.fault;
+  if (
+    !fault ||
+    !Number.isFinite(Number(fault.ts)) ||
+    Date.now() - Number(fault.ts) > FAULT_STALE_MS
+  ) {
+    return null;
+  }
+  return fault;
+}
+
+function renderFaultVerdict(fault) {
+  if (!refs.faultVerdict) {
+    return;
+  }
+  if (!fault) {
+    refs.faultVerdict.hidden = true;
+    refs.faultVerdict.textContent = "";
+    delete refs.faultVerdict.dataset.verdict;
+    return;
+  }
+  let text = FAULT_VERDICT_LABELS[fault.verdict] ?? fault.verdict;
+  const affected = Array.isArray(fault.affected) ? fault.affected : [];
+  if (fault.verdict === "destination" && affected.length > 0) {
+    text += `: ${affected.map((target) => getTargetLabel(target)?.name || target).join(", ")}`;
+  }
+  refs.faultVerdict.textContent = `Diagnóstico: ${text}`;
+  refs.faultVerdict.dataset.verdict = fault.verdict;
+  refs.faultVerdict.hidden = false;
+}
+
 function updateNetworkStatus(summary) {
   if (!refs.networkStatusBar || !refs.networkStatusText) {
     return;
   }
+  const fault = getFreshFaultVerdict();
+  renderFaultVerdict(fault);
   let entry = summary;
   if (!entry) {
     entry = getCurrentWindowSummary();
@@ -1884,7 +2153,8 @@ function updateNetworkStatus(summary) {
   let statusClass = "network-status--ok";
   if (worstRank >= severityRank.critical) {
     statusClass = "network-status--critical";
-  } else if (worstRank >= severityRank.warn) {
+  } else if (worstRank >= severityRank.warn || FAULT_PATH_VERDICTS.includes(fault?.verdict)) {
+    // A degraded gateway, ISP hop or anycast set is worth a warning even if this target looks fine.
     statusClass = "network-status--warn";
   }
   refs.networkStatusBar.className = `network-status ${statusClass}`;
@@ -2240,9 +2510,495 @@ function render() {
   }
   renderSparkline(charts.httpTtfb, state.httpTtfbSeries);
   renderEvents();
+  renderSeriesComparison();
+  renderDnsHostnames();
+  renderDnsResolvers();
+  renderDnsIntegrity();
+  renderHttpPhases();
   renderTraceroute();
 }
 
+function getSiblingSeries(target) {
+  if (!target) {
+    return [];
+  }
+  const host = getTargetHost(target);
+  return state.targets.filter((candidate) => getTargetHost(candidate) === host);
+}
+
+// Difference between two window values, signed, e.g. "+4,2 ms"; "—" when either is missing.
+function fmtDelta(value, reference, unit) {
+  const a = Number(value);
+  const b = Number(reference);
+  if (value == null || reference == null || !Number.isFinite(a) || !Number.isFinite(b)) {
+    return "—";
+  }
+  const delta = a - b;
+  return `${delta > 0 ? "+" : ""}${fmtNumber(delta, 1)} ${unit}`;
+}
+
+// Side-by-side table of every series probing the selected host (e.g. IPv4 vs IPv6) for the
+// current range window. Hidden when the host has a single series. DSCP-marked series get a
+// "vs BE" column with their p95 and loss difference to the unmarked series of the same path.
+function renderSeriesComparison() {
+  if (!refs.seriesComparePanel || !refs.seriesCompareTable) {
+    return;
+  }
+  const siblings = getSiblingSeries(state.selectedTarget);
+  if (siblings.length < 2) {
+    refs.seriesComparePanel.hidden = true;
+    return;
+  }
+  refs.seriesComparePanel.hidden = false;
+
+  const windowKey = getWindowKeyFromMinutes(state.rangeMinutes);
+  if (refs.seriesCompareMeta) {
+    refs.seriesCompareMeta.textContent = `${getTargetHost(state.selectedTarget)} · janela ${formatWindowLabel(
+      state.rangeMinutes
+    )}`;
+  }
+
+  const rows = siblings.map((target) => {
+    const metrics = state.liveSeries?.[target] ?? null;
+    return {
+      target,
+      summary: buildSummaryFromMetrics(metrics, windowKey),
+      address: typeof metrics?.resolved_ip === "string" ? metrics.resolved_ip : null,
+    };
+  });
+  const p95Values = rows
+    .map((row) => Number(row.summary?.win_p95_ms))
+    .filter((value) => Number.isFinite(value));
+  const bestP95 = p95Values.length > 1 ? Math.min(...p95Values) : null;
+  const summaryByTarget = new Map(rows.map((row) => [row.target, row.summary]));
+  const baselines = new Set(
+    siblings.map((target) => getDscpBaseline(target)).filter((id) => summaryByTarget.has(id))
+  );
+  const showQos = baselines.size > 0;
+
+  const table = refs.seriesCompareTable;
+  table.innerHTML = "";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  const titles = ["Série", "Endereço", "p50", "p95", "Média", "Perda", "Amostras"];
+  if (showQos) {
+    titles.push("vs BE (p95 · perda)");
+  }
+  titles.forEach((title) => {
+    const cell = document.createElement("th");
+    cell.scope = "col";
+    cell.textContent = title;
+    headRow.appendChild(cell);
+  });
+  head.appendChild(headRow);
+
+  const body = document.createElement("tbody");
+  rows.forEach(({ target, summary, address }) => {
+    const row = document.createElement("tr");
+    if (target === state.selectedTarget) {
+      row.classList.add("is-selected");
+    }
+    const p95 = Number(summary?.win_p95_ms);
+    const values = [
+      formatSeriesQualifier(target) ?? "Padrão",
+      address ?? "—",
+      fmtMs(summary?.win_p50_ms),
+      fmtMs(summary?.win_p95_ms),
+      fmtMs(summary?.win_avg_ms),
+      fmtPct(summary?.win_loss_pct),
+      fmtNumber(summary?.win_samples, 0),
+    ];
+    if (showQos) {
+      const baseline = summaryByTarget.get(getDscpBaseline(target));
+      if (baseline) {
+        values.push(
+          `${fmtDelta(summary?.win_p95_ms, baseline.win_p95_ms, "ms")} · ${fmtDelta(
+            summary?.win_loss_pct,
+            baseline.win_loss_pct,
+            "pp"
+          )}`
+        );
+      } else {
+        values.push(baselines.has(target) ? "referência" : "—");
+      }
+    }
+    values.forEach((value, index) => {
+      const cell = document.createElement(index === 0 ? "th" : "td");
+      if (index === 0) {
+        cell.scope = "row";
+      }
+      cell.textContent = value;
+      if (index === 3 && bestP95 !== null && p95 === bestP95) {
+        cell.classList.add("is-best");
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  table.append(head, body);
+}
+
+// Waterfall of the latest request per URL: each phase is a segment placed after the previous one,
+// on a time scale shared by all rows so slow URLs stand out. Hidden until a sample has phases.
+function renderHttpPhases() {
+  if (!refs.httpPhasePanel || !refs.httpPhaseList) {
+    return;
+  }
+  const samples = state.httpPhases.filter((sample) =>
+    HTTP_PHASES.some((phase) => Number.isFinite(Number(sample[phase.key])))
+  );
+  if (samples.length === 0) {
+    refs.httpPhasePanel.hidden = true;
+    return;
+  }
+  refs.httpPhasePanel.hidden = false;
+
+  const scaleMs = Math.max(...samples.map((sample) => Number(sample.total_ms) || 0), 1);
+  const list = refs.httpPhaseList;
+  list.innerHTML = "";
+  samples.forEach((sample) => {
+    const row = document.createElement("li");
+    row.className = "phase-row";
+
+    const label = document.createElement("span");
+    label.className = "phase-label";
+    label.textContent = sample.uplink ? `${sample.url} · ${sample.uplink}` : sample.url;
+    label.title = `${sample.url} · ${formatRelative(sample.ts)}`;
+
+    const track = document.createElement("span");
+    track.className = "phase-track";
+    let offsetMs = 0;
+    HTTP_PHASES.forEach((phase) => {
+      const value = Number(sample[phase.key]);
+      if (!Number.isFinite(value) || value <= 0) {
+        return;
+      }
+      const segment = document.createElement("span");
+      segment.className = `phase-segment phase-${phase.key.replace(/_ms$/, "")}`;
+      segment.style.left = `${(offsetMs / scaleMs) * 100}%`;
+      segment.style.width = `${(value / scaleMs) * 100}%`;
+      segment.title = `${phase.label}: ${fmtMs(value)}`;
+      track.appendChild(segment);
+      offsetMs += value;
+    });
+
+    const total = document.createElement("span");
+    total.className = "phase-total";
+    total.textContent = fmtMs(sample.total_ms);
+
+    row.append(label, track, total);
+    list.appendChild(row);
+  });
+}
+
+// Inline SVG line for a { ts, value } series; gaps (null values) break the line. Drawn in
+// currentColor so the row's severity class sets the colour.
+function buildInlineSparkline(series) {
+  const svgNs = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("class", "inline-sparkline");
+  svg.setAttribute("width", String(DNS_HOST_SPARKLINE_WIDTH));
+  svg.setAttribute("height", String(DNS_HOST_SPARKLINE_HEIGHT));
+  svg.setAttribute("viewBox", `0 0 ${DNS_HOST_SPARKLINE_WIDTH} ${DNS_HOST_SPARKLINE_HEIGHT}`);
+  svg.setAttribute("aria-hidden", "true");
+  const points = series.filter((item) => Number.isFinite(item.value));
+  if (points.length < 2) {
+    return svg;
+  }
+  const firstTs = series[0].ts;
+  const spanTs = Math.max(series[series.length - 1].ts - firstTs, 1);
+  const values = points.map((item) => item.value);
+  const min = Math.min(...values);
+  const spanValue = Math.max(Math.max(...values) - min, 1e-6);
+  const pad = 2;
+  const width = DNS_HOST_SPARKLINE_WIDTH - pad * 2;
+  const height = DNS_HOST_SPARKLINE_HEIGHT - pad * 2;
+  const x = (ts) => pad + ((ts - firstTs) / spanTs) * width;
+  const y = (value) => pad + height - ((value - min) / spanValue) * height;
+  let path = "";
+  let drawing = false;
+  series.forEach((item) => {
+    if (!Number.isFinite(item.value)) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? "L" : "M"}${x(item.ts).toFixed(1)} ${y(item.value).toFixed(1)} `;
+    drawing = true;
+  });
+  const line = document.createElementNS(svgNs, "path");
+  line.setAttribute("d", path.trim());
+  svg.appendChild(line);
+  return svg;
+}
+
+function countDnsFailures(stats) {
+  const counts = stats?.errors?.["60m"];
+  return counts ? Object.values(counts).reduce((sum, value) => sum + Number(value || 0), 0) : 0;
+}
+
+// One row per measured hostname with its trend, window averages, p95 and failures, graded by the
+// THRESH_DNS_* thresholds like the DNS KPI; hostnames measured through several resolvers get a
+// sub-row per resolver.
+function renderDnsHostnames() {
+  if (!refs.dnsHostPanel || !refs.dnsHostTable) {
+    return;
+  }
+  const hostnames = Object.keys(state.dnsHostnames).sort();
+  if (hostnames.length === 0) {
+    refs.dnsHostPanel.hidden = true;
+    return;
+  }
+  refs.dnsHostPanel.hidden = false;
+
+  const table = refs.dnsHostTable;
+  table.innerHTML = "";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  [
+    "Hostname",
+    "Tendência",
+    "1 min",
+    "5 min",
+    "15 min",
+    "60 min",
+    "p95 5 min",
+    "Falhas",
+    "Estado",
+  ].forEach((title) => {
+    const cell = document.createElement("th");
+    cell.scope = "col";
+    cell.textContent = title;
+    headRow.appendChild(cell);
+  });
+  head.appendChild(headRow);
+
+  const body = document.createElement("tbody");
+  const appendRow = (label, stats, series, isResolver) => {
+    const primary = selectDnsPrimaryStats(stats) ?? {};
+    const severity = determineSeverity(selectDnsHostValue(stats), thresholds.dns, true);
+    const row = document.createElement("tr");
+    if (isResolver) {
+      row.classList.add("is-sub-row");
+    }
+    const labelCell = document.createElement("th");
+    labelCell.scope = "row";
+    labelCell.textContent = isResolver ? `↳ ${label}` : label;
+    row.appendChild(labelCell);
+
+    const sparkCell = document.createElement("td");
+    sparkCell.classList.add(`severity-${severity}`);
+    if (series) {
+      sparkCell.appendChild(buildInlineSparkline(series));
+    }
+    row.appendChild(sparkCell);
+
+    [
+      fmtMs(primary.win1m_avg_ms),
+      fmtMs(primary.win5m_avg_ms),
+      fmtMs(primary.win15m_avg_ms),
+      fmtMs(primary.win60m_avg_ms),
+      fmtMs(primary.win5m_p95_ms),
+      fmtNumber(countDnsFailures(stats), 0),
+      SEVERITY_LABELS[severity] ?? "—",
+    ].forEach((value, index, list) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      if (index === list.length - 1) {
+        cell.classList.add(`severity-${severity}`);
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  };
+
+  hostnames.forEach((hostname) => {
+    const stats = state.dnsHostnames[hostname];
+    appendRow(hostname, stats, state.dnsHostSeries.get(hostname) ?? [], false);
+    const resolvers = Object.keys(stats?.resolvers ?? {}).sort();
+    if (resolvers.length > 1) {
+      resolvers.forEach((resolver) => appendRow(resolver, stats.resolvers[resolver], null, true));
+    }
+  });
+
+  table.append(head, body);
+}
+
+// Resolver ranking from DNS_RESOLVERS over the last hour, already sorted by the collector (failure
+// rate, then p95 of the hot lookups). Hidden unless at least two resolvers are measured.
+function renderDnsResolvers() {
+  if (!refs.dnsResolverPanel || !refs.dnsResolverTable) {
+    return;
+  }
+  const resolvers = state.dnsResolvers;
+  if (resolvers.length < 2) {
+    refs.dnsResolverPanel.hidden = true;
+    return;
+  }
+  refs.dnsResolverPanel.hidden = false;
+
+  const p95Values = resolvers
+    .map((entry) => Number(entry.p95_ms))
+    .filter((value) => Number.isFinite(value));
+  const bestP95 = p95Values.length > 0 ? Math.min(...p95Values) : null;
+  // UDP vs TCP columns only when the collector runs with DNS_TCP_CHECK.
+  const showTransports = resolvers.some((entry) => Number(entry.tcp_checks) > 0);
+
+  const table = refs.dnsResolverTable;
+  table.innerHTML = "";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  const titles = [
+    "Resolvedor",
+    "Servidor",
+    "Protocolo",
+    "p50",
+    "p95",
+    "Média",
+    "Falhas",
+    "p95 frio",
+    "Amostras",
+  ];
+  if (showTransports) {
+    titles.push("p95 UDP · TCP", "Falhas TCP", "Truncadas");
+  }
+  titles.forEach((title) => {
+    const cell = document.createElement("th");
+    cell.scope = "col";
+    cell.textContent = title;
+    headRow.appendChild(cell);
+  });
+  head.appendChild(headRow);
+
+  const body = document.createElement("tbody");
+  resolvers.forEach((entry) => {
+    const row = document.createElement("tr");
+    if (entry.rank === 1) {
+      row.classList.add("is-selected");
+    }
+    const values = [
+      `${entry.rank}. ${entry.resolver}`,
+      entry.server ?? "—",
+      DNS_PROTOCOL_LABELS[entry.protocol] ?? "—",
+      fmtMs(entry.p50_ms),
+      fmtMs(entry.p95_ms),
+      fmtMs(entry.avg_ms),
+      fmtPct(entry.failure_pct),
+      fmtMs(entry.cold_p95_ms),
+      fmtNumber(entry.samples, 0),
+    ];
+    const tcpBroken = Number(entry.tcp_failures) > 0;
+    if (showTransports) {
+      values.push(
+        Number(entry.tcp_checks) > 0
+          ? `${fmtMs(entry.udp_p95_ms)} · ${fmtMs(entry.tcp_p95_ms)}`
+          : "—",
+        Number(entry.tcp_checks) > 0
+          ? `${fmtNumber(entry.tcp_failures, 0)}/${fmtNumber(entry.tcp_checks, 0)}`
+          : "—",
+        fmtNumber(entry.truncated ?? 0, 0)
+      );
+    }
+    values.forEach((value, index) => {
+      const cell = document.createElement(index === 0 ? "th" : "td");
+      if (index === 0) {
+        cell.scope = "row";
+      }
+      cell.textContent = value;
+      if (index === 4 && bestP95 !== null && Number(entry.p95_ms) === bestP95) {
+        cell.classList.add("is-best");
+      }
+      if (index === 10 && tcpBroken) {
+        cell.classList.add("is-worse");
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+
+  table.append(head, body);
+}
+
+// NXDOMAIN redirection per resolver and the latest answer drift, divergence and redirection
+// events over the last 24 hours. Hidden until the collector has run a cold lookup.
+function renderDnsIntegrity() {
+  if (!refs.dnsIntegrityPanel || !refs.dnsNxdomainTable || !refs.dnsIntegrityEvents) {
+    return;
+  }
+  const { nxdomain = [], events = [] } = state.dnsIntegrity ?? {};
+  if (nxdomain.length === 0 && events.length === 0) {
+    refs.dnsIntegrityPanel.hidden = true;
+    return;
+  }
+  refs.dnsIntegrityPanel.hidden = false;
+
+  const table = refs.dnsNxdomainTable;
+  table.innerHTML = "";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  ["Resolvedor", "Link", "NXDOMAIN", "Redirecionadas", "Última resposta inventada"].forEach(
+    (title) => {
+      const cell = document.createElement("th");
+      cell.scope = "col";
+      cell.textContent = title;
+      headRow.appendChild(cell);
+    }
+  );
+  head.appendChild(headRow);
+
+  const body = document.createElement("tbody");
+  nxdomain.forEach((entry) => {
+    const row = document.createElement("tr");
+    const values = [
+      entry.resolver ?? "—",
+      entry.uplink ?? "—",
+      entry.redirecting ? "redirecionado" : "ok",
+      `${fmtNumber(entry.redirected, 0)}/${fmtNumber(entry.checks, 0)}`,
+      Array.isArray(entry.last_answers) && entry.last_answers.length
+        ? `${entry.last_answers.join(", ")} · ${formatRelative(entry.last_redirect_ts)}`
+        : "—",
+    ];
+    values.forEach((value, index) => {
+      const cell = document.createElement(index === 0 ? "th" : "td");
+      if (index === 0) {
+        cell.scope = "row";
+      }
+      cell.textContent = value;
+      if (index === 2) {
+        cell.classList.add(entry.redirecting ? "is-worse" : "is-best");
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  table.append(head, body);
+  table.hidden = nxdomain.length === 0;
+
+  refs.dnsIntegrityEvents.innerHTML = "";
+  if (events.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "empty-state";
+    empty.textContent = "Nenhuma mudança de resposta nas últimas 24 h.";
+    refs.dnsIntegrityEvents.appendChild(empty);
+    return;
+  }
+  events.slice(0, DNS_INTEGRITY_EVENTS_LIMIT).forEach((event) => {
+    const item = document.createElement("li");
+    item.className = `event-item ${event.severity === "warn" ? "warn" : ""}`.trim();
+    const iconSpan = document.createElement("span");
+    iconSpan.className = "event-icon";
+    iconSpan.textContent = event.severity === "warn" ? "⚠" : "✓";
+    const messageSpan = document.createElement("span");
+    messageSpan.className = "event-message";
+    messageSpan.textContent = event.message ?? event.type;
+    const timeSpan = document.createElement("span");
+    timeSpan.className = "event-time";
+    timeSpan.textContent = formatRelative(event.ts);
+    item.append(iconSpan, messageSpan, timeSpan);
+    refs.dnsIntegrityEvents.appendChild(item);
+  });
+}
+
 function renderLatencyChart() {
   if (!charts.latency) {
     return false;
@@ -2251,7 +3007,7 @@ function renderLatencyChart() {
     setChartEmptyState("latencyChart", true);
     charts.latency.setOption({
       yAxis: { min: 0, max: 1 },
-      series: [{ data: [] }, { data: [] }],
+      series: [{ data: [], markLine: { data: [] } }, { data: [] }],
     }, false, true);
     latencyChartState.target = null;
     latencyChartState.fingerprint = "";
@@ -2264,7 +3020,10 @@ function renderLatencyChart() {
   const cutoff = now - rangeMs;
   const target = state.selectedTarget;
   const seriesPayload = buildLatencySeries(samples, cutoff);
-  const fingerprint = seriesPayload.fingerprint;
+  const markers = (state.pingMarkers.get(target) || []).filter((item) => item.ts >= cutoff);
+  const fingerprint = `${seriesPayload.fingerprint}|${markers.length}|${
+    markers.length ? markers[markers.length - 1].ts : 0
+  }`;
   const needsUpdate =
     latencyChartState.target !== target ||
     latencyChartState.rangeMs !== rangeMs ||
@@ -2282,7 +3041,7 @@ function renderLatencyChart() {
     setChartEmptyState("latencyChart", true);
     charts.latency.setOption({
       yAxis: { min: 0, max: 1 },
-      series: [{ data: [] }, { data: [] }],
+      series: [{ data: [], markLine: { data: [] } }, { data: [] }],
     }, false, true);
     return true;
   }
@@ -2294,7 +3053,13 @@ function renderLatencyChart() {
   charts.latency.setOption(
     {
       yAxis: { min: 0, max: resolvedAxisMax },
-      series: [{ data: seriesPayload.rttSeries }, { data: seriesPayload.lossSeries }],
+      series: [
+        {
+          data: seriesPayload.rttSeries,
+          markLine: buildPingMarkerLine(markers),
+        },
+        { data: seriesPayload.lossSeries },
+      ],
     },
     false,
     true
@@ -2302,6 +3067,34 @@ function renderLatencyChart() {
   return true;
 }
 
+// Vertical markers for method switches (amber when falling back from ICMP, green when ICMP
+// returns) and for address changes of hostname targets (violet), so an RTT step can be matched
+// with a CDN or anycast re-route.
+function buildPingMarkerLine(markers) {
+  return {
+    symbol: "none",
+    animation: false,
+    data: markers.map((item) => {
+      const address = item.kind === "address";
+      const from = address ? item.from || "?" : (item.from || "?").toUpperCase();
+      const to = address ? item.to : item.to.toUpperCase();
+      const color = address ? "#a78bfa" : item.to === "icmp" ? "#22c55e" : "#f59e0b";
+      return {
+        xAxis: item.ts,
+        name: `${from} → ${to}`,
+        lineStyle: { color, type: "dashed", width: 1.4 },
+        label: {
+          show: true,
+          formatter: address ? `IP → ${to}` : `${from} → ${to}`,
+          color,
+          fontSize: 11,
+          position: "insideEndTop",
+        },
+      };
+    }),
+  };
+}
+
 function buildLatencySeries(samples, cutoff) {
   const rttSeries = [];
   const lossSeries = [];
@@ -2579,6 +3372,7 @@ async function fetchPingWindowData(target, rangeKey, options = {}) {
         win_p95_ms: normalize(summary.win_p95_ms),
         win_p50_ms: normalize(summary.win_p50_ms),
         win_avg_ms: normalize(summary.win_avg_ms),
+        win_jitter_ms: normalize(summary.win_jitter_ms),
         win_loss_pct: normalize(summary.win_loss_pct),
         win_samples: Number(summary.win_samples) || 0,
       });
@@ -2587,6 +3381,7 @@ async function fetchPingWindowData(target, rangeKey, options = {}) {
 
     if (options.updateVisibleSummary) {
       applyCurrentWindowSummary();
+      fetchPingMarkers(target, rangeParam).catch(() => {});
     }
 
     if (target === state.selectedTarget && samplesMerged) {
@@ -2601,6 +3396,87 @@ async function fetchPingWindowData(target, rangeKey, options = {}) {
   }
 }
 
+// Loads the "ping.*" events of a target (ICMP/TCP/UDP fallback and recovery in ping.method,
+// address changes in ping.address), drawn as markers on the latency chart.
+async function fetchPingMarkers(target, rangeKey) {
+  if (!target) {
+    return;
+  }
+  try {
+    const url = await resolveEndpoint(API_EVENTS, { type: "ping", target, range: rangeKey });
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const payload = await response.json();
+    const markers = Array.isArray(payload)
+      ? payload
+          .map((event) => {
+            const address = event.type === "ping.address";
+            const from = address ? event.data?.previous : event.data?.from;
+            const to = address ? event.data?.current : event.data?.to;
+            return {
+              ts: Number(event.ts),
+              kind: address ? "address" : "method",
+              from: typeof from === "string" ? from : null,
+              to: typeof to === "string" ? to : null,
+            };
+          })
+          .filter((item) => Number.isFinite(item.ts) && item.to)
+          .sort((a, b) => a.ts - b.ts)
+      : [];
+    state.pingMarkers.set(target, markers);
+    if (target === state.selectedTarget) {
+      markLatencyChartDirty();
+      scheduleRender();
+    }
+  } catch (error) {
+    console.warn("Falha ao buscar eventos de ping:", error);
+  }
+}
+
+async function fetchDnsIntegrity() {
+  try {
+    const url = await resolveEndpoint(API_DNS_INTEGRITY, { range: "24h" });
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const payload = await response.json();
+    state.dnsIntegrity = {
+      nxdomain: Array.isArray(payload?.nxdomain) ? payload.nxdomain : [],
+      events: Array.isArray(payload?.events) ? payload.events : [],
+    };
+    scheduleRender();
+  } catch (error) {
+    console.warn("Falha ao buscar integridade DNS:", error);
+  }
+}
+
+// Keeps the latest successful sample per URL and uplink from the last hour for the waterfall.
+async function fetchHttpPhases() {
+  try {
+    const url = await resolveEndpoint(API_HTTP, { range: "1h" });
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const payload = await response.json();
+    const latest = new Map();
+    (Array.isArray(payload) ? payload : []).forEach((sample) => {
+      if (sample?.success && Number.isFinite(Number(sample.total_ms))) {
+        latest.set(`${sample.url}|${sample.uplink ?? ""}`, sample);
+      }
+    });
+    state.httpPhases = [...latest.values()].sort((a, b) =>
+      `${a.url}|${a.uplink ?? ""}`.localeCompare(`${b.url}|${b.uplink ?? ""}`)
+    );
+    scheduleRender();
+  } catch (error) {
+    console.warn("Falha ao buscar fases HTTP:", error);
+  }
+}
+
 // Normalizes traceroute hops to the client format (single RTT and IP fields).
 // Invoked whenever we ingest traceroute payloads from the API.
 function normalizeTracerouteHopClient(raw, index) {
@@ -2657,7 +3533,10 @@ async function fetchTraceroute(target) {
     return;
   }
   try {
-    const url = await resolveEndpoint(API_TRACEROUTE_LATEST, { target });
+    const url = await resolveEndpoint(API_TRACEROUTE_LATEST, {
+      target: getTargetHost(target),
+      uplink: getTargetLabel(target)?.uplink ?? null,
+    });
     const response = await fetchWithTimeout(url);
     if (!response.ok) {
       if (response.status === 404) {
@@ -2810,7 +3689,11 @@ async function triggerTraceroute(target) {
     const response = await fetchWithTimeout("/actions/traceroute", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ target }),
+      // Series bound to an uplink trace the route through that uplink.
+      body: JSON.stringify({
+        target: getTargetHost(target),
+        uplink: getTargetLabel(target)?.uplink ?? undefined,
+      }),
     });
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
@@ -2822,7 +3705,11 @@ async function triggerTraceroute(target) {
       await fetchTraceroute(target);
     }
     state.tracerouteExpanded = true;
-    pushEvent({ severity: "info", message: `Traceroute para ${target} executado`, icon: "🛰" });
+    pushEvent({
+      severity: "info",
+      message: `Traceroute para ${getTargetHost(target)} executado`,
+      icon: "🛰",
+    });
   } catch (error) {
     console.error("Falha ao executar traceroute:", error);
     pushEvent({ severity: "critical", message: "Erro ao executar traceroute", icon: "⛔" });
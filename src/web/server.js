@@ -4,6 +4,9 @@ import net from "net";
 import path from "path";
 import { fileURLToPath } from "url";
 import { runTraceroute } from "../collectors/traceroute.js";
+import { rankResolvers } from "../collectors/dns.js";
+import { summarizeIntegrity } from "../collectors/dns-integrity.js";
+import { mapFaultVerdictRow } from "../collectors/fault-locator.js";
 import { createLiveMetricsBroadcaster } from "./live-metrics.js";
 import { renderIndexPage } from "./index-page.js";
 import * as logger from "../utils/logger.js";
@@ -388,6 +391,21 @@ function getUiConfig(providedConfig) {
   const normalizedTargets = providedTargets
     .map((value) => (typeof value === "string" ? value.trim() : ""))
     .filter((value) => value.length > 0);
+  const targetLabels = Object.create(null);
+  for (const definition of Array.isArray(base.targetDefinitions) ? base.targetDefinitions : []) {
+    const id = definition?.id ?? definition?.host;
+    if (id) {
+      targetLabels[id] = {
+        host: definition.host ?? id,
+        family: definition.family ?? null,
+        uplink: definition.uplink ?? null,
+        dscpClass: definition.dscpClass ?? null,
+        name: definition.name ?? null,
+        group: definition.group ?? null,
+        tags: Array.isArray(definition.tags) ? definition.tags : [],
+      };
+    }
+  }
   const requestedDefault = typeof base.defaultTarget === "string" ? base.defaultTarget.trim() : "";
   const defaultTarget = requestedDefault || normalizedTargets[0] || UI_DEFAULT_TARGET || "";
   const eventsDedupMs = parsePositiveInt(
@@ -411,6 +429,10 @@ function getUiConfig(providedConfig) {
   return {
     defaultTarget,
     DEFAULT_TARGET: defaultTarget,
+    targetDefinitions: Array.isArray(base.targetDefinitions) ? base.targetDefinitions : [],
+    targetLabels,
+    // Uplink labels only; the interfaces and addresses behind them stay server-side.
+    uplinks: Array.isArray(base.uplinks) ? base.uplinks : [],
     eventsDedupMs,
     EVENTS_DEDUP_MS: eventsDedupMs,
     eventsCooldownMs,
@@ -465,7 +487,7 @@ function preparePingWindowStatements(db) {
   const result = Object.create(null);
   for (const table of PING_WINDOW_TABLES) {
     const selectBase = `
-      SELECT ts_min, target, sent, received, loss_pct, avg_ms, p50_ms, p95_ms, stdev_ms, availability_pct, status
+      SELECT ts_min, target, sent, received, loss_pct, avg_ms, p50_ms, p95_ms, stdev_ms, jitter_ms, availability_pct, status
       FROM ${table}
     `;
     result[table] = {
@@ -486,6 +508,12 @@ function normalizeNumber(value) {
   return Number.isFinite(num) ? num : null;
 }
 
+// Like normalizeNumber, but a missing value stays null instead of becoming 0, for optional columns
+// (burst stats, estimates and timings a sample may not have).
+function normalizeOptionalNumber(value) {
+  return value === undefined || value === null ? null : normalizeNumber(value);
+}
+
 function clampPercentage(value) {
   const num = normalizeNumber(value);
   if (num == null) {
@@ -523,14 +551,81 @@ function computePercentile(values, percentile) {
   return lowerValue + (upperValue - lowerValue) * weight;
 }
 
+// Maps a raw ping_sample row to the /api/ping/window sample schema.
+function mapPingSampleRow(row) {
+  return {
+    ts: Number(row.ts),
+    target: row.target,
+    success: Number(row.success) === 1,
+    rtt_ms: normalizeNumber(row.rtt_ms),
+    sent: normalizeOptionalNumber(row.sent),
+    received: normalizeOptionalNumber(row.received),
+    jitter_ms: normalizeOptionalNumber(row.jitter_ms),
+    dup_count: normalizeOptionalNumber(row.dup_count),
+    reorder_count: normalizeOptionalNumber(row.reorder_count),
+    // Per-packet RTTs of a burst sample; null for single probes.
+    rtts: parseJsonArray(row.rtts_json),
+    resolved_ip: typeof row.resolved_ip === "string" ? row.resolved_ip : null,
+    family: typeof row.family === "string" ? row.family : null,
+    uplink: typeof row.uplink === "string" ? row.uplink : null,
+    dscp: row.dscp == null ? null : Number(row.dscp),
+    error_code: row.error_code ?? null,
+    error_detail: row.error_detail ?? null,
+  };
+}
+
+// Failure reasons of the failed samples, { error_code: count }; legacy rows count as UNKNOWN.
+function countSampleErrors(samples) {
+  const counts = {};
+  for (const row of samples) {
+    if (Number(row?.success) === 1) {
+      continue;
+    }
+    const code = typeof row?.error_code === "string" && row.error_code ? row.error_code : "UNKNOWN";
+    counts[code] = (counts[code] ?? 0) + 1;
+  }
+  return counts;
+}
+
+// Series ids are the host itself or host@qualifier (e.g. host@v6); matches every series of a host.
+function isSeriesOfHost(seriesId, host) {
+  return seriesId === host || String(seriesId).startsWith(`${host}@`);
+}
+
+// Jitter over raw samples: mean burst jitter when present, otherwise the mean RTT delta
+// between consecutive successful probes.
+function computeSampleJitter(samples) {
+  const burstJitters = samples
+    .map((row) => (row?.jitter_ms == null ? null : normalizeNumber(row.jitter_ms)))
+    .filter((value) => value != null);
+  if (burstJitters.length > 0) {
+    return burstJitters.reduce((acc, value) => acc + value, 0) / burstJitters.length;
+  }
+
+  const latencies = samples
+    .filter((row) => row?.success === true || Number(row?.success) === 1)
+    .map((row) => normalizeNumber(row.rtt_ms))
+    .filter((value) => value != null);
+  if (latencies.length < 2) {
+    return null;
+  }
+  let total = 0;
+  for (let i = 1; i < latencies.length; i += 1) {
+    total += Math.abs(latencies[i] - latencies[i - 1]);
+  }
+  return total / (latencies.length - 1);
+}
+
 function computePingWindowSummary(samples, aggregates, { preferAggregated = false } = {}) {
   const result = {
     win_p95_ms: null,
     win_p50_ms: null,
     win_avg_ms: null,
+    win_jitter_ms: null,
     win_loss_pct: null,
     win_samples: 0,
     win_availability_pct: null,
+    win_errors: countSampleErrors(Array.isArray(samples) ? samples : []),
     status: null,
   };
 
@@ -553,6 +648,7 @@ function computePingWindowSummary(samples, aggregates, { preferAggregated = fals
       result.win_avg_ms = normalizeNumber(latest?.avg_ms);
       result.win_p50_ms = normalizeNumber(latest?.p50_ms);
       result.win_p95_ms = normalizeNumber(latest?.p95_ms);
+      result.win_jitter_ms = latest?.jitter_ms == null ? null : normalizeNumber(latest.jitter_ms);
       result.win_availability_pct = clampPercentage(latest?.availability_pct ?? (result.win_loss_pct == null ? null : 100 - result.win_loss_pct));
     }
 
@@ -560,9 +656,11 @@ function computePingWindowSummary(samples, aggregates, { preferAggregated = fals
   }
 
   const safeSamples = Array.isArray(samples) ? samples : [];
+  // Burst samples contribute every reply, so percentiles count packets as the loss does.
   const successLatencies = safeSamples
     .filter((row) => Number(row.success) === 1)
-    .map((row) => normalizeNumber(row.rtt_ms))
+    .flatMap((row) => (Array.isArray(row.rtts) ? row.rtts : [row.rtt_ms]))
+    .map((value) => normalizeNumber(value))
     .filter((value) => value != null);
 
   if (successLatencies.length > 0) {
@@ -571,6 +669,7 @@ function computePingWindowSummary(samples, aggregates, { preferAggregated = fals
     const sum = successLatencies.reduce((acc, value) => acc + value, 0);
     result.win_avg_ms = sum / successLatencies.length;
   }
+  result.win_jitter_ms = computeSampleJitter(safeSamples);
 
   let totalSent = 0;
   let totalReceived = 0;
@@ -642,6 +741,138 @@ function normalizeTracerouteHop(raw, index) {
   return { hop, ip: ip || "*", rtt_ms: rtt ?? null };
 }
 
+// QoS comparison for a series with DSCP-marked siblings (PING_DSCP): the unmarked best-effort
+// baseline and each marked series of the same family and uplink, summarised from raw samples over
+// the same range, with every class's difference to the baseline. Only samples that carried the
+// class count, so unmarked fallback probes of a marked series are left out. Null without siblings.
+function buildQosComparison(target, definitions, loadSamples) {
+  const list = Array.isArray(definitions) ? definitions : [];
+  const own = list.find((definition) => definition?.id === target);
+  if (!own) {
+    return null;
+  }
+  const baselineId = own.baselineId ?? own.id;
+  const marked = list.filter((definition) => definition?.baselineId === baselineId);
+  if (marked.length === 0) {
+    return null;
+  }
+
+  const summarize = (id, className, dscp) => {
+    const samples = loadSamples(id).filter((row) => (row.dscp ?? 0) === dscp);
+    const summary = computePingWindowSummary(samples, []);
+    // Loss comes from the probes' sent/received counts (bursts send several per sample).
+    let sent = 0;
+    let received = 0;
+    for (const row of samples) {
+      sent += Number.isFinite(row.sent) ? row.sent : 1;
+      received += Number.isFinite(row.received) ? row.received : row.success ? 1 : 0;
+    }
+    return {
+      target: id,
+      class: className,
+      dscp,
+      p50_ms: summary.win_p50_ms,
+      p95_ms: summary.win_p95_ms,
+      avg_ms: summary.win_avg_ms,
+      loss_pct: sent > 0 ? Number((((sent - received) / sent) * 100).toFixed(3)) : null,
+      sent,
+      received,
+    };
+  };
+  const difference = (value, reference) =>
+    value == null || reference == null ? null : Number((value - reference).toFixed(3));
+
+  const baseline = summarize(baselineId, "be", 0);
+  const classes = marked.map((definition) => {
+    const entry = summarize(definition.id, definition.dscpClass, definition.dscp);
+    return {
+      ...entry,
+      delta: {
+        p50_ms: difference(entry.p50_ms, baseline.p50_ms),
+        p95_ms: difference(entry.p95_ms, baseline.p95_ms),
+        avg_ms: difference(entry.avg_ms, baseline.avg_ms),
+        loss_pct: difference(entry.loss_pct, baseline.loss_pct),
+      },
+    };
+  });
+  return { baseline, classes };
+}
+
+function mapEventRow(row) {
+  let data = null;
+  try {
+    data = row.data_json ? JSON.parse(row.data_json) : null;
+  } catch (error) {
+    data = null;
+  }
+  return {
+    id: row.id,
+    ts: row.ts,
+    type: row.type,
+    target: row.target ?? null,
+    severity: row.severity,
+    message: row.message ?? null,
+    data,
+  };
+}
+
+// Whether a DNS integrity event concerns hostname: it names the hostname, or it is a
+// resolver-wide recovery ("returns NXDOMAIN again", "TCP works again", with no hostnames) from a
+// resolver and uplink the hostname is queried through.
+function concernsHostname(event, hostname, resolverKeys) {
+  const data = event.data ?? {};
+  if (data.hostname === hostname || data.hostnames?.includes(hostname)) {
+    return true;
+  }
+  return (
+    Array.isArray(data.hostnames) &&
+    data.hostnames.length === 0 &&
+    resolverKeys.has(`${data.resolver}|${data.uplink ?? ""}`)
+  );
+}
+
+// Decodes a JSON array column (dns_sample.answers_json, http_sample.assertion_failures_json); null
+// when it is empty (failed lookup, passing check) or the sample predates the column.
+function parseJsonArray(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  try {
+    const raw = JSON.parse(value);
+    return Array.isArray(raw) ? raw : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Maps a ping_sweep row to the /api/ping/sweep schema, with the per-size points expanded.
+function mapPingSweepRow(row) {
+  let points = [];
+  try {
+    const raw = JSON.parse(row.points_json);
+    points = Array.isArray(raw) ? raw : [];
+  } catch (error) {
+    points = [];
+  }
+  return {
+    ts: row.ts,
+    target: row.target,
+    host: row.host ?? null,
+    family: row.family ?? null,
+    resolved_ip: row.resolved_ip ?? null,
+    uplink: row.uplink ?? null,
+    points,
+    slope_us_per_byte: normalizeOptionalNumber(row.slope_us_per_byte),
+    intercept_ms: normalizeOptionalNumber(row.intercept_ms),
+    r2: normalizeOptionalNumber(row.r2),
+    bandwidth_bps: normalizeOptionalNumber(row.bandwidth_bps),
+    serialization_ms: normalizeOptionalNumber(row.serialization_ms),
+    success: row.success === 1,
+    error_code: row.error_code ?? null,
+    error_detail: row.error_detail ?? null,
+  };
+}
+
 // Builds the traceroute payload expected by the UI and API consumers.
 // Runs on demand whenever a traceroute result is fetched.
 function buildTraceroutePayload(row) {
@@ -663,6 +894,7 @@ function buildTraceroutePayload(row) {
   return {
     id: Number.isFinite(Number(row?.id)) ? Number(row.id) : null,
     target: typeof row?.target === "string" ? row.target : null,
+    uplink: typeof row?.uplink === "string" ? row.uplink : null,
     success: Number(row?.success) === 1,
     ts: Number.isFinite(ts) ? ts : null,
     executed_at: Number.isFinite(ts) ? new Date(ts).toISOString() : null,
@@ -676,28 +908,61 @@ function createRequestHandler(db, appConfig, options = {}) {
     ? {
         pingWindowTables: preparePingWindowStatements(db),
         pingSamplesByTargetRange: db.prepare(
-          "SELECT ts, target, rtt_ms, success FROM ping_sample WHERE ts BETWEEN ? AND ? AND target = ? ORDER BY ts ASC"
+          "SELECT ts, target, rtt_ms, success, sent, received, jitter_ms, dup_count, reorder_count, rtts_json, resolved_ip, family, uplink, dscp, error_code, error_detail FROM ping_sample WHERE ts BETWEEN ? AND ? AND target = ? ORDER BY ts ASC"
         ),
         pingSamplesRangeAll: db.prepare(
-          "SELECT ts, target, rtt_ms, success FROM ping_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
+          "SELECT ts, target, rtt_ms, success, sent, received, jitter_ms, dup_count, reorder_count, rtts_json, resolved_ip, family, uplink, dscp, error_code, error_detail FROM ping_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
         ),
         dnsSamplesAll: db.prepare(
-          "SELECT ts, hostname, resolver, lookup_ms, lookup_ms_hot, lookup_ms_cold, success, success_hot, success_cold FROM dns_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
+          "SELECT ts, hostname, record_type, answers_json, answers_fp, nxdomain_hijack, nxdomain_answers_json, resolver, resolver_name, protocol, lookup_ms, lookup_ms_hot, lookup_ms_cold, ttl_s, udp_ms, udp_truncated, tcp_ms, tcp_success, tcp_error_code, success, success_hot, success_cold, uplink, error_code, error_detail FROM dns_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
         ),
         dnsSamplesByHostname: db.prepare(
-          "SELECT ts, hostname, resolver, lookup_ms, lookup_ms_hot, lookup_ms_cold, success, success_hot, success_cold FROM dns_sample WHERE ts BETWEEN ? AND ? AND hostname = ? ORDER BY ts ASC"
+          "SELECT ts, hostname, record_type, answers_json, answers_fp, nxdomain_hijack, nxdomain_answers_json, resolver, resolver_name, protocol, lookup_ms, lookup_ms_hot, lookup_ms_cold, ttl_s, udp_ms, udp_truncated, tcp_ms, tcp_success, tcp_error_code, success, success_hot, success_cold, uplink, error_code, error_detail FROM dns_sample WHERE ts BETWEEN ? AND ? AND hostname = ? ORDER BY ts ASC"
         ),
         httpSamplesAll: db.prepare(
-          "SELECT ts, url, status, ttfb_ms, total_ms, bytes, success FROM http_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
+          "SELECT ts, url, status, dns_ms, connect_ms, tls_ms, wait_ms, download_ms, ttfb_ms, total_ms, bytes, success, uplink, error_code, error_detail, assertion_failures_json FROM http_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
         ),
         httpSamplesByUrl: db.prepare(
-          "SELECT ts, url, status, ttfb_ms, total_ms, bytes, success FROM http_sample WHERE ts BETWEEN ? AND ? AND url = ? ORDER BY ts ASC"
+          "SELECT ts, url, status, dns_ms, connect_ms, tls_ms, wait_ms, download_ms, ttfb_ms, total_ms, bytes, success, uplink, error_code, error_detail, assertion_failures_json FROM http_sample WHERE ts BETWEEN ? AND ? AND url = ? ORDER BY ts ASC"
         ),
         tracerouteById: db.prepare(
-          "SELECT id, ts, target, hops_json, success FROM traceroute_run WHERE id = ?"
+          "SELECT id, ts, target, hops_json, success, uplink FROM traceroute_run WHERE id = ?"
         ),
         tracerouteLatestByTarget: db.prepare(
-          "SELECT id, ts, target, hops_json, success FROM traceroute_run WHERE target = ? ORDER BY ts DESC LIMIT 1"
+          "SELECT id, ts, target, hops_json, success, uplink FROM traceroute_run WHERE target = ? ORDER BY ts DESC LIMIT 1"
+        ),
+        tracerouteLatestByTargetUplink: db.prepare(
+          "SELECT id, ts, target, hops_json, success, uplink FROM traceroute_run WHERE target = ? AND uplink = ? ORDER BY ts DESC LIMIT 1"
+        ),
+        pingSweepsAll: db.prepare(
+          "SELECT ts, target, host, family, resolved_ip, uplink, points_json, slope_us_per_byte, intercept_ms, r2, bandwidth_bps, serialization_ms, success, error_code, error_detail FROM ping_sweep WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
+        ),
+        pingSweepsByTarget: db.prepare(
+          "SELECT ts, target, host, family, resolved_ip, uplink, points_json, slope_us_per_byte, intercept_ms, r2, bandwidth_bps, serialization_ms, success, error_code, error_detail FROM ping_sweep WHERE ts BETWEEN ? AND ? AND target = ? ORDER BY ts ASC"
+        ),
+        pingSweepLatestEstimates: db.prepare(
+          "SELECT s.ts, s.target, s.bandwidth_bps, s.serialization_ms, s.r2 FROM ping_sweep AS s WHERE s.ts = (SELECT MAX(ts) FROM ping_sweep WHERE target = s.target AND bandwidth_bps IS NOT NULL)"
+        ),
+        pmtuSamplesAll: db.prepare(
+          "SELECT ts, target, host, family, resolved_ip, uplink, pmtu_bytes, probes, success, error_code, error_detail FROM pmtu_sample WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
+        ),
+        pmtuSamplesByTarget: db.prepare(
+          "SELECT ts, target, host, family, resolved_ip, uplink, pmtu_bytes, probes, success, error_code, error_detail FROM pmtu_sample WHERE ts BETWEEN ? AND ? AND target = ? ORDER BY ts ASC"
+        ),
+        pmtuLatestByTarget: db.prepare(
+          "SELECT s.ts, s.target, s.pmtu_bytes FROM pmtu_sample AS s WHERE s.success = 1 AND s.ts = (SELECT MAX(ts) FROM pmtu_sample WHERE target = s.target AND success = 1)"
+        ),
+        faultVerdictsRange: db.prepare(
+          "SELECT ts, verdict, lan_status, isp_status, internet_status, isp_hop, affected_json FROM fault_verdict WHERE ts BETWEEN ? AND ? ORDER BY ts ASC"
+        ),
+        faultVerdictLatest: db.prepare(
+          "SELECT ts, verdict, lan_status, isp_status, internet_status, isp_hop, affected_json, detail_json FROM fault_verdict ORDER BY ts DESC LIMIT 1"
+        ),
+        eventsAll: db.prepare(
+          "SELECT id, ts, type, target, severity, message, data_json FROM event WHERE ts BETWEEN ? AND ? AND type LIKE ? ORDER BY ts DESC, id DESC LIMIT ?"
+        ),
+        eventsByTarget: db.prepare(
+          "SELECT id, ts, type, target, severity, message, data_json FROM event WHERE ts BETWEEN ? AND ? AND type LIKE ? AND target = ? ORDER BY ts DESC, id DESC LIMIT ?"
         ),
       }
     : null;
@@ -882,6 +1147,14 @@ function createRequestHandler(db, appConfig, options = {}) {
       if (Number.isFinite(parsedTimeoutMs) && parsedTimeoutMs > 0) {
         options.timeoutMs = parsedTimeoutMs;
       }
+      const uplink = typeof payload.uplink === "string" ? payload.uplink.trim() : "";
+      if (uplink) {
+        if (!appConfig?.uplinks?.includes(uplink)) {
+          sendJson(res, 400, { error: `Unknown uplink "${uplink}"` });
+          return;
+        }
+        options.uplink = uplink;
+      }
 
       try {
         const result = await runTraceroute(rawTarget, options);
@@ -889,6 +1162,7 @@ function createRequestHandler(db, appConfig, options = {}) {
           id: result.id,
           ts: result.ts,
           target: result.target,
+          uplink: result.uplink,
           success: result.success,
         });
       } catch (error) {
@@ -929,13 +1203,13 @@ function createRequestHandler(db, appConfig, options = {}) {
           const sampleRows = statements.pingSamplesByTargetRange
             ? statements.pingSamplesByTargetRange.all(fromMs, toMs, target)
             : [];
-          const samples = sampleRows.map((row) => ({
-            ts: Number(row.ts),
-            target: row.target,
-            success: Number(row.success) === 1,
-            rtt_ms: normalizeNumber(row.rtt_ms),
-          }));
+          const samples = sampleRows.map(mapPingSampleRow);
           const summary = computePingWindowSummary(samples, aggregates, { preferAggregated });
+          const qos = buildQosComparison(target, appConfig?.targetDefinitions, (id) =>
+            id === target
+              ? samples
+              : statements.pingSamplesByTargetRange.all(fromMs, toMs, id).map(mapPingSampleRow)
+          );
           sendJson(
             res,
             200,
@@ -946,11 +1220,17 @@ function createRequestHandler(db, appConfig, options = {}) {
               summary,
               aggregates,
               samples,
+              ...(qos ? { qos } : {}),
             },
             { method }
           );
         } else {
-          const aggregates = windowStatements ? windowStatements.rangeAll.all(fromMs, toMs) : [];
+          // Optional host filter returns every series of one host (e.g. its v4 and v6 series).
+          const rawHost = parsedUrl.searchParams.get("host");
+          const hostFilter = typeof rawHost === "string" ? rawHost.trim() : "";
+          const aggregates = (
+            windowStatements ? windowStatements.rangeAll.all(fromMs, toMs) : []
+          ).filter((row) => !hostFilter || isSeriesOfHost(row.target, hostFilter));
           const aggregateByTarget = new Map();
           for (const row of aggregates) {
             if (!aggregateByTarget.has(row.target)) {
@@ -963,15 +1243,22 @@ function createRequestHandler(db, appConfig, options = {}) {
             : [];
           const samplesByTarget = new Map();
           for (const row of sampleRows) {
+            if (hostFilter && !isSeriesOfHost(row.target, hostFilter)) {
+              continue;
+            }
             if (!samplesByTarget.has(row.target)) {
               samplesByTarget.set(row.target, []);
             }
-            samplesByTarget.get(row.target).push({
-              ts: Number(row.ts),
-              target: row.target,
-              success: Number(row.success) === 1,
-              rtt_ms: normalizeNumber(row.rtt_ms),
-            });
+            samplesByTarget.get(row.target).push(mapPingSampleRow(row));
+          }
+
+          if (hostFilter) {
+            // Series of the requested host without rollups yet still get a sample-based summary.
+            for (const entryTarget of samplesByTarget.keys()) {
+              if (!aggregateByTarget.has(entryTarget)) {
+                aggregateByTarget.set(entryTarget, []);
+              }
+            }
           }
 
           const response = Object.create(null);
@@ -994,6 +1281,99 @@ function createRequestHandler(db, appConfig, options = {}) {
       return;
     }
 
+    if (
+      method === "GET" &&
+      (parsedUrl.pathname === "/api/ping/sweep" || parsedUrl.pathname === "/v1/api/ping/sweep")
+    ) {
+      if (!statements) {
+        sendJson(res, 500, { error: "Database unavailable" });
+        return;
+      }
+
+      const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range") ?? "24h");
+      const rawTarget = parsedUrl.searchParams.get("target");
+      const target = typeof rawTarget === "string" ? rawTarget.trim() : "";
+
+      try {
+        const baseRows = target
+          ? statements.pingSweepsByTarget.all(fromMs, toMs, target)
+          : statements.pingSweepsAll.all(fromMs, toMs);
+        // Latest sweep per target that produced a rate estimate, even outside the range.
+        const latest = {};
+        for (const row of statements.pingSweepLatestEstimates.all()) {
+          if (!target || row.target === target) {
+            latest[row.target] = {
+              ts: row.ts,
+              bandwidth_bps: normalizeOptionalNumber(row.bandwidth_bps),
+              serialization_ms: normalizeOptionalNumber(row.serialization_ms),
+              r2: normalizeOptionalNumber(row.r2),
+            };
+          }
+        }
+        sendJson(res, 200, { latest, samples: baseRows.map(mapPingSweepRow) });
+      } catch (error) {
+        sendJson(res, 500, { error: error?.message ?? "Query failed" });
+      }
+      return;
+    }
+
+    if (
+      method === "GET" &&
+      (parsedUrl.pathname === "/api/dns/resolvers" ||
+        parsedUrl.pathname === "/v1/api/dns/resolvers")
+    ) {
+      if (!statements) {
+        sendJson(res, 500, { error: "Database unavailable" });
+        return;
+      }
+
+      const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range"));
+      const hostname = (parsedUrl.searchParams.get("hostname") ?? "").trim();
+      const uplink = (parsedUrl.searchParams.get("uplink") ?? "").trim();
+
+      try {
+        const baseRows = hostname
+          ? statements.dnsSamplesByHostname.all(fromMs, toMs, hostname)
+          : statements.dnsSamplesAll.all(fromMs, toMs);
+        const rows = uplink ? baseRows.filter((row) => row.uplink === uplink) : baseRows;
+        sendJson(res, 200, rankResolvers(rows));
+      } catch (error) {
+        sendJson(res, 500, { error: error?.message ?? "Query failed" });
+      }
+      return;
+    }
+
+    if (
+      method === "GET" &&
+      (parsedUrl.pathname === "/api/dns/integrity" ||
+        parsedUrl.pathname === "/v1/api/dns/integrity")
+    ) {
+      if (!statements) {
+        sendJson(res, 500, { error: "Database unavailable" });
+        return;
+      }
+
+      const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range") ?? "24h");
+      const hostname = (parsedUrl.searchParams.get("hostname") ?? "").trim();
+
+      try {
+        const rows = hostname
+          ? statements.dnsSamplesByHostname.all(fromMs, toMs, hostname)
+          : statements.dnsSamplesAll.all(fromMs, toMs);
+        // The hostname filter runs in JS, so the limit applies after it (-1 lifts the SQL limit).
+        const resolverKeys = new Set(rows.map((row) => `${row.resolver_name}|${row.uplink ?? ""}`));
+        const events = statements.eventsAll
+          .all(fromMs, toMs, "dns.%", hostname ? -1 : 50)
+          .map(mapEventRow)
+          .filter((event) => !hostname || concernsHostname(event, hostname, resolverKeys))
+          .slice(0, 50);
+        sendJson(res, 200, { ...summarizeIntegrity(rows), events });
+      } catch (error) {
+        sendJson(res, 500, { error: error?.message ?? "Query failed" });
+      }
+      return;
+    }
+
     if (
       method === "GET" &&
       (parsedUrl.pathname === "/api/dns" || parsedUrl.pathname === "/v1/api/dns")
@@ -1006,18 +1386,42 @@ function createRequestHandler(db, appConfig, options = {}) {
       const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range"));
       const rawHostname = parsedUrl.searchParams.get("hostname");
       const hostname = typeof rawHostname === "string" ? rawHostname.trim() : "";
+      const uplink = (parsedUrl.searchParams.get("uplink") ?? "").trim();
 
       try {
         const baseRows = hostname
           ? statements.dnsSamplesByHostname.all(fromMs, toMs, hostname)
           : statements.dnsSamplesAll.all(fromMs, toMs);
-        const mapped = baseRows.map((row) => ({
+        const rows = uplink ? baseRows.filter((row) => row.uplink === uplink) : baseRows;
+        const mapped = rows.map((row) => ({
           ts: Number(row.ts),
           hostname: row.hostname,
+          record_type: row.record_type ?? null,
+          answers: parseJsonArray(row.answers_json),
+          answers_fp: row.answers_fp ?? null,
+          nxdomain_redirect:
+            row.nxdomain_hijack === undefined || row.nxdomain_hijack === null
+              ? null
+              : Number(row.nxdomain_hijack) === 1,
           resolver: row.resolver,
+          resolver_name: row.resolver_name ?? null,
+          protocol: row.protocol ?? null,
+          uplink: row.uplink ?? null,
           lookup_ms: normalizeNumber(row.lookup_ms),
           lookup_ms_hot: normalizeNumber(row.lookup_ms_hot),
           lookup_ms_cold: normalizeNumber(row.lookup_ms_cold),
+          ttl_s: normalizeOptionalNumber(row.ttl_s),
+          udp_ms: normalizeOptionalNumber(row.udp_ms),
+          udp_truncated:
+            row.udp_truncated === undefined || row.udp_truncated === null
+              ? null
+              : Number(row.udp_truncated) === 1,
+          tcp_ms: normalizeOptionalNumber(row.tcp_ms),
+          tcp_success:
+            row.tcp_success === undefined || row.tcp_success === null
+              ? null
+              : Number(row.tcp_success) === 1,
+          tcp_error_code: row.tcp_error_code ?? null,
           success: Number(row.success) === 1,
           success_hot:
             row.success_hot === undefined || row.success_hot === null
@@ -1027,6 +1431,8 @@ function createRequestHandler(db, appConfig, options = {}) {
             row.success_cold === undefined || row.success_cold === null
               ? null
               : Number(row.success_cold) === 1,
+          error_code: row.error_code ?? null,
+          error_detail: row.error_detail ?? null,
         }));
         sendJson(res, 200, mapped);
       } catch (error) {
@@ -1047,19 +1453,30 @@ function createRequestHandler(db, appConfig, options = {}) {
       const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range"));
       const rawUrlParam = parsedUrl.searchParams.get("url");
       const urlParam = typeof rawUrlParam === "string" ? rawUrlParam.trim() : "";
+      const uplink = (parsedUrl.searchParams.get("uplink") ?? "").trim();
 
       try {
         const baseRows = urlParam
           ? statements.httpSamplesByUrl.all(fromMs, toMs, urlParam)
           : statements.httpSamplesAll.all(fromMs, toMs);
-        const mapped = baseRows.map((row) => ({
+        const rows = uplink ? baseRows.filter((row) => row.uplink === uplink) : baseRows;
+        const mapped = rows.map((row) => ({
           ts: row.ts,
           url: row.url,
+          uplink: row.uplink ?? null,
           status: row.status,
+          dns_ms: normalizeOptionalNumber(row.dns_ms),
+          connect_ms: normalizeOptionalNumber(row.connect_ms),
+          tls_ms: normalizeOptionalNumber(row.tls_ms),
+          wait_ms: normalizeOptionalNumber(row.wait_ms),
+          download_ms: normalizeOptionalNumber(row.download_ms),
           ttfb_ms: row.ttfb_ms,
           total_ms: row.total_ms,
           bytes: row.bytes,
           success: row.success === 1,
+          error_code: row.error_code ?? null,
+          error_detail: row.error_detail ?? null,
+          assertion_failures: parseJsonArray(row.assertion_failures_json),
         }));
         sendJson(res, 200, mapped);
       } catch (error) {
@@ -1085,8 +1502,12 @@ function createRequestHandler(db, appConfig, options = {}) {
         return;
       }
 
+      const uplink = (parsedUrl.searchParams.get("uplink") ?? "").trim();
+
       try {
-        const row = statements.tracerouteLatestByTarget.get(target);
+        const row = uplink
+          ? statements.tracerouteLatestByTargetUplink.get(target, uplink)
+          : statements.tracerouteLatestByTarget.get(target);
         if (!row) {
           sendJson(res, 404, { error: "Traceroute not found" }, { method });
           return;
@@ -1105,6 +1526,111 @@ function createRequestHandler(db, appConfig, options = {}) {
       return;
     }
 
+    if (
+      method === "GET" &&
+      (parsedUrl.pathname === "/api/pmtu" || parsedUrl.pathname === "/v1/api/pmtu")
+    ) {
+      if (!statements) {
+        sendJson(res, 500, { error: "Database unavailable" });
+        return;
+      }
+
+      const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range") ?? "24h");
+      const rawTarget = parsedUrl.searchParams.get("target");
+      const target = typeof rawTarget === "string" ? rawTarget.trim() : "";
+
+      try {
+        const baseRows = target
+          ? statements.pmtuSamplesByTarget.all(fromMs, toMs, target)
+          : statements.pmtuSamplesAll.all(fromMs, toMs);
+        const samples = baseRows.map((row) => ({
+          ts: row.ts,
+          target: row.target,
+          host: row.host ?? null,
+          family: row.family ?? null,
+          resolved_ip: row.resolved_ip ?? null,
+          uplink: row.uplink ?? null,
+          pmtu_bytes: normalizeOptionalNumber(row.pmtu_bytes),
+          probes: normalizeOptionalNumber(row.probes),
+          success: row.success === 1,
+          error_code: row.error_code ?? null,
+          error_detail: row.error_detail ?? null,
+        }));
+        // Latest discovered value per target, even when it is older than the requested range.
+        const latest = {};
+        for (const row of statements.pmtuLatestByTarget.all()) {
+          if (!target || row.target === target) {
+            latest[row.target] = {
+              ts: row.ts,
+              pmtu_bytes: normalizeOptionalNumber(row.pmtu_bytes),
+            };
+          }
+        }
+        sendJson(res, 200, { latest, samples });
+      } catch (error) {
+        sendJson(res, 500, { error: error?.message ?? "Query failed" });
+      }
+      return;
+    }
+
+    if (
+      method === "GET" &&
+      (parsedUrl.pathname === "/api/fault" || parsedUrl.pathname === "/v1/api/fault")
+    ) {
+      if (!statements) {
+        sendJson(res, 500, { error: "Database unavailable" });
+        return;
+      }
+
+      const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range") ?? "24h");
+      try {
+        const samples = statements.faultVerdictsRange
+          .all(fromMs, toMs)
+          .map((row) => mapFaultVerdictRow(row));
+        // The latest verdict carries the per-target stats it was decided from.
+        const latestRow = statements.faultVerdictLatest.get();
+        sendJson(res, 200, {
+          latest: latestRow ? mapFaultVerdictRow(latestRow, { withTargets: true }) : null,
+          samples,
+        });
+      } catch (error) {
+        sendJson(res, 500, { error: error?.message ?? "Query failed" });
+      }
+      return;
+    }
+
+    if (
+      method === "GET" &&
+      (parsedUrl.pathname === "/api/events" || parsedUrl.pathname === "/v1/api/events")
+    ) {
+      if (!statements) {
+        sendJson(res, 500, { error: "Database unavailable" });
+        return;
+      }
+
+      const { fromMs, toMs } = resolveRangeWindow(parsedUrl.searchParams.get("range") ?? "24h");
+      const rawTarget = parsedUrl.searchParams.get("target");
+      const target = typeof rawTarget === "string" ? rawTarget.trim() : "";
+      const rawType = parsedUrl.searchParams.get("type");
+      const type = typeof rawType === "string" ? rawType.trim() : "";
+      // "pmtu" matches every pmtu.* event; a dotted name matches exactly.
+      const typePattern = !type ? "%" : type.includes(".") ? type : `${type}.%`;
+      const limit = Math.min(
+        Math.max(Number.parseInt(parsedUrl.searchParams.get("limit") ?? "", 10) || 200, 1),
+        1000
+      );
+
+      try {
+        const rows = target
+          ? statements.eventsByTarget.all(fromMs, toMs, typePattern, target, limit)
+          : statements.eventsAll.all(fromMs, toMs, typePattern, limit);
+        sendJson(res, 200, rows.map(mapEventRow));
+      } catch (error) {
+        sendJson(res, 500, { error: error?.message ?? "Query failed" });
+      }
+      return;
+    }
+
     if (method === "GET") {
       const tracerouteMatch = /^\/(?:v1\/)?api\/traceroute\/(\d+)$/.exec(parsedUrl.pathname);
       if (tracerouteMatch) {
@@ -1196,7 +1722,13 @@ export async function startServer({ host, port, db, signal, config, closeTimeout
 
   const portConflict = listenPort !== requestedPort;
 
-  const configuredTargets = Array.isArray(config?.ping?.targets) ? config.ping.targets : [];
+  // Series ids (host, or host@v4/host@v6 for dual-stack targets) are what the UI selects.
+  const configuredSeries = Array.isArray(config?.ping?.series) ? config.ping.series : [];
+  const configuredTargets = configuredSeries.length
+    ? configuredSeries.map((entry) => entry.id)
+    : Array.isArray(config?.ping?.targets)
+      ? config.ping.targets
+      : [];
   const normalizedTargets = configuredTargets
     .map((value) => (typeof value === "string" ? value.trim() : ""))
     .filter((value) => value.length > 0);
@@ -1206,6 +1738,8 @@ export async function startServer({ host, port, db, signal, config, closeTimeout
   const appConfig = getUiConfig({
     defaultTarget,
     targets: availableTargets,
+    targetDefinitions: configuredSeries,
+    uplinks: Object.keys(config?.uplinks ?? {}),
     sparklineMinutes: UI_SPARKLINE_MINUTES,
     sseRetryMs: UI_SSE_RETRY_MS,
     eventsDedupMs: UI_EVENTS_DEDUP_MS,
@@ -1224,7 +1758,8 @@ export async function startServer({ host, port, db, signal, config, closeTimeout
     live: {
       pushIntervalMs: config?.liveMetrics?.pushIntervalMs,
       useWindows: config?.liveMetrics?.useWindows,
-      pingTargets: config?.ping?.targets,
+      pingTargets: availableTargets,
+      pingTargetDefinitions: configuredSeries,
       staleMs: config?.liveMetrics?.staleMs,
     },
     availableTargets,